@@ -7,7 +7,7 @@ const { resolveExecutable } = require('../infrastructure/executables');
 const { ensureDir, removeDirIfExists } = require('../infrastructure/fileSystem');
 const { runCommand } = require('../infrastructure/runCommand');
 const { loadAllConfigs } = require('../infrastructure/configLoader');
-const { readYamlFile, writeYamlFile } = require('../infrastructure/yamlUtils');
+const { readSpecFile, writeSpecFile } = require('../infrastructure/yamlUtils');
 
 /**
  * -----------------------------------------------------------
@@ -220,8 +220,8 @@ async function bundleWithRedocly(inputPath, outputPath) {
   // Solo tiene sentido hacerlo cuando NO está dereferenciado.
   if (!DEREF) {
     try {
-      const bundledObject = readYamlFile(finalOutput);
-      writeYamlFile(finalOutput, bundledObject);
+      const bundledObject = readSpecFile(finalOutput);
+      writeSpecFile(finalOutput, bundledObject);
       console.log(chalk.gray('ℹ Bundle reescrito sin anchors YAML (noRefs:true).'));
     } catch (postErr) {
       console.warn(
@@ -3,10 +3,11 @@
 const path = require("path");
 const chalk = require("chalk");
 
-const { resolveExecutable } = require("../infrastructure/executables");
-const { ensureDir } = require("../infrastructure/fileSystem");
-const { runCommand } = require("../infrastructure/runCommand");
+const { fileExists } = require("../infrastructure/fileSystem");
+const { isJsonFile, readSpecFile, writeSpecFile } = require("../infrastructure/yamlUtils");
 const { loadAllConfigs } = require("../infrastructure/configLoader");
+const { analyzeSwagger2Compatibility } = require("../core/swagger2Compatibility");
+const { convertToSwagger2 } = require("./swagger2Converter");
 
 // ---------------------------------------------------------
 // CARGA CONFIGURACIÓN (solo para defaults / ejemplos)
@@ -17,6 +18,60 @@ const configs = loadAllConfigs();
 const swagger2Config = configs.swagger2 || {};
 const swagger2Paths = swagger2Config.paths || {};
 
+const swagger2Report = swagger2Config.report || {};
+
+const VALID_SYNTAXES = ["yaml", "json"];
+
+// Defaults técnicos del reporte de compatibilidad (el config los sobreescribe)
+const REPORT_DEFAULTS = {
+  enabled: true,
+  strict: false,
+};
+
+if (swagger2Report.enabled !== undefined && typeof swagger2Report.enabled !== "boolean") {
+  throw new Error("❌ El campo config.swagger2.report.enabled debe ser booleano si se define");
+}
+if (swagger2Report.strict !== undefined && typeof swagger2Report.strict !== "boolean") {
+  throw new Error("❌ El campo config.swagger2.report.strict debe ser booleano si se define");
+}
+if (swagger2Report.output !== undefined && typeof swagger2Report.output !== "string") {
+  throw new Error("❌ El campo config.swagger2.report.output debe ser string si se define");
+}
+
+// Decisiones del conversor (config/swagger2.yaml → conversion)
+const swagger2Conversion = swagger2Config.conversion || {};
+
+// Defaults técnicos del conversor (el config los sobreescribe)
+const CONVERSION_DEFAULTS = {
+  serverIndex: 0,
+  preferredMediaTypes: ["application/json"],
+};
+
+if (
+  swagger2Conversion.serverIndex !== undefined &&
+  (!Number.isInteger(swagger2Conversion.serverIndex) || swagger2Conversion.serverIndex < 0)
+) {
+  throw new Error("❌ El campo config.swagger2.conversion.serverIndex debe ser un entero >= 0 si se define");
+}
+if (
+  swagger2Conversion.preferredMediaTypes !== undefined &&
+  (!Array.isArray(swagger2Conversion.preferredMediaTypes) ||
+    swagger2Conversion.preferredMediaTypes.some((mediaType) => typeof mediaType !== "string"))
+) {
+  throw new Error(
+    "❌ El campo config.swagger2.conversion.preferredMediaTypes debe ser una lista de strings si se define"
+  );
+}
+
+const CONVERSION_OPTIONS = {
+  serverIndex:
+    swagger2Conversion.serverIndex !== undefined
+      ? swagger2Conversion.serverIndex
+      : CONVERSION_DEFAULTS.serverIndex,
+  preferredMediaTypes:
+    swagger2Conversion.preferredMediaTypes || CONVERSION_DEFAULTS.preferredMediaTypes,
+};
+
 // Config modularize (para posibles fallbacks como bundleOutput)
 const modularizeConfig = configs.modularize || {};
 const modularizePaths = modularizeConfig.paths || {};
@@ -31,11 +86,56 @@ const modularizePaths = modularizeConfig.paths || {};
  *
  * Ej:
  *  ./dist/openapi.yaml  →  ./dist/openapi.swagger2.yaml
+ *  ./dist/openapi.json  →  ./dist/openapi.swagger2.json
  */
 function buildDefaultSwagger2Output(inputPath) {
   const dir = path.dirname(inputPath);
   const base = path.basename(inputPath).replace(/\.(ya?ml|json)$/i, "");
-  return path.join(dir, `${base}.swagger2.yaml`);
+  const extension = isJsonFile(inputPath) ? "json" : "yaml";
+  return path.join(dir, `${base}.swagger2.${extension}`);
+}
+
+/**
+ * Ruta por defecto del reporte de compatibilidad, junto al Swagger 2.0.
+ *
+ * Ej:
+ *  ./dist/openapi.swagger2.yaml  →  ./dist/openapi.swagger2.report.json
+ */
+function buildDefaultReportOutput(swagger2Output) {
+  const dir = path.dirname(swagger2Output);
+  const base = path.basename(swagger2Output).replace(/\.(ya?ml|json)$/i, "");
+  return path.join(dir, `${base}.report.json`);
+}
+
+/**
+ * Imprime el reporte de compatibilidad agrupado por construcción.
+ */
+function printCompatibilityReport(findings) {
+  console.log(chalk.cyan("🔎 Reporte de compatibilidad OAS3 → Swagger 2.0\n"));
+
+  if (findings.length === 0) {
+    console.log(chalk.green("   ✔ No se detectaron construcciones con pérdida.\n"));
+    return;
+  }
+
+  const byConstruct = {};
+  findings.forEach((finding) => {
+    byConstruct[finding.construct] = byConstruct[finding.construct] || [];
+    byConstruct[finding.construct].push(finding);
+  });
+
+  Object.entries(byConstruct).forEach(([construct, items]) => {
+    const style = items.some((item) => item.severity === "lost") ? chalk.red : chalk.yellow;
+    console.log(style(`   [${items[0].severity}] ${construct}`) + chalk.dim(" — " + items[0].message));
+    items.forEach((item) => console.log(chalk.gray("     • " + item.pointer)));
+  });
+
+  const lostCount = findings.filter((finding) => finding.severity === "lost").length;
+  console.log(
+    chalk.yellow(
+      `\n   ${lostCount} perdida(s), ${findings.length - lostCount} aproximada(s)\n`
+    )
+  );
 }
 
 // ---------------------------------------------------------
@@ -43,7 +143,8 @@ function buildDefaultSwagger2Output(inputPath) {
 // ---------------------------------------------------------
 
 /**
- * Downgrade OpenAPI 3.x → Swagger 2.0 usando api-spec-converter (CLI).
+ * Downgrade OpenAPI 3.x → Swagger 2.0 con el conversor en proceso
+ * (./swagger2Converter.js).
  *
  * Resolución de rutas:
  *  - inputPathFromCli      → prioridad 1 (vía CLI o menú)
@@ -54,10 +155,30 @@ function buildDefaultSwagger2Output(inputPath) {
  *  - swagger2.paths.output → prioridad 2
  *  - buildDefaultSwagger2Output(inputPath) → prioridad 3
  *
+ * Sintaxis de salida: options.syntax o, si no se indica, la extensión
+ * del archivo de salida (.json → json, resto → yaml).
+ *
+ * Qué server se usa como host/basePath y qué media type gana cuando hay
+ * varios se configura en config/swagger2.yaml → conversion.
+ *
+ * Reporte de compatibilidad (config/swagger2.yaml → report):
+ *  - se imprime en consola y se escribe en JSON (options.reportPath →
+ *    report.output → <salida>.report.json)
+ *  - en modo estricto (options.strict / report.strict) cualquier
+ *    construcción perdida o aproximada aborta la conversión.
+ *
+ * Los errores se lanzan (nunca process.exit): el código de salida lo
+ * decide la capa de interfaz (CLI/menú).
+ *
  * @param {string} [inputPathFromCli]  Ruta al bundle OAS3
  * @param {string} [outputPathFromCli] Ruta al Swagger 2.0 de salida
+ * @param {object} [options]
+ * @param {string} [options.syntax]    "yaml" | "json"
+ * @param {boolean} [options.strict]   Falla si hay construcciones con pérdida
+ * @param {string} [options.reportPath] Ruta del reporte JSON de compatibilidad
+ * @returns {Promise<string>}          Ruta del Swagger 2.0 generado
  */
-async function downgradeToSwagger2(inputPathFromCli, outputPathFromCli) {
+async function downgradeToSwagger2(inputPathFromCli, outputPathFromCli, options = {}) {
   const inputPath =
     inputPathFromCli ||
     swagger2Paths.input ||
@@ -74,6 +195,16 @@ async function downgradeToSwagger2(inputPathFromCli, outputPathFromCli) {
     );
   }
 
+  if (!fileExists(inputPath)) {
+    throw new Error(`❌ El bundle OpenAPI 3 de entrada no existe: ${inputPath}`);
+  }
+
+  if (options.syntax !== undefined && !VALID_SYNTAXES.includes(options.syntax)) {
+    throw new Error(
+      `❌ Sintaxis de salida inválida: ${options.syntax} (usa ${VALID_SYNTAXES.join(", ")})`
+    );
+  }
+
   const finalOutput =
     outputPathFromCli ||
     swagger2Paths.output ||
@@ -83,45 +214,56 @@ async function downgradeToSwagger2(inputPathFromCli, outputPathFromCli) {
   console.log(chalk.gray(`   Entrada : ${inputPath}`));
   console.log(chalk.gray(`   Salida  : ${finalOutput}\n`));
 
-  const converterPath = resolveExecutable("api-spec-converter");
+  const reportEnabled =
+    typeof swagger2Report.enabled === "boolean" ? swagger2Report.enabled : REPORT_DEFAULTS.enabled;
+  const strict =
+    typeof options.strict === "boolean"
+      ? options.strict
+      : typeof swagger2Report.strict === "boolean"
+      ? swagger2Report.strict
+      : REPORT_DEFAULTS.strict;
 
-  if (!converterPath) {
-    console.error(chalk.red('\n✖ No se encontró el ejecutable de "api-spec-converter".'));
-    console.error(
-      chalk.red(
-        '   Asegúrate de que "api-spec-converter" está instalado como dependencia del CLI\n' +
-          "   o del proyecto que consume la herramienta."
-      )
-    );
-    process.exit(1);
+  // El modo estricto necesita el análisis aunque el reporte esté desactivado
+  const oas3Doc = readSpecFile(inputPath);
+
+  if (reportEnabled || strict) {
+    const findings = analyzeSwagger2Compatibility(oas3Doc);
+    printCompatibilityReport(findings);
+
+    const reportPath =
+      options.reportPath || swagger2Report.output || buildDefaultReportOutput(finalOutput);
+    writeSpecFile(reportPath, {
+      input: inputPath,
+      output: finalOutput,
+      summary: {
+        lost: findings.filter((finding) => finding.severity === "lost").length,
+        approximated: findings.filter((finding) => finding.severity === "approximated").length,
+      },
+      findings,
+    });
+    console.log(chalk.gray(`   Reporte : ${reportPath}\n`));
+
+    if (strict && findings.length > 0) {
+      throw new Error(
+        `❌ Modo estricto: ${findings.length} construcción(es) no compatibles con Swagger 2.0 ` +
+          `(ver ${reportPath}).`
+      );
+    }
   }
 
-  ensureDir(path.dirname(finalOutput));
-
-  // api-spec-converter CLI:
-  //   api-spec-converter --from=openapi_3 --to=swagger_2 --syntax=yaml archivo.yaml > salida.yaml
-  //
-  // Usamos redirección ">" porque runCommand ejecuta el comando en shell.
-  const command = [
-    `"${converterPath}"`,
-    "--from=openapi_3",
-    "--to=swagger_2",
-    "--syntax=yaml",
-    `"${inputPath}"`,
-    ">",
-    `"${finalOutput}"`,
-  ].join(" ");
+  // La entrada puede ser YAML o JSON; la sintaxis de salida sigue a su
+  // extensión salvo que se indique explícitamente.
+  const syntax = options.syntax || (isJsonFile(finalOutput) ? "json" : "yaml");
 
   try {
-    const { stdout } = await runCommand(command);
-    if (stdout && stdout.trim()) {
-      console.log(stdout);
-    }
+    const swagger2Doc = convertToSwagger2(oas3Doc, CONVERSION_OPTIONS);
+    writeSpecFile(finalOutput, swagger2Doc, syntax);
 
     console.log(chalk.bold.green(`\n✅ Swagger 2.0 generado en: ${finalOutput}\n`));
+    return finalOutput;
   } catch (error) {
     console.error(chalk.red("\n✖ Error al convertir a Swagger 2.0:\n"));
-    console.error(error.stdout || error.message || error);
+    console.error(error.message || error);
     throw error;
   }
 }
@@ -129,4 +271,5 @@ async function downgradeToSwagger2(inputPathFromCli, outputPathFromCli) {
 module.exports = {
   downgradeToSwagger2,
   buildDefaultSwagger2Output,
+  buildDefaultReportOutput,
 };
@@ -0,0 +1,334 @@
+// bin/application/join.js
+
+const path = require('path');
+const chalk = require('chalk');
+
+const { fileExists } = require('../infrastructure/fileSystem');
+const { readSpecFile, writeSpecFile } = require('../infrastructure/yamlUtils');
+const {
+  NAME_MAP_KEYS,
+  isDataKey,
+  isPlainObject,
+  parseFragment,
+  formatFragment,
+} = require('../core/jsonPointer');
+
+/**
+ * Operación inversa de modularize: une un árbol modular (src/) en un único
+ * contrato, sin pasar por Redocly.
+ *
+ *   - Las secciones del entrypoint (paths, webhooks, components.<tipo>),
+ *     directas o vía index.yaml, dicen qué archivo es qué component/path.
+ *   - Un $ref a uno de esos archivos vuelve a ser interno con el nombre
+ *     ORIGINAL del component (la clave del entrypoint, no el archivo con
+ *     afijos): "../schemas/UserSchema.yaml#/properties/id"
+ *     → "#/components/schemas/User/properties/id".
+ *   - Un $ref al entrypoint ("../main.yaml#/components/...") queda con su fragmento.
+ *   - Un $ref a otro archivo local completo se incrusta; el resto (URLs,
+ *     fragmentos de archivos ajenos al árbol) se conserva, relativo a la salida.
+ */
+
+const SECTION_KEYS = ['paths', 'webhooks'];
+
+function isUrlRef(ref) {
+  return /^[a-z][a-z0-9+.-]*:/i.test(ref);
+}
+
+function splitRef(ref) {
+  const index = ref.indexOf('#');
+  if (index < 0) return { file: ref, fragment: '' };
+  return { file: ref.slice(0, index), fragment: ref.slice(index) };
+}
+
+/**
+ * Un valor de discriminator.mapping es una ref si lleva fragmento o apunta a
+ * un archivo; si no, es el nombre de un schema y se deja tal cual.
+ */
+function isMappingRef(value) {
+  return typeof value === 'string' && (value.includes('#') || /\.(ya?ml|json)$/i.test(value));
+}
+
+/**
+ * Un $ref "de archivo" tal como lo escribe modularize: { $ref: './x.yaml' }.
+ */
+function isFileRefEntry(entry) {
+  return (
+    isPlainObject(entry) &&
+    typeof entry.$ref === 'string' &&
+    Object.keys(entry).length === 1 &&
+    !entry.$ref.includes('#') &&
+    !isUrlRef(entry.$ref)
+  );
+}
+
+// ---------------------------------------------------------------------------
+// CONTEXTO
+// ---------------------------------------------------------------------------
+
+function createContext(entrypointPath, options) {
+  const entryFile = path.resolve(entrypointPath);
+  return {
+    entryFile,
+    read: options.readFile || readSpecFile,
+    exists: options.fileExists || fileExists,
+    outputDir: path.dirname(path.resolve(options.outputPath || entrypointPath)),
+    // archivo absoluto → segmentos de su ubicación en el monolito
+    known: new Map(),
+    // refs que no se pudieron resolver dentro del árbol
+    external: [],
+  };
+}
+
+/**
+ * Lee las entradas de una sección del entrypoint. Si la sección es un
+ * { $ref } a un index.yaml (behavior.createIndexFiles), las entradas salen
+ * del índice y sus rutas son relativas a él.
+ */
+function readSectionEntries(ctx, value) {
+  if (isFileRefEntry(value)) {
+    const indexFile = path.resolve(path.dirname(ctx.entryFile), value.$ref);
+    return { entries: ctx.read(indexFile) || {}, baseDir: path.dirname(indexFile) };
+  }
+  return { entries: isPlainObject(value) ? value : {}, baseDir: path.dirname(ctx.entryFile) };
+}
+
+/**
+ * Registra los archivos de una sección con su ubicación en el monolito.
+ */
+function registerSection(ctx, segments, value) {
+  const section = readSectionEntries(ctx, value);
+  Object.entries(section.entries).forEach(([name, entry]) => {
+    if (isFileRefEntry(entry)) {
+      ctx.known.set(path.resolve(section.baseDir, entry.$ref), segments.concat(name));
+    }
+  });
+  return section;
+}
+
+// ---------------------------------------------------------------------------
+// REESCRITURA DE REFS
+// ---------------------------------------------------------------------------
+
+/**
+ * @returns {{ ref: string } | { inline: string }}  ref reescrita, o archivo a incrustar.
+ */
+function resolveRef(ctx, ref, file, fileRoot, stack) {
+  if (isUrlRef(ref)) return { ref };
+
+  const { file: target, fragment } = splitRef(ref);
+  const fragmentSegments = parseFragment(fragment || '#');
+
+  // Ref local al propio archivo: relativa a dónde vive el archivo en el monolito
+  if (target === '') {
+    if (!fragmentSegments) return { ref };
+    return { ref: formatFragment(fileRoot.concat(fragmentSegments)) || '#' };
+  }
+
+  const absolute = path.resolve(path.dirname(file), target);
+
+  if (absolute === ctx.entryFile) return { ref: fragment || '#' };
+
+  if (ctx.known.has(absolute) && fragmentSegments) {
+    return { ref: formatFragment(ctx.known.get(absolute).concat(fragmentSegments)) || '#' };
+  }
+
+  if (!fragment && ctx.exists(absolute) && !stack.includes(absolute)) {
+    return { inline: absolute };
+  }
+
+  const rebased = path.relative(ctx.outputDir, absolute).split(path.sep).join('/');
+  const kept = (rebased.startsWith('.') ? rebased : './' + rebased) + fragment;
+  ctx.external.push({ ref: kept, file });
+  return { ref: kept };
+}
+
+function rewriteNode(ctx, node, file, fileRoot, pointer, stack, parentKey = null) {
+  if (Array.isArray(node)) {
+    return node.map((item, index) =>
+      rewriteNode(ctx, item, file, fileRoot, pointer.concat(String(index)), stack),
+    );
+  }
+  if (!isPlainObject(node)) return node;
+
+  if (typeof node.$ref === 'string') {
+    const resolved = resolveRef(ctx, node.$ref, file, fileRoot, stack);
+    if (resolved.inline) {
+      const content = resolveFile(ctx, resolved.inline, pointer, stack);
+      const siblings = Object.assign({}, node);
+      delete siblings.$ref;
+      if (Object.keys(siblings).length === 0 || !isPlainObject(content)) return content;
+      return Object.assign(
+        {},
+        content,
+        rewriteNode(ctx, siblings, file, fileRoot, pointer, stack, parentKey),
+      );
+    }
+    node = Object.assign({}, node, { $ref: resolved.ref });
+  }
+
+  const isNameMap = NAME_MAP_KEYS.includes(parentKey);
+  const result = {};
+  Object.keys(node).forEach((key) => {
+    const value = node[key];
+    const isData = !isNameMap && isDataKey(key, value);
+    if (key === '$ref' || isData) {
+      result[key] = value;
+      return;
+    }
+    if (!isNameMap && key === 'discriminator' && isPlainObject(value) && isPlainObject(value.mapping)) {
+      const mapping = {};
+      Object.entries(value.mapping).forEach(([mappingKey, mapped]) => {
+        mapping[mappingKey] =
+          isMappingRef(mapped)
+            ? resolveRef(ctx, mapped, file, fileRoot, stack).ref || mapped
+            : mapped;
+      });
+      result[key] = Object.assign({}, value, { mapping });
+      return;
+    }
+    result[key] = rewriteNode(
+      ctx,
+      value,
+      file,
+      fileRoot,
+      pointer.concat(key),
+      stack,
+      isNameMap ? null : key,
+    );
+  });
+  return result;
+}
+
+/**
+ * Lee un archivo del árbol y reescribe sus refs; `root` es su ubicación en el monolito.
+ */
+function resolveFile(ctx, file, root, stack = []) {
+  const content = ctx.read(file);
+  return rewriteNode(ctx, content, file, root, root, stack.concat(file));
+}
+
+// ---------------------------------------------------------------------------
+// API
+// ---------------------------------------------------------------------------
+
+/**
+ * Une en memoria un árbol modular en un único documento.
+ *
+ * @param {string} entrypointPath  Archivo principal del árbol (src/main.yaml).
+ * @param {object} [options]
+ * @param {string} [options.outputPath]  Salida prevista (para rebasar refs externas).
+ * @param {(filePath: string) => any} [options.readFile]      Lector de archivos del árbol
+ *        (default: disco). Permite unir un árbol que aún está en memoria.
+ * @param {(filePath: string) => boolean} [options.fileExists]
+ * @returns {{ document: object, external: Array<{ ref: string, file: string }> }}
+ */
+function joinModularTree(entrypointPath, options = {}) {
+  const ctx = createContext(entrypointPath, options);
+  const entry = ctx.read(ctx.entryFile);
+  if (!isPlainObject(entry)) {
+    throw new Error('❌ El entrypoint no contiene un documento OpenAPI: ' + entrypointPath);
+  }
+
+  // 1) Qué archivo es qué (antes de reescribir nada: hay refs cruzadas)
+  const sections = {};
+  SECTION_KEYS.forEach((key) => {
+    if (entry[key] !== undefined) sections[key] = registerSection(ctx, [key], entry[key]);
+  });
+  const componentSections = {};
+  Object.entries(isPlainObject(entry.components) ? entry.components : {}).forEach(
+    ([type, value]) => {
+      componentSections[type] = registerSection(ctx, ['components', type], value);
+    },
+  );
+
+  // 2) Cada entrada: el archivo que le corresponde o su contenido inline
+  const resolveSection = (segments, section) => {
+    const result = {};
+    Object.entries(section.entries).forEach(([name, value]) => {
+      const location = segments.concat(name);
+      if (isFileRefEntry(value)) {
+        const file = path.resolve(section.baseDir, value.$ref);
+        result[name] = resolveFile(ctx, file, location);
+      } else {
+        result[name] = rewriteNode(ctx, value, ctx.entryFile, [], location, [ctx.entryFile]);
+      }
+    });
+    return result;
+  };
+
+  const document = {};
+  Object.keys(entry).forEach((key) => {
+    if (sections[key]) {
+      document[key] = resolveSection([key], sections[key]);
+    } else if (key === 'components' && isPlainObject(entry.components)) {
+      document.components = {};
+      Object.keys(entry.components).forEach((type) => {
+        document.components[type] = resolveSection(['components', type], componentSections[type]);
+      });
+    } else {
+      document[key] = rewriteNode(
+        ctx,
+        entry[key],
+        ctx.entryFile,
+        [],
+        [key],
+        [ctx.entryFile],
+        key,
+      );
+    }
+  });
+
+  return { document, external: ctx.external };
+}
+
+/**
+ * Comando join: une el árbol modular y escribe el monolito (YAML o JSON
+ * según la extensión de salida).
+ *
+ * @param {string} entrypointPath
+ * @param {string} outputPath
+ * @returns {Promise<string>}  Ruta del monolito generado.
+ */
+async function joinToMonolith(entrypointPath, outputPath) {
+  if (!entrypointPath || typeof entrypointPath !== 'string') {
+    throw new Error('❌ Debes indicar el entrypoint del árbol modular (ej: ./src/main.yaml).');
+  }
+  if (!outputPath || typeof outputPath !== 'string') {
+    throw new Error('❌ Debes indicar la ruta de salida del monolito (ej: ./api/openapi.yaml).');
+  }
+  if (!fileExists(entrypointPath)) {
+    throw new Error('❌ El entrypoint no existe: ' + entrypointPath);
+  }
+
+  console.log(chalk.cyan('\n🧩 Uniendo árbol modular en un único contrato...\n'));
+  console.log(chalk.gray('   Entrada : ' + entrypointPath));
+  console.log(chalk.gray('   Salida  : ' + outputPath + '\n'));
+
+  const { document, external } = joinModularTree(entrypointPath, { outputPath });
+  writeSpecFile(outputPath, document);
+
+  const components = isPlainObject(document.components) ? document.components : {};
+  Object.entries(components).forEach(([type, entries]) => {
+    if (isPlainObject(entries)) {
+      console.log(chalk.gray('   - ' + type + ': ' + Object.keys(entries).length));
+    }
+  });
+  if (isPlainObject(document.paths)) {
+    console.log(chalk.gray('   - paths: ' + Object.keys(document.paths).length));
+  }
+
+  if (external.length > 0) {
+    console.log(chalk.yellow('\n   ⚠ Referencias externas conservadas (fuera del árbol modular):'));
+    external.forEach((item) =>
+      console.log(chalk.yellow('     • ' + item.ref) + chalk.dim(' (' + item.file + ')')),
+    );
+  }
+
+  console.log(chalk.bold.green('\n✅ Contrato unido en: ' + outputPath + '\n'));
+  return outputPath;
+}
+
+module.exports = {
+  joinModularTree,
+  joinToMonolith,
+};
@@ -0,0 +1,184 @@
+// bin/application/lint.js
+
+const chalk = require('chalk');
+
+const { readSpecFile } = require('../infrastructure/yamlUtils');
+const { fileExists } = require('../infrastructure/fileSystem');
+const { loadAllConfigs } = require('../infrastructure/configLoader');
+const { runLintRules } = require('../core/lintEngine');
+
+// ---------------------------------------------------------------------------
+// CARGA DE CONFIGURACION
+// ---------------------------------------------------------------------------
+const configs = loadAllConfigs();
+const linterConfig = configs.linter || {};
+const outputConfig = linterConfig.output || {};
+
+const VALID_FORMATS = ['pretty', 'json', 'compact'];
+
+// Defaults técnicos de salida (el config los sobreescribe si está presente)
+const DEFAULTS = {
+  format: 'pretty',
+  showPassed: false,
+  maxIssues: 200,
+};
+
+if (outputConfig.format !== undefined && !VALID_FORMATS.includes(outputConfig.format)) {
+  throw new Error(
+    `❌ El campo config.linter.output.format debe ser uno de: ${VALID_FORMATS.join(', ')} (valor actual: ${JSON.stringify(
+      outputConfig.format,
+    )})`,
+  );
+}
+if (outputConfig.showPassed !== undefined && typeof outputConfig.showPassed !== 'boolean') {
+  throw new Error('❌ El campo config.linter.output.showPassed debe ser booleano si se define');
+}
+if (
+  outputConfig.maxIssues !== undefined &&
+  (!Number.isInteger(outputConfig.maxIssues) || outputConfig.maxIssues < 0)
+) {
+  throw new Error('❌ El campo config.linter.output.maxIssues debe ser un entero >= 0 si se define');
+}
+if (linterConfig.rules !== undefined && !Array.isArray(linterConfig.rules)) {
+  throw new Error('❌ El campo config.linter.rules debe ser una lista de reglas');
+}
+
+const SEVERITY_STYLES = {
+  error: (text) => chalk.red(text),
+  warn: (text) => chalk.yellow(text),
+  info: (text) => chalk.blue(text),
+};
+
+// ---------------------------------------------------------------------------
+// FORMATEADORES
+// ---------------------------------------------------------------------------
+
+function countBySeverity(issues) {
+  const counts = { error: 0, warn: 0, info: 0 };
+  issues.forEach((issue) => {
+    counts[issue.severity] = (counts[issue.severity] || 0) + 1;
+  });
+  return counts;
+}
+
+function printPretty(filePath, result, shownIssues, showPassed) {
+  console.log(chalk.cyan('\n🔎 Linter de reglas propias (config/linter.yaml): ' + filePath + '\n'));
+
+  let currentRule = null;
+  shownIssues.forEach((issue) => {
+    if (issue.ruleId !== currentRule) {
+      currentRule = issue.ruleId;
+      const style = SEVERITY_STYLES[issue.severity] || ((text) => text);
+      console.log(style(`  [${issue.severity}] ${issue.ruleId}`) + chalk.dim(' — ' + issue.message));
+    }
+    console.log(chalk.gray('    • ' + issue.pointer + ': ') + issue.detail);
+  });
+
+  if (shownIssues.length < result.issues.length) {
+    console.log(
+      chalk.yellow(
+        `\n  … ${result.issues.length - shownIssues.length} issue(s) más no mostrados (output.maxIssues)`,
+      ),
+    );
+  }
+
+  if (showPassed && result.passed.length > 0) {
+    console.log(chalk.green('\n  Reglas que pasan:'));
+    result.passed.forEach((ruleId) => console.log(chalk.green('    ✔ ' + ruleId)));
+  }
+
+  const counts = countBySeverity(result.issues);
+  const summary = `${counts.error} error(es), ${counts.warn} advertencia(s), ${counts.info} info`;
+  if (counts.error > 0) {
+    console.log(chalk.red('\n✖ Linter: ' + summary + '\n'));
+  } else {
+    console.log(chalk.green('\n✔ Linter: ' + summary + '\n'));
+  }
+}
+
+function printCompact(filePath, result, shownIssues, showPassed) {
+  shownIssues.forEach((issue) => {
+    console.log(`${filePath}${issue.pointer}: ${issue.severity} ${issue.ruleId} ${issue.detail}`);
+  });
+  if (showPassed) {
+    result.passed.forEach((ruleId) => console.log(`${filePath}: passed ${ruleId}`));
+  }
+}
+
+function printJson(filePath, result, shownIssues, showPassed) {
+  const output = {
+    file: filePath,
+    summary: countBySeverity(result.issues),
+    totalIssues: result.issues.length,
+    truncated: shownIssues.length < result.issues.length,
+    issues: shownIssues,
+  };
+  if (showPassed) output.passed = result.passed;
+  console.log(JSON.stringify(output, null, 2));
+}
+
+const FORMATTERS = {
+  pretty: printPretty,
+  compact: printCompact,
+  json: printJson,
+};
+
+// ---------------------------------------------------------------------------
+// FUNCIÓN PRINCIPAL
+// ---------------------------------------------------------------------------
+
+/**
+ * Evalúa las reglas de config/linter.yaml sobre un documento OpenAPI
+ * (monolítico o bundle: los $ref externos no se siguen).
+ *
+ * PRIORIDAD DE VALORES:
+ *   - options.format / options.maxIssues / options.showPassed (CLI/menú)
+ *   - output.* de config/linter.yaml
+ *   - defaults técnicos
+ *
+ * @param {string} filePath
+ * @param {object} [options]
+ * @param {string} [options.format]      "pretty" | "json" | "compact"
+ * @param {number} [options.maxIssues]
+ * @param {boolean} [options.showPassed]
+ * @returns {Promise<{ issues: object[], passed: string[], skipped: string[], errorCount: number }>}
+ */
+async function lintWithRules(filePath, options = {}) {
+  if (!filePath || typeof filePath !== 'string') {
+    throw new Error('❌ Debes indicar el archivo OpenAPI a validar.');
+  }
+  if (!fileExists(filePath)) {
+    throw new Error('El archivo de entrada no existe: ' + filePath);
+  }
+
+  const format = options.format || outputConfig.format || DEFAULTS.format;
+  if (!VALID_FORMATS.includes(format)) {
+    throw new Error(`Formato de salida inválido: ${format} (usa ${VALID_FORMATS.join(', ')})`);
+  }
+  const maxIssues =
+    options.maxIssues !== undefined
+      ? options.maxIssues
+      : outputConfig.maxIssues !== undefined
+      ? outputConfig.maxIssues
+      : DEFAULTS.maxIssues;
+  const showPassed =
+    typeof options.showPassed === 'boolean'
+      ? options.showPassed
+      : typeof outputConfig.showPassed === 'boolean'
+      ? outputConfig.showPassed
+      : DEFAULTS.showPassed;
+
+  const doc = readSpecFile(filePath);
+  const result = runLintRules(doc, linterConfig.rules || [], linterConfig.severityDefaults || {});
+
+  FORMATTERS[format](filePath, result, result.issues.slice(0, maxIssues), showPassed);
+
+  return {
+    ...result,
+    errorCount: result.issues.filter((issue) => issue.severity === 'error').length,
+  };
+}
+
+module.exports = {
+  lintWithRules,
+};
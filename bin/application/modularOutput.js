@@ -0,0 +1,276 @@
+// bin/application/modularOutput.js
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const { readSpecFile, stringifySpec } = require('../infrastructure/yamlUtils');
+const {
+  fileExists,
+  safeWriteFile,
+  listFilesRecursively,
+  removeEmptyDirsRecursively,
+} = require('../infrastructure/fileSystem');
+
+/**
+ * Escritura del árbol modular generado por modularize.
+ *
+ *   - "clean": escribe todos los archivos (la carpeta ya se limpió).
+ *   - "merge": compara cada archivo generado con el existente y solo escribe
+ *     los que cambian. Reporta agregados, modificados, sin cambios,
+ *     eliminados, huérfanos, conflictos y archivos sin seguimiento.
+ *
+ * En ambos modos se guarda un manifiesto (.modularize-manifest.json) con el
+ * hash de cada archivo generado, para que un merge posterior distinga lo
+ * generado de lo editado a mano. Ningún $ref apunta a él, así que join y
+ * bundle no lo leen. En merge:
+ *   - un archivo cuyo hash no coincide con el del manifiesto fue editado a
+ *     mano: es un conflicto y, por defecto, se conserva;
+ *   - un archivo existente sin entrada en el manifiesto (primer merge sobre
+ *     un árbol sin manifiesto, archivos agregados a mano) no se sabe quién
+ *     lo escribió: se reporta como "sin seguimiento" (untracked). Si se
+ *     regenera, sigue la misma política que un conflicto; si es huérfano,
+ *     nunca se elimina.
+ *
+ * Con dryRun no se toca el disco: cada archivo se clasifica contra lo que hay
+ * hoy, el contenido queda en memoria (read) y el reporte es el plan.
+ */
+
+const MANIFEST_FILE_NAME = '.modularize-manifest.json';
+
+const SPEC_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+const OUTPUT_MODES = ['clean', 'merge'];
+const CONFLICT_POLICIES = ['keep', 'overwrite'];
+
+function hashText(text) {
+  return crypto.createHash('md5').update(text).digest('hex');
+}
+
+function toRelative(outputDir, filePath) {
+  return path.relative(outputDir, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Valores de $ref (y de discriminator.mapping) de un archivo generado.
+ */
+function listRefs(node, refs = []) {
+  if (Array.isArray(node)) {
+    node.forEach((item) => listRefs(item, refs));
+  } else if (node !== null && typeof node === 'object') {
+    Object.keys(node).forEach((key) => {
+      const value = node[key];
+      if (key === '$ref' && typeof value === 'string') {
+        if (!refs.includes(value)) refs.push(value);
+      } else {
+        listRefs(value, refs);
+      }
+    });
+  }
+  return refs;
+}
+
+function readManifest(outputDir) {
+  const manifestPath = path.join(outputDir, MANIFEST_FILE_NAME);
+  if (!fileExists(manifestPath)) return { files: {} };
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    return manifest && typeof manifest.files === 'object' ? manifest : { files: {} };
+  } catch (error) {
+    // Un manifiesto ilegible equivale a no tenerlo: todo lo existente es "no generado"
+    return { files: {} };
+  }
+}
+
+/**
+ * Crea el escritor del árbol modular.
+ *
+ * @param {string} outputDir
+ * @param {object} [options]
+ * @param {'clean'|'merge'} [options.mode]        Default "clean".
+ * @param {boolean} [options.deleteOrphans]       Merge: elimina los archivos que ya no se generan.
+ * @param {'keep'|'overwrite'} [options.onConflict]  Merge: qué hacer con un archivo editado a mano
+ *                                                   o sin seguimiento.
+ * @param {boolean} [options.dryRun]              No escribe ni borra nada.
+ * @param {boolean} [options.cleanOutput]         Clean: la carpeta se vacía antes de escribir
+ *                                                (en dryRun, lo existente se reporta como eliminado).
+ * @returns {{ write: (filePath: string, data: any) => void, read: (filePath: string) => any,
+ *             exists: (filePath: string) => boolean, finish: () => object }}
+ */
+function createModularOutput(outputDir, options = {}) {
+  const mode = options.mode || 'clean';
+  const onConflict = options.onConflict || 'keep';
+  const dryRun = options.dryRun === true;
+  const manifest = mode === 'merge' ? readManifest(outputDir) : { files: {} };
+
+  // ruta absoluta → contenido generado (lectura en memoria en dryRun)
+  const contents = new Map();
+  const persist = (filePath, text) => {
+    if (!dryRun) safeWriteFile(filePath, text);
+  };
+  const remove = (filePath) => {
+    if (!dryRun) fs.unlinkSync(filePath);
+  };
+
+  // ruta relativa → hash registrado en el nuevo manifiesto
+  const generated = {};
+  const report = {
+    mode,
+    added: [],
+    changed: [],
+    unchanged: [],
+    removed: [],
+    orphans: [],
+    conflicts: [],
+    // Archivos existentes que no están en el manifiesto: { file, resolution }
+    untracked: [],
+    // dryRun: archivo → refs que contiene
+    refs: {},
+  };
+
+  const isTracked = (relative) => typeof manifest.files[relative] === 'string';
+
+  /**
+   * Un archivo del manifiesto fue editado a mano si ya no coincide con lo
+   * último generado.
+   */
+  const isHandEdited = (relative, existingText) =>
+    manifest.files[relative] !== hashText(existingText);
+
+  return {
+    write(filePath, data) {
+      const relative = toRelative(outputDir, filePath);
+      const text = stringifySpec(filePath, data);
+      const hash = hashText(text);
+      contents.set(path.resolve(filePath), data);
+      if (dryRun) report.refs[relative] = listRefs(data);
+
+      if (!fileExists(filePath)) {
+        persist(filePath, text);
+        generated[relative] = hash;
+        report.added.push(relative);
+        return;
+      }
+
+      const existingText = fs.readFileSync(filePath, 'utf8');
+      if (existingText === text) {
+        generated[relative] = hash;
+        report.unchanged.push(relative);
+        return;
+      }
+
+      if (mode === 'clean') {
+        persist(filePath, text);
+        generated[relative] = hash;
+        report.changed.push(relative);
+        return;
+      }
+
+      const tracked = isTracked(relative);
+      if (!tracked || isHandEdited(relative, existingText)) {
+        if (onConflict === 'overwrite') {
+          persist(filePath, text);
+          generated[relative] = hash;
+        } else if (tracked) {
+          // Se conserva la edición; el manifiesto sigue con lo último generado
+          generated[relative] = manifest.files[relative];
+        }
+        const entry = { file: relative, resolution: onConflict };
+        if (tracked) report.conflicts.push(entry);
+        else report.untracked.push(entry);
+        return;
+      }
+
+      persist(filePath, text);
+      generated[relative] = hash;
+      report.changed.push(relative);
+    },
+
+    /**
+     * Lee un archivo del árbol: lo generado en esta pasada o, si no, el disco.
+     */
+    read(filePath) {
+      const absolute = path.resolve(filePath);
+      if (contents.has(absolute)) return JSON.parse(JSON.stringify(contents.get(absolute)));
+      return readSpecFile(filePath);
+    },
+
+    /**
+     * Indica si un archivo existe en el árbol (generado o en disco).
+     */
+    exists(filePath) {
+      return contents.has(path.resolve(filePath)) || fileExists(filePath);
+    },
+
+    /**
+     * Resuelve los huérfanos (merge), guarda el manifiesto y devuelve el reporte.
+     */
+    finish() {
+      // Clean: en dryRun, lo que hoy existe y no se regenera desaparecería al vaciar la carpeta
+      if (mode === 'clean' && dryRun && options.cleanOutput) {
+        listFilesRecursively(outputDir).forEach((filePath) => {
+          const relative = toRelative(outputDir, filePath);
+          if (relative === MANIFEST_FILE_NAME || relative in generated) return;
+          report.removed.push(relative);
+        });
+      }
+
+      if (mode === 'merge') {
+        listFilesRecursively(outputDir).forEach((filePath) => {
+          const relative = toRelative(outputDir, filePath);
+          if (relative === MANIFEST_FILE_NAME || relative in generated) return;
+          // Se regeneró en esta pasada pero se conservó (sin seguimiento): ya está reportado
+          if (contents.has(path.resolve(filePath))) return;
+          if (!SPEC_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) return;
+
+          // Nunca se generó (o no hay manifiesto): no se toca
+          if (!isTracked(relative)) {
+            report.untracked.push({ file: relative, resolution: 'keep' });
+            return;
+          }
+
+          // Un huérfano que se conserva sigue en el manifiesto con su hash anterior
+          const keepOrphan = () => {
+            generated[relative] = manifest.files[relative];
+            report.orphans.push(relative);
+          };
+          if (!options.deleteOrphans) {
+            keepOrphan();
+            return;
+          }
+          // Un huérfano editado a mano es un conflicto: solo se borra con overwrite
+          const existingText = fs.readFileSync(filePath, 'utf8');
+          if (isHandEdited(relative, existingText) && onConflict !== 'overwrite') {
+            report.conflicts.push({ file: relative, resolution: 'keep' });
+            keepOrphan();
+            return;
+          }
+          remove(filePath);
+          report.removed.push(relative);
+        });
+        if (report.removed.length > 0 && !dryRun) removeEmptyDirsRecursively(outputDir);
+      }
+
+      if (dryRun) return report;
+
+      const files = {};
+      Object.keys(generated)
+        .sort()
+        .forEach((relative) => {
+          files[relative] = generated[relative];
+        });
+      safeWriteFile(
+        path.join(outputDir, MANIFEST_FILE_NAME),
+        JSON.stringify({ files }, null, 2) + '\n',
+      );
+      return report;
+    },
+  };
+}
+
+module.exports = {
+  createModularOutput,
+  MANIFEST_FILE_NAME,
+  OUTPUT_MODES,
+  CONFLICT_POLICIES,
+};
@@ -4,16 +4,36 @@ const chalk = require('chalk');
 const prompts = require('prompts');
 const crypto = require('crypto');
 
-const { readYamlFile, writeYamlFile } = require('../infrastructure/yamlUtils');
+const { readSpecFile, writeSpecFile } = require('../infrastructure/yamlUtils');
 const { removeDirIfExists, ensureDir, fileExists } = require('../infrastructure/fileSystem');
-const { slugifyPath } = require('../core/slugifyPath');
+const {
+  PARAM_STYLES,
+  MIN_MAX_LENGTH,
+  buildPathSlug,
+  findCommonBasePath,
+} = require('../core/slugifyPath');
+const { PATH_LAYOUTS, resolvePathFile, isTemplatedPath } = require('../core/pathLayout');
+const { createFileNameRegistry } = require('../core/fileNameRegistry');
 const { fixRefs } = require('../core/fixRefs');
+const { findUnusedComponents, isComponentReachable } = require('../core/componentGraph');
+const { parseFragment, isPlainObject } = require('../core/jsonPointer');
+const {
+  extractInlineSchemas,
+  extractInlineRequestBodies,
+  extractInlineParameters,
+} = require('../core/inlineExtraction');
+const { findDuplicateSchemas, mergeDuplicateSchemas } = require('../core/schemaDedupe');
+const { rewriteComponentRefs } = require('../core/normalizer');
 const {
   applyNamingConvention,
+  getConventionSeparator,
   generateComponentFilename,
   sanitizeComponentName,
 } = require('../core/namingConventions');
 const { validateWithRedocly } = require('./validate');
+const { verifyRoundTrip } = require('./verifyRoundTrip');
+const { createModularOutput, OUTPUT_MODES, CONFLICT_POLICIES } = require('./modularOutput');
+const { isSwagger2Document, upgradeSwagger2Document } = require('./upgradeSwagger2');
 const { loadAllConfigs } = require('../infrastructure/configLoader');
 
 // ---------------------------------------------------------------
@@ -47,6 +67,7 @@ const behaviorConfig = modularizeConfig.behavior;
 const advancedConfig = modularizeConfig.advanced;
 const namingConfig = modularizeConfig.naming;
 const affixesConfig = modularizeConfig.affixes;
+const modularizationConfig = modularizeConfig.modularization || {};
 
 // Validaciones fuertes de los campos clave
 if (!pathsConfig.input || typeof pathsConfig.input !== 'string') {
@@ -62,6 +83,64 @@ if (!advancedConfig.fileExtension || typeof advancedConfig.fileExtension !== 'st
     '❌ FALTA o es inválido: config.modularize.advanced.fileExtension (string requerido, ej: ".yaml")',
   );
 }
+const FILE_EXTENSIONS = ['.yaml', '.yml', '.json'];
+if (!FILE_EXTENSIONS.includes(advancedConfig.fileExtension)) {
+  throw new Error(
+    '❌ El campo config.modularize.advanced.fileExtension debe ser uno de: ' +
+      FILE_EXTENSIONS.join(', ') +
+      ' (valor actual: ' +
+      JSON.stringify(advancedConfig.fileExtension) +
+      ')',
+  );
+}
+
+// Nombres de archivo de paths/ y webhooks/ (opcionales)
+if (advancedConfig.slugifyPaths !== undefined && typeof advancedConfig.slugifyPaths !== 'boolean') {
+  throw new Error('❌ El campo config.modularize.advanced.slugifyPaths debe ser booleano si se define');
+}
+if (
+  advancedConfig.filenamePrefix !== undefined &&
+  (typeof advancedConfig.filenamePrefix !== 'string' ||
+    !/^[A-Za-z0-9._-]*$/.test(advancedConfig.filenamePrefix))
+) {
+  throw new Error(
+    '❌ El campo config.modularize.advanced.filenamePrefix debe ser un string con solo letras ASCII, dígitos, ".", "_" o "-"' +
+      ' (valor actual: ' +
+      JSON.stringify(advancedConfig.filenamePrefix) +
+      ')',
+  );
+}
+const pathSlugConfig = advancedConfig.pathSlug || {};
+if (pathSlugConfig.paramStyle !== undefined && !PARAM_STYLES.includes(pathSlugConfig.paramStyle)) {
+  throw new Error(
+    '❌ El campo config.modularize.advanced.pathSlug.paramStyle debe ser uno de: ' +
+      PARAM_STYLES.join(', ') +
+      ' (valor actual: ' +
+      JSON.stringify(pathSlugConfig.paramStyle) +
+      ')',
+  );
+}
+if (pathSlugConfig.stripBasePath !== undefined && typeof pathSlugConfig.stripBasePath !== 'string') {
+  throw new Error(
+    '❌ El campo config.modularize.advanced.pathSlug.stripBasePath debe ser un string si se define (ej: "/v1" o "auto")',
+  );
+}
+if (
+  pathSlugConfig.maxLength !== undefined &&
+  !(
+    Number.isInteger(pathSlugConfig.maxLength) &&
+    (pathSlugConfig.maxLength === 0 || pathSlugConfig.maxLength >= MIN_MAX_LENGTH)
+  )
+) {
+  throw new Error(
+    '❌ El campo config.modularize.advanced.pathSlug.maxLength debe ser 0 (sin límite) o un entero >= ' +
+      MIN_MAX_LENGTH +
+      ' (valor actual: ' +
+      JSON.stringify(pathSlugConfig.maxLength) +
+      ')',
+  );
+}
+
 if (typeof behaviorConfig.cleanModularizedOutput !== 'boolean') {
   throw new Error(
     '❌ FALTA o es inválido: config.modularize.behavior.cleanModularizedOutput (boolean requerido)',
@@ -72,6 +151,129 @@ if (typeof behaviorConfig.fixRefs !== 'boolean') {
     '❌ FALTA o es inválido: config.modularize.behavior.fixRefs (boolean requerido)',
   );
 }
+const PATH_REF_STRATEGIES = ['entrypoint', 'direct'];
+if (
+  behaviorConfig.pathRefStrategy !== undefined &&
+  !PATH_REF_STRATEGIES.includes(behaviorConfig.pathRefStrategy)
+) {
+  throw new Error(
+    '❌ El campo config.modularize.behavior.pathRefStrategy debe ser uno de: ' +
+      PATH_REF_STRATEGIES.join(', ') +
+      ' (valor actual: ' +
+      JSON.stringify(behaviorConfig.pathRefStrategy) +
+      ')',
+  );
+}
+if (
+  behaviorConfig.createIndexFiles !== undefined &&
+  typeof behaviorConfig.createIndexFiles !== 'boolean'
+) {
+  throw new Error('❌ El campo config.modularize.behavior.createIndexFiles debe ser booleano si se define');
+}
+if (
+  behaviorConfig.verifyRoundTrip !== undefined &&
+  typeof behaviorConfig.verifyRoundTrip !== 'boolean'
+) {
+  throw new Error('❌ El campo config.modularize.behavior.verifyRoundTrip debe ser booleano si se define');
+}
+if (
+  behaviorConfig.outputMode !== undefined &&
+  !OUTPUT_MODES.includes(behaviorConfig.outputMode)
+) {
+  throw new Error(
+    '❌ El campo config.modularize.behavior.outputMode debe ser uno de: ' +
+      OUTPUT_MODES.join(', ') +
+      ' (valor actual: ' +
+      JSON.stringify(behaviorConfig.outputMode) +
+      ')',
+  );
+}
+const mergeConfig = behaviorConfig.merge || {};
+if (mergeConfig.deleteOrphans !== undefined && typeof mergeConfig.deleteOrphans !== 'boolean') {
+  throw new Error('❌ El campo config.modularize.behavior.merge.deleteOrphans debe ser booleano si se define');
+}
+if (mergeConfig.onConflict !== undefined && !CONFLICT_POLICIES.includes(mergeConfig.onConflict)) {
+  throw new Error(
+    '❌ El campo config.modularize.behavior.merge.onConflict debe ser uno de: ' +
+      CONFLICT_POLICIES.join(', ') +
+      ' (valor actual: ' +
+      JSON.stringify(mergeConfig.onConflict) +
+      ')',
+  );
+}
+
+// Switches split* (opcionales, por defecto true): qué secciones se dividen en archivos
+const SPLIT_FLAGS = {
+  paths: 'splitPaths',
+  webhooks: 'splitWebhooks',
+  schemas: 'splitSchemas',
+  parameters: 'splitParameters',
+  responses: 'splitResponses',
+  requestBodies: 'splitRequestBodies',
+  headers: 'splitHeaders',
+  securitySchemes: 'splitSecuritySchemes',
+};
+Object.values(SPLIT_FLAGS).forEach(function (flag) {
+  if (modularizationConfig[flag] !== undefined && typeof modularizationConfig[flag] !== 'boolean') {
+    throw new Error(
+      '❌ El campo config.modularize.modularization.' + flag + ' debe ser booleano si se define',
+    );
+  }
+});
+
+if (
+  modularizationConfig.pathsLayout !== undefined &&
+  !PATH_LAYOUTS.includes(modularizationConfig.pathsLayout)
+) {
+  throw new Error(
+    '❌ El campo config.modularize.modularization.pathsLayout debe ser uno de: ' +
+      PATH_LAYOUTS.join(', ') +
+      ' (valor actual: ' +
+      JSON.stringify(modularizationConfig.pathsLayout) +
+      ')',
+  );
+}
+
+if (
+  modularizationConfig.splitOperations !== undefined &&
+  typeof modularizationConfig.splitOperations !== 'boolean'
+) {
+  throw new Error(
+    '❌ El campo config.modularize.modularization.splitOperations debe ser booleano si se define',
+  );
+}
+
+if (
+  modularizationConfig.includeUnusedComponents !== undefined &&
+  typeof modularizationConfig.includeUnusedComponents !== 'boolean'
+) {
+  throw new Error(
+    '❌ El campo config.modularize.modularization.includeUnusedComponents debe ser booleano si se define',
+  );
+}
+
+['extractInlineSchemas', 'extractInlineRequestBodies', 'extractInlineParameters'].forEach(
+  function (flag) {
+    if (modularizationConfig[flag] !== undefined && typeof modularizationConfig[flag] !== 'boolean') {
+      throw new Error(
+        '❌ El campo config.modularize.modularization.' + flag + ' debe ser booleano si se define',
+      );
+    }
+  },
+);
+
+// Deduplicación estructural de components.schemas (opcional)
+const schemaDedupeConfig = modularizeConfig.schemaDeduplication || {};
+['enabled', 'ignoreDescriptions', 'merge'].forEach(function (field) {
+  if (schemaDedupeConfig[field] !== undefined && typeof schemaDedupeConfig[field] !== 'boolean') {
+    throw new Error(
+      '❌ El campo config.modularize.schemaDeduplication.' + field + ' debe ser booleano si se define',
+    );
+  }
+});
+const SCHEMA_DEDUPE_ENABLED = schemaDedupeConfig.enabled === true;
+const SCHEMA_DEDUPE_OPTIONS = { ignoreDescriptions: schemaDedupeConfig.ignoreDescriptions === true };
+const SCHEMA_DEDUPE_MERGE = schemaDedupeConfig.merge === true;
 
 // Configuración de normalización de respuestas
 const responseNamingConfig = modularizeConfig.responseNaming || {
@@ -110,11 +312,81 @@ const TARGET_DIR = pathsConfig.modularizedOutput;
 const NORMALIZED_TARGET_DIR = path.normalize(TARGET_DIR);
 const COMPONENTS_DIR = path.join(NORMALIZED_TARGET_DIR, 'components');
 const PATHS_DIR = path.join(NORMALIZED_TARGET_DIR, 'paths');
+const WEBHOOKS_DIR = path.join(NORMALIZED_TARGET_DIR, 'webhooks');
 const FILE_EXTENSION = advancedConfig.fileExtension;
 const MAIN_FILE_NAME = pathsConfig.mainFileName || 'openapi';
 const MAIN_FILE = path.join(NORMALIZED_TARGET_DIR, MAIN_FILE_NAME + FILE_EXTENSION);
 const CLEAN_MOD_OUTPUT = behaviorConfig.cleanModularizedOutput;
 const FIX_REFS = behaviorConfig.fixRefs;
+const PATH_REF_STRATEGY = behaviorConfig.pathRefStrategy || 'entrypoint';
+const PATHS_LAYOUT = modularizationConfig.pathsLayout || 'flat';
+const PATH_SLUG_OPTIONS = {
+  normalize: advancedConfig.slugifyPaths !== false,
+  paramStyle: pathSlugConfig.paramStyle || 'plain',
+  prefix: advancedConfig.filenamePrefix || '',
+  maxLength: pathSlugConfig.maxLength || 0,
+};
+const STRIP_BASE_PATH = pathSlugConfig.stripBasePath || '';
+const CREATE_INDEX_FILES = behaviorConfig.createIndexFiles === true;
+const INDEX_FILE_NAME = 'index' + FILE_EXTENSION;
+const VERIFY_ROUND_TRIP = behaviorConfig.verifyRoundTrip !== false;
+const OUTPUT_MODE = behaviorConfig.outputMode || 'clean';
+const MERGE_DELETE_ORPHANS = mergeConfig.deleteOrphans === true;
+const MERGE_ON_CONFLICT = mergeConfig.onConflict || 'keep';
+
+// Máximo de diferencias listadas por la verificación round-trip
+const MAX_ROUND_TRIP_CHANGES = 30;
+
+// Refs encadenadas que se siguen al ubicar un cambio del round-trip (corta ciclos)
+const MAX_REF_HOPS = 50;
+
+/**
+ * Indica si una sección (paths o un tipo de componente) se divide en archivos.
+ * Los tipos sin switch en config (examples, links, callbacks...) siempre se dividen.
+ */
+function isSplitEnabled(section) {
+  const flag = SPLIT_FLAGS[section];
+  return !flag || modularizationConfig[flag] !== false;
+}
+
+const SPLIT_PATHS = isSplitEnabled('paths');
+const SPLIT_WEBHOOKS = isSplitEnabled('webhooks');
+const SPLIT_OPERATIONS = modularizationConfig.splitOperations === true;
+
+// Claves de un Path Item que son operaciones (splitOperations)
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const INLINE_COMPONENT_TYPES = Object.keys(SPLIT_FLAGS).filter(function (section) {
+  return section !== 'paths' && section !== 'webhooks' && !isSplitEnabled(section);
+});
+const INCLUDE_UNUSED_COMPONENTS = modularizationConfig.includeUnusedComponents !== false;
+
+// Pasadas de extracción inline (opt-in), en orden: los schemas primero para
+// que los requestBodies/parámetros extraídos ya los referencien.
+const INLINE_EXTRACTIONS = [
+  {
+    flag: 'extractInlineSchemas',
+    type: 'schemas',
+    title: 'SCHEMAS',
+    label: 'schema(s)',
+    extract: extractInlineSchemas,
+  },
+  {
+    flag: 'extractInlineRequestBodies',
+    type: 'requestBodies',
+    title: 'REQUEST BODIES',
+    label: 'requestBody(s)',
+    extract: extractInlineRequestBodies,
+  },
+  {
+    flag: 'extractInlineParameters',
+    type: 'parameters',
+    title: 'PARAMETROS',
+    label: 'parametro(s)',
+    extract: extractInlineParameters,
+  },
+].filter(function (extraction) {
+  return modularizationConfig[extraction.flag] === true;
+});
 
 // Descripciones genéricas para respuestas
 const GENERIC_DESCRIPTIONS = {
@@ -149,7 +421,7 @@ function assertValidOpenApiVersion(value) {
 }
 
 function hashContent(content) {
-  const normalized = JSON.stringify(content, Object.keys(content).sort());
+  const normalized = JSON.stringify(sortKeysDeep(content));
   return crypto.createHash('md5').update(normalized).digest('hex').substring(0, 8);
 }
 
@@ -158,13 +430,30 @@ function isSimpleResponse(response) {
   return keys.length === 0 || (keys.length === 1 && keys[0] === 'description');
 }
 
+/**
+ * Copia un valor ordenando las claves de todos sus objetos, para que dos
+ * contenidos equivalentes serialicen igual sin perder niveles anidados.
+ */
+function sortKeysDeep(value) {
+  if (Array.isArray(value)) return value.map(sortKeysDeep);
+  if (!value || typeof value !== 'object') return value;
+  const sorted = {};
+  Object.keys(value)
+    .sort()
+    .forEach(function (key) {
+      sorted[key] = sortKeysDeep(value[key]);
+    });
+  return sorted;
+}
+
 function getContentSignature(response) {
   if (!response || !response.content) return null;
   const signature = {};
   for (const [mediaType, mediaContent] of Object.entries(response.content)) {
-    signature[mediaType] = { schema: mediaContent.schema || null };
+    // El schema completo (incluidos los hermanos de $ref, válidos en 3.1)
+    signature[mediaType] = { schema: (mediaContent && mediaContent.schema) || null };
   }
-  return JSON.stringify(signature, Object.keys(signature).sort());
+  return JSON.stringify(sortKeysDeep(signature));
 }
 
 function shouldPreserveCustomName(statusCode) {
@@ -249,7 +538,33 @@ function generateResponseNameForInline(statusCode, description, existingNames) {
   return uniqueName;
 }
 
-function normalizeExistingResponses(components) {
+/**
+ * Status HTTP con los que se usa cada response de components en las
+ * operaciones ("#/components/responses/OkResponse" bajo 200 → ["200"]), en
+ * orden de aparición. Permite normalizar nombres que no llevan el código (ej:
+ * un contrato ya modularizado y vuelto a unir con join).
+ */
+function collectResponseStatusCodes(oasData) {
+  const statusByName = {};
+  ['paths', 'webhooks'].forEach(function (section) {
+    Object.values(oasData[section] || {}).forEach(function (pathItem) {
+      if (!pathItem || typeof pathItem !== 'object') return;
+      Object.values(pathItem).forEach(function (operation) {
+        if (!operation || typeof operation !== 'object' || !operation.responses) return;
+        Object.entries(operation.responses).forEach(function ([statusCode, response]) {
+          const ref = response && response.$ref;
+          if (typeof ref !== 'string' || !ref.startsWith('#/components/responses/')) return;
+          const name = ref.slice('#/components/responses/'.length);
+          if (!statusByName[name]) statusByName[name] = [];
+          if (!statusByName[name].includes(statusCode)) statusByName[name].push(statusCode);
+        });
+      });
+    });
+  });
+  return statusByName;
+}
+
+function normalizeExistingResponses(components, statusByName = {}) {
   if (!responseNamingConfig.enabled) {
     return { normalized: {}, nameMapping: {}, refMapping: {} };
   }
@@ -262,9 +577,19 @@ function normalizeExistingResponses(components) {
   const refMapping = {};
   const signatureToName = {};
 
+  const convention = namingConfig.components || 'PascalCase';
   for (const [originalName, content] of Object.entries(components.responses)) {
+    // El sufijo numérico de una colisión anterior ("OkResponse1") se recalcula abajo
+    const baseName = originalName.replace(/(Response)\d+$/, '$1');
     const codeMatch = originalName.match(/(\d{3})/);
-    const statusCode = codeMatch ? codeMatch[1] : 'default';
+    const usedStatusCodes = codeMatch ? [codeMatch[1]] : statusByName[originalName] || ['default'];
+    // Un nombre que ya es el de uno de sus status (ej: extraído en una pasada
+    // anterior y compartido entre 500 y default) se conserva
+    const statusCode =
+      usedStatusCodes.find(function (code) {
+        const candidate = normalizeResponseName(baseName, code, content.description || '');
+        return applyNamingConvention(candidate, convention) === baseName;
+      }) || usedStatusCodes[0];
     const contentSignature = getContentSignature(content);
     const simple = isSimpleResponse(content);
 
@@ -285,9 +610,15 @@ function normalizeExistingResponses(components) {
       continue;
     }
 
-    const newName = normalizeResponseName(originalName, statusCode, content.description || '');
-    const convention = namingConfig.components || 'PascalCase';
-    const finalName = applyNamingConvention(newName, convention);
+    const newName = normalizeResponseName(baseName, statusCode, content.description || '');
+    // Dos responses distintas con el mismo status no pueden compartir nombre
+    let finalName = applyNamingConvention(newName, convention);
+    const baseFinalName = finalName;
+    let counter = 1;
+    while (normalized[finalName]) {
+      finalName = baseFinalName + counter;
+      counter++;
+    }
 
     const normalizedContent = Object.assign({}, content);
     if (GENERIC_DESCRIPTIONS[statusCode]) {
@@ -307,15 +638,24 @@ function normalizeExistingResponses(components) {
   return { normalized, nameMapping, refMapping };
 }
 
-function extractInlineResponses(paths) {
+/**
+ * Extrae las respuestas inline de las operaciones de `paths` y `webhooks`
+ * (OpenAPI 3.1) a components.responses, deduplicadas entre ambas secciones.
+ *
+ * @param {object} oasData
+ * @returns {{ extractedResponses: object, responseReferences: object }}
+ *   responseReferences: sección → ruta → método → status → respuesta extraída.
+ */
+function extractInlineResponses(oasData) {
   const extractedResponses = {};
-  const responseReferences = {};
+  const responseReferences = { paths: {}, webhooks: {} };
   const simpleResponseByCode = {};
   const contentSignatureMap = {};
   const usedNames = new Set();
 
-  for (const [pathRoute, pathObj] of Object.entries(paths || {})) {
+  for (const [section, pathRoute, pathObj] of listPathItems(oasData)) {
     if (!pathObj) continue;
+    const sectionReferences = responseReferences[section];
 
     for (const [method, operation] of Object.entries(pathObj)) {
       const validMethods = [
@@ -331,8 +671,8 @@ function extractInlineResponses(paths) {
       if (!validMethods.includes(method.toLowerCase())) continue;
       if (!operation || !operation.responses) continue;
 
-      responseReferences[pathRoute] = responseReferences[pathRoute] || {};
-      responseReferences[pathRoute][method] = {};
+      sectionReferences[pathRoute] = sectionReferences[pathRoute] || {};
+      sectionReferences[pathRoute][method] = {};
 
       for (const [statusCode, response] of Object.entries(operation.responses)) {
         if (response.$ref) continue;
@@ -340,7 +680,7 @@ function extractInlineResponses(paths) {
         // CASO 1: Respuesta simple
         if (isSimpleResponse(response)) {
           if (simpleResponseByCode[statusCode]) {
-            responseReferences[pathRoute][method][statusCode] =
+            sectionReferences[pathRoute][method][statusCode] =
               simpleResponseByCode[statusCode];
             continue;
           }
@@ -356,7 +696,7 @@ function extractInlineResponses(paths) {
           };
           simpleResponseByCode[statusCode] = responseName;
           extractedResponses[responseName] = genericContent;
-          responseReferences[pathRoute][method][statusCode] = responseName;
+          sectionReferences[pathRoute][method][statusCode] = responseName;
           continue;
         }
 
@@ -365,7 +705,7 @@ function extractInlineResponses(paths) {
         if (contentSignature) {
           const signatureKey = statusCode + ':' + contentSignature;
           if (contentSignatureMap[signatureKey]) {
-            responseReferences[pathRoute][method][statusCode] =
+            sectionReferences[pathRoute][method][statusCode] =
               contentSignatureMap[signatureKey];
             continue;
           }
@@ -386,7 +726,7 @@ function extractInlineResponses(paths) {
           }
           contentSignatureMap[signatureKey] = responseName;
           extractedResponses[responseName] = normalizedResponse;
-          responseReferences[pathRoute][method][statusCode] = responseName;
+          sectionReferences[pathRoute][method][statusCode] = responseName;
           continue;
         }
 
@@ -394,7 +734,7 @@ function extractInlineResponses(paths) {
         const contentHash = hashContent(response);
         const hashKey = 'hash:' + contentHash;
         if (contentSignatureMap[hashKey]) {
-          responseReferences[pathRoute][method][statusCode] =
+          sectionReferences[pathRoute][method][statusCode] =
             contentSignatureMap[hashKey];
           continue;
         }
@@ -405,7 +745,7 @@ function extractInlineResponses(paths) {
         );
         contentSignatureMap[hashKey] = responseName;
         extractedResponses[responseName] = response;
-        responseReferences[pathRoute][method][statusCode] = responseName;
+        sectionReferences[pathRoute][method][statusCode] = responseName;
       }
     }
   }
@@ -413,25 +753,643 @@ function extractInlineResponses(paths) {
   return { extractedResponses, responseReferences };
 }
 
-function replaceInlineResponsesWithRefs(paths, responseReferences) {
-  for (const [pathRoute, methodsMap] of Object.entries(responseReferences)) {
-    if (!paths[pathRoute]) continue;
-    for (const [method, statusCodesMap] of Object.entries(methodsMap)) {
-      if (!paths[pathRoute][method] || !paths[pathRoute][method].responses) continue;
-      for (const [statusCode, responseName] of Object.entries(statusCodesMap)) {
-        paths[pathRoute][method].responses[statusCode] = {
-          $ref: '../components/responses/' + responseName + '.yaml',
-        };
+// [sección, ruta o nombre, path item] de paths y webhooks
+function listPathItems(oasData) {
+  return ['paths', 'webhooks'].flatMap(function (section) {
+    return Object.entries(oasData[section] || {}).map(function ([route, pathItem]) {
+      return [section, route, pathItem];
+    });
+  });
+}
+
+/**
+ * Archivo de un path, relativo a paths/ (ver modularization.pathsLayout y
+ * advanced.pathSlug). Con markParams, los parámetros se marcan con "by-"
+ * (users-by-id.yaml).
+ */
+function resolvePathFileFor(route, pathItem, basePath, markParams) {
+  return resolvePathFile(
+    route,
+    pathItem,
+    Object.assign({}, PATH_SLUG_OPTIONS, {
+      layout: PATHS_LAYOUT,
+      convention: namingConfig.paths || 'kebab-case',
+      fileExtension: FILE_EXTENSION,
+      basePath: basePath,
+      markParams: markParams === true,
+    }),
+  );
+}
+
+/**
+ * Base que se quita de las rutas al nombrar sus archivos
+ * (advanced.pathSlug.stripBasePath; "auto" = la común a todas las rutas).
+ */
+function resolveStripBasePath(routes) {
+  return STRIP_BASE_PATH === 'auto' ? findCommonBasePath(routes) : STRIP_BASE_PATH;
+}
+
+/**
+ * Archivo de una operación (splitOperations), relativo a paths/: en una
+ * carpeta con el nombre del archivo del path (users-id.yaml → users-id/get.yaml).
+ */
+function resolveOperationFile(pathFile, method) {
+  const operationsDir = pathFile.slice(0, -path.extname(pathFile).length);
+  const convention = namingConfig.paths || 'kebab-case';
+  return operationsDir + '/' + applyNamingConvention(method, convention) + FILE_EXTENSION;
+}
+
+function reservedFileNames() {
+  return CREATE_INDEX_FILES ? [INDEX_FILE_NAME] : [];
+}
+
+/**
+ * Archivos de paths/ (y de las operaciones, con splitOperations) sin colisiones.
+ *
+ * /users/{id} y /users/id darían ambos users-id.yaml: la ruta con parámetros
+ * se marca con "by-" (users-by-id.yaml), sin importar el orden en que se
+ * declaren. El resto de colisiones (incluidas las que solo difieren en
+ * mayúsculas) llevan sufijo numérico en orden de declaración.
+ *
+ * El sufijo numérico usa el separador de la convención (users-id-2.yaml,
+ * users_id_2.yaml, UsersId2.yaml).
+ *
+ * @returns {{ files: object, operations: object, collisions: object[], basePath: string }}
+ *          files: ruta → archivo; operations: ruta → { método → archivo };
+ *          basePath: base quitada de las rutas ("" si ninguna)
+ */
+function assignPathFiles(paths) {
+  const registry = createFileNameRegistry({
+    scope: 'paths',
+    separator: getConventionSeparator(namingConfig.paths || 'kebab-case'),
+    reserved: reservedFileNames(),
+  });
+
+  const routes = Object.keys(paths || {}).filter(function (route) {
+    const pathItem = paths[route];
+    return pathItem && typeof pathItem === 'object' && Object.keys(pathItem).length > 0;
+  });
+  const basePath = resolveStripBasePath(routes);
+  const naturalFiles = {};
+  const claimsByFile = {};
+  routes.forEach(function (route) {
+    naturalFiles[route] = resolvePathFileFor(route, paths[route], basePath);
+    const key = naturalFiles[route].toLowerCase();
+    claimsByFile[key] = (claimsByFile[key] || 0) + 1;
+  });
+  const isMarked = function (route) {
+    return isTemplatedPath(route) && claimsByFile[naturalFiles[route].toLowerCase()] > 1;
+  };
+
+  // Primero las que conservan su nombre; después las que se marcan con "by-"
+  const files = {};
+  const orderedRoutes = routes
+    .filter(function (route) {
+      return !isMarked(route);
+    })
+    .concat(routes.filter(isMarked));
+  orderedRoutes.forEach(function (route) {
+    const candidates = [naturalFiles[route]];
+    if (isMarked(route)) candidates.push(resolvePathFileFor(route, paths[route], basePath, true));
+    files[route] = registry.claim(candidates, route);
+  });
+
+  const operations = {};
+  if (SPLIT_OPERATIONS) {
+    routes.forEach(function (route) {
+      operations[route] = {};
+      Object.entries(paths[route]).forEach(function ([method, operation]) {
+        if (!HTTP_METHODS.includes(method) || !operation || typeof operation !== 'object') return;
+        operations[route][method] = registry.claim(
+          resolveOperationFile(files[route], method),
+          method.toUpperCase() + ' ' + route,
+        );
+      });
+    });
+  }
+
+  return {
+    files: files,
+    operations: operations,
+    collisions: registry.collisions,
+    basePath: basePath,
+  };
+}
+
+/**
+ * Archivos de webhooks/ sin colisiones (newPet y new-pet darían new-pet.yaml).
+ *
+ * @returns {{ files: object, collisions: object[] }}  files: webhook → archivo
+ */
+function assignWebhookFiles(webhooks) {
+  const convention = namingConfig.webhooks || namingConfig.paths || 'kebab-case';
+  const registry = createFileNameRegistry({
+    scope: 'webhooks',
+    separator: getConventionSeparator(convention),
+    reserved: reservedFileNames(),
+  });
+  const files = {};
+  const slugOptions = Object.assign({}, PATH_SLUG_OPTIONS, { convention: convention });
+  Object.keys(webhooks || {}).forEach(function (webhookName) {
+    files[webhookName] = registry.claim(
+      buildPathSlug(webhookName, slugOptions) + FILE_EXTENSION,
+      webhookName,
+    );
+  });
+  return { files: files, collisions: registry.collisions };
+}
+
+/**
+ * Nombres de archivo (sin extensión) de los components que se dividen, sin
+ * colisiones dentro de cada components/<type>/: User_Info y UserInfo darían
+ * ambos UserInfoSchema.yaml. fixRefs usa el mismo mapa para sus $ref.
+ *
+ * @returns {{ fileNames: object, collisions: object[] }}  fileNames: tipo → nombre → archivo
+ */
+function assignComponentFiles(components, isIncluded) {
+  const fileNames = {};
+  const collisions = [];
+  const separator = getConventionSeparator(namingConfig.components || 'PascalCase');
+
+  Object.entries(components || {}).forEach(function ([type, entries]) {
+    if (!isSplitEnabled(type) || !entries || typeof entries !== 'object') return;
+    const registry = createFileNameRegistry({
+      scope: 'components/' + type,
+      separator: separator,
+      reserved: reservedFileNames(),
+    });
+    fileNames[type] = {};
+    Object.keys(entries).forEach(function (name) {
+      if (!isIncluded(type, name)) return;
+      const fileName = registry.claim(
+        generateComponentFilename(name, type, namingConfig, affixesConfig) + FILE_EXTENSION,
+        name,
+      );
+      fileNames[type][name] = fileName.slice(0, fileName.length - FILE_EXTENSION.length);
+    });
+    collisions.push.apply(collisions, registry.collisions);
+  });
+
+  return { fileNames: fileNames, collisions: collisions };
+}
+
+function printFileNameCollisions(collisions) {
+  console.log('\n' + styles.section('  COLISIONES DE NOMBRES DE ARCHIVO'));
+  collisions.forEach(function (collision) {
+    const reason = collision.conflictsWith
+      ? 'ya usado por ' + collision.conflictsWith
+      : 'nombre reservado';
+    console.log(
+      styles.warning(
+        collision.scope +
+          '/' +
+          collision.file +
+          ' (' +
+          reason +
+          '): ' +
+          collision.owner +
+          ' -> ' +
+          collision.resolved,
+      ),
+    );
+  });
+  console.log(styles.success(collisions.length + ' colision(es) resuelta(s)'));
+}
+
+/**
+ * Reemplaza las respuestas inline por refs internas a las extraídas
+ * ("#/components/responses/<Name>"), igual que las que ya existían: fixRefs
+ * las lleva a todas al destino de behavior.pathRefStrategy, así que volver a
+ * modularizar un contrato unido con join genera las mismas refs.
+ *
+ * @param {object} oasData
+ * @param {object} responseReferences  Sección → ruta → método → status → respuesta extraída.
+ */
+function replaceInlineResponsesWithRefs(oasData, responseReferences) {
+  for (const [section, routes] of Object.entries(responseReferences)) {
+    const paths = oasData[section];
+    if (!paths) continue;
+    for (const [pathRoute, methodsMap] of Object.entries(routes)) {
+      if (!paths[pathRoute]) continue;
+      for (const [method, statusCodesMap] of Object.entries(methodsMap)) {
+        if (!paths[pathRoute][method] || !paths[pathRoute][method].responses) continue;
+        for (const [statusCode, responseName] of Object.entries(statusCodesMap)) {
+          paths[pathRoute][method].responses[statusCode] = {
+            $ref: '#/components/responses/' + responseName,
+          };
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Indica si la ubicación de un cambio cae dentro de alguno de los schemas de
+ * `schemaNames`. Recorre el documento unido siguiendo sus $ref internos, igual
+ * que la expansión del diff semántico.
+ */
+function isInsideSchemas(doc, segments, schemaNames) {
+  if (segments[0] === 'components' && segments[1] === 'schemas' && schemaNames.has(segments[2])) {
+    return true;
+  }
+  const isContainer = function (value) {
+    return value !== null && typeof value === 'object';
+  };
+  const resolve = function (refSegments) {
+    return refSegments.reduce(function (target, segment) {
+      return isContainer(target) ? target[segment] : undefined;
+    }, doc);
+  };
+
+  let current = doc;
+  for (const segment of segments) {
+    // Un $ref sin hermano con este nombre se expandió: se sigue hasta su destino
+    let hops = 0;
+    while (isPlainObject(current) && typeof current.$ref === 'string' && !(segment in current)) {
+      const refSegments = parseFragment(current.$ref);
+      if (!refSegments || ++hops > MAX_REF_HOPS) return false;
+      if (refSegments[0] === 'components' && refSegments[1] === 'schemas' &&
+        refSegments.length === 3 && schemaNames.has(refSegments[2])) {
+        return true;
       }
+      current = resolve(refSegments);
     }
+    if (!isContainer(current)) return false;
+    current = current[segment];
   }
+  return false;
+}
+
+/**
+ * Filtro de cambios que la modularización hace a propósito y que la
+ * verificación round-trip no debe reportar:
+ *   - descripciones de respuestas (genéricas al normalizar/extraer respuestas)
+ *   - descripciones dentro de los schemas fusionados con ignoreDescriptions
+ *   - servers/tags/security vacíos que el entrypoint agrega si faltan
+ *   - rutas vacías, que no se modularizan
+ *
+ * @param {Set<string>} mergedSchemas  Schemas fusionados (conservados y duplicados).
+ */
+function createIntentionalChangeFilter(mergedSchemas) {
+  return function (change, context) {
+    return isIntentionalChange(change, context, mergedSchemas);
+  };
+}
+
+function isIntentionalChange(change, context, mergedSchemas) {
+  const segments = change.segments;
+  const last = segments[segments.length - 1];
+
+  if (last === 'description' && segments[segments.length - 3] === 'responses') return true;
+  if (
+    last === 'description' &&
+    mergedSchemas.size > 0 &&
+    SCHEMA_DEDUPE_OPTIONS.ignoreDescriptions &&
+    isInsideSchemas(context.joined, segments, mergedSchemas)
+  ) {
+    return true;
+  }
+  if (
+    segments.length === 1 &&
+    change.type === 'added' &&
+    Array.isArray(change.after) &&
+    change.after.length === 0
+  ) {
+    return true;
+  }
+  if (
+    segments.length === 2 &&
+    segments[0] === 'paths' &&
+    change.type === 'removed' &&
+    change.before &&
+    typeof change.before === 'object' &&
+    Object.keys(change.before).length === 0
+  ) {
+    return true;
+  }
+  return false;
+}
+
+function formatDiffValue(value) {
+  if (value === undefined) return '(nada)';
+  const text = JSON.stringify(value);
+  return text.length > 80 ? text.slice(0, 77) + '...' : text;
+}
+
+function printRoundTripResult(verification) {
+  const changes = verification.changes;
+  const intentionalNote =
+    verification.intentional > 0
+      ? ' (' + verification.intentional + ' cambio(s) intencional(es) ignorado(s))'
+      : '';
+
+  if (changes.length === 0) {
+    console.log(styles.success('El arbol reproduce el documento de entrada' + intentionalNote));
+    return;
+  }
+
+  const symbols = { added: '+', removed: '-', changed: '~' };
+  changes.slice(0, MAX_ROUND_TRIP_CHANGES).forEach(function (change) {
+    let detail = formatDiffValue(change.after);
+    if (change.type === 'removed') detail = formatDiffValue(change.before);
+    if (change.type === 'changed') {
+      detail = formatDiffValue(change.before) + ' -> ' + formatDiffValue(change.after);
+    }
+    console.log(styles.warning(symbols[change.type] + ' ' + change.pointer + ': ' + detail));
+  });
+  if (changes.length > MAX_ROUND_TRIP_CHANGES) {
+    console.log(
+      styles.warning('... y ' + (changes.length - MAX_ROUND_TRIP_CHANGES) + ' diferencia(s) mas'),
+    );
+  }
+  console.log(
+    styles.warning(
+      changes.length + ' diferencia(s) entre el arbol y el documento de entrada' + intentionalNote,
+    ),
+  );
+}
+
+/**
+ * Confirma el reemplazo de la carpeta de salida existente.
+ *
+ *   - confirmReplace true  (--yes / --force): se reemplaza sin preguntar.
+ *   - confirmReplace false (--no-input): nunca se pregunta; falla.
+ *   - sin definir: se pregunta, salvo que stdin no sea una terminal (CI,
+ *     Docker), donde se falla de inmediato en lugar de quedar bloqueado.
+ *
+ * @param {boolean} [confirmReplace]
+ * @returns {Promise<boolean>}
+ */
+async function confirmReplaceOutput(confirmReplace) {
+  if (confirmReplace === true) {
+    console.log(styles.info('La carpeta ' + NORMALIZED_TARGET_DIR + ' se reemplaza sin confirmacion'));
+    return true;
+  }
+
+  const alternatives = 'usa --yes (o --force) para reemplazarla, o --merge para escribir sobre ella';
+  if (confirmReplace === false) {
+    throw new Error(
+      'La carpeta ' +
+        NORMALIZED_TARGET_DIR +
+        ' ya existe y --no-input impide confirmar su reemplazo: ' +
+        alternatives,
+    );
+  }
+  if (!process.stdin.isTTY) {
+    throw new Error(
+      'La carpeta ' +
+        NORMALIZED_TARGET_DIR +
+        ' ya existe y no hay una terminal interactiva para confirmar su reemplazo: ' +
+        alternatives,
+    );
+  }
+
+  console.log('');
+  const response = await prompts({
+    type: 'confirm',
+    name: 'replace',
+    message: 'La carpeta ' + NORMALIZED_TARGET_DIR + ' ya existe. Deseas reemplazarla?',
+    initial: false,
+  });
+  return response.replace === true;
+}
+
+/**
+ * Plan de una modularización en dry-run: el árbol que se generaría (cada
+ * archivo con su estado respecto de lo que hay hoy y las refs que contiene)
+ * y los cambios sobre el contrato.
+ */
+function buildModularizationPlan(data) {
+  const report = data.report;
+  const status = {};
+  report.added.forEach(function (file) {
+    status[file] = 'create';
+  });
+  report.changed.forEach(function (file) {
+    status[file] = 'update';
+  });
+  report.unchanged.forEach(function (file) {
+    status[file] = 'unchanged';
+  });
+  report.conflicts.forEach(function (conflict) {
+    if (conflict.file in report.refs) status[conflict.file] = 'conflict';
+  });
+  report.untracked.forEach(function (entry) {
+    if (entry.file in report.refs) status[entry.file] = 'untracked';
+  });
+
+  const files = Object.keys(report.refs)
+    .sort()
+    .map(function (file) {
+      return { file: file, status: status[file], refs: report.refs[file] };
+    });
+
+  const verification = data.verification
+    ? {
+        differences: data.verification.changes.map(function (change) {
+          return {
+            type: change.type,
+            pointer: change.pointer,
+            before: change.before,
+            after: change.after,
+          };
+        }),
+        intentional: data.verification.intentional,
+      }
+    : null;
+
+  return {
+    input: data.input,
+    outputDir: NORMALIZED_TARGET_DIR,
+    mode: data.mode,
+    files: files,
+    removed: report.removed,
+    orphans: report.orphans,
+    conflicts: report.conflicts,
+    untracked: report.untracked,
+    renames: data.renames,
+    fileNameCollisions: data.collisions,
+    extracted: data.extracted,
+    omittedUnused: data.omitted,
+    unresolvedRefs: data.unresolved,
+    verification: verification,
+  };
+}
+
+function printModularizationPlan(plan) {
+  console.log('\n' + styles.divider());
+  console.log(chalk.bold.cyan('  PLAN DE MODULARIZACION (DRY-RUN)'));
+  console.log(styles.divider());
+
+  const symbols = { create: '+', update: '~', unchanged: '=', conflict: '!', untracked: '!' };
+  console.log(styles.info('Arbol en ' + plan.outputDir + ':'));
+  plan.files.forEach(function (entry) {
+    const line = symbols[entry.status] + ' ' + entry.file;
+    if (entry.status === 'untracked') {
+      console.log(styles.warning(line + ' (sin seguimiento en el manifiesto)'));
+    } else {
+      console.log(entry.status === 'conflict' ? styles.warning(line) : styles.step(line));
+    }
+  });
+  plan.removed.forEach(function (file) {
+    console.log(styles.warning('- ' + file));
+  });
+  plan.orphans.forEach(function (file) {
+    console.log(styles.warning('? ' + file + ' (huerfano, se conserva)'));
+  });
+  plan.untracked.forEach(function (entry) {
+    const regenerated = plan.files.some(function (file) {
+      return file.file === entry.file;
+    });
+    if (!regenerated) {
+      console.log(styles.warning('? ' + entry.file + ' (sin seguimiento, se conserva)'));
+    }
+  });
+
+  Object.entries(plan.renames).forEach(function ([type, renames]) {
+    Object.entries(renames).forEach(function ([from, to]) {
+      console.log(styles.info(type + ': ' + from + ' -> ' + to));
+    });
+  });
+  Object.entries(plan.extracted).forEach(function ([type, names]) {
+    if (names.length > 0) {
+      console.log(styles.info(type + ' extraidos: ' + names.join(', ')));
+    }
+  });
+
+  const count = function (status) {
+    return plan.files.filter(function (entry) {
+      return entry.status === status;
+    }).length;
+  };
+  console.log(
+    styles.success(
+      count('create') +
+        ' a crear, ' +
+        count('update') +
+        ' a modificar, ' +
+        count('unchanged') +
+        ' sin cambios, ' +
+        plan.removed.length +
+        ' a eliminar, ' +
+        plan.conflicts.length +
+        ' en conflicto, ' +
+        plan.untracked.length +
+        ' sin seguimiento',
+    ),
+  );
+  console.log(styles.info('No se escribio nada (dry-run)'));
+}
+
+/**
+ * Resumen del modo merge: qué archivos cambiaron respecto del árbol existente.
+ */
+function printMergeReport(report) {
+  console.log('\n' + styles.section('  MERGE CON EL ARBOL EXISTENTE'));
+
+  const list = function (files, symbol, style) {
+    files.forEach(function (file) {
+      console.log(style(symbol + ' ' + file));
+    });
+  };
+  list(report.added, '+', styles.step);
+  list(report.changed, '~', styles.step);
+  list(report.removed, '-', styles.step);
+  report.conflicts.forEach(function (conflict) {
+    const resolution =
+      conflict.resolution === 'overwrite' ? 'sobrescrito' : 'se conserva la edicion manual';
+    console.log(styles.warning('! ' + conflict.file + ' editado a mano (' + resolution + ')'));
+  });
+  report.untracked.forEach(function (entry) {
+    const resolution = entry.resolution === 'overwrite' ? 'sobrescrito' : 'se conserva';
+    console.log(
+      styles.warning('? ' + entry.file + ' sin seguimiento en el manifiesto (' + resolution + ')'),
+    );
+  });
+  const keptOrphans = report.orphans.filter(function (file) {
+    return !report.conflicts.some(function (conflict) {
+      return conflict.file === file;
+    });
+  });
+  if (keptOrphans.length > 0) {
+    list(keptOrphans, '?', styles.warning);
+    console.log(
+      styles.info('Huerfanos conservados: usa --delete-orphans (o behavior.merge.deleteOrphans)'),
+    );
+  }
+  if (report.untracked.length > 0) {
+    console.log(
+      styles.info(
+        'Sin seguimiento: no estan en el manifiesto. Los que se regeneran se sobrescriben con ' +
+          '--overwrite-conflicts; el resto nunca se elimina',
+      ),
+    );
+  }
+
+  console.log(
+    styles.success(
+      report.added.length +
+        ' agregado(s), ' +
+        report.changed.length +
+        ' modificado(s), ' +
+        report.unchanged.length +
+        ' sin cambios, ' +
+        report.removed.length +
+        ' eliminado(s), ' +
+        report.conflicts.length +
+        ' conflicto(s), ' +
+        report.untracked.length +
+        ' sin seguimiento',
+    ),
+  );
+}
+
+/**
+ * Escribe el index.yaml de una carpeta modular (behavior.createIndexFiles) y
+ * devuelve el $ref que reemplaza a la sección completa en el entrypoint.
+ *
+ * Las entradas llegan con $ref relativos al entrypoint
+ * ("./components/schemas/UserSchema.yaml") y se reescriben relativos a la
+ * carpeta del índice ("./UserSchema.yaml").
+ *
+ * @param {string} sectionDir  Carpeta relativa al entrypoint ("components/schemas", "paths").
+ * @param {object} entries     Mapa nombre → { $ref } tal como iría en el entrypoint.
+ * @returns {{ $ref: string }}
+ */
+function writeIndexFile(output, sectionDir, entries) {
+  const prefix = './' + sectionDir + '/';
+  const index = {};
+  Object.entries(entries).forEach(function ([name, entry]) {
+    index[name] = { $ref: './' + entry.$ref.slice(prefix.length) };
+  });
+  output.write(path.join(NORMALIZED_TARGET_DIR, sectionDir, INDEX_FILE_NAME), index);
+  return { $ref: prefix + INDEX_FILE_NAME };
 }
 
 // ---------------------------------------------------------------------------
 // LOGICA PRINCIPAL
 // ---------------------------------------------------------------------------
 
-async function modularize(inputPathFromCli) {
+/**
+ * @param {string} [inputPathFromCli]
+ * @param {object} [options]
+ * @param {boolean} [options.upgrade]  Acepta Swagger 2.0: se convierte a OAS3
+ *                                     en memoria antes de modularizar.
+ * @param {boolean} [options.merge]    Escribe sobre el árbol existente solo lo que
+ *                                     cambia (default: behavior.outputMode).
+ * @param {boolean} [options.deleteOrphans]  Merge: elimina los archivos que ya no se
+ *                                     generan (default: behavior.merge.deleteOrphans).
+ * @param {'keep'|'overwrite'} [options.onConflict]  Merge: archivos editados a mano
+ *                                     (default: behavior.merge.onConflict).
+ * @param {boolean} [options.confirmReplace]  Reemplazo de la carpeta existente: true lo
+ *                                     confirma sin preguntar, false lo rechaza sin
+ *                                     preguntar; sin definir se pregunta (solo con TTY).
+ * @param {boolean} [options.dryRun]   Calcula todo sin tocar el disco e imprime el plan.
+ * @param {string} [options.planOutput]  Dry-run: archivo donde guardar el plan (JSON o YAML
+ *                                     según la extensión).
+ * @returns {Promise<object|undefined>}  El plan, en dry-run.
+ */
+async function modularize(inputPathFromCli, options = {}) {
   const inputPath = inputPathFromCli || DEFAULT_INPUT;
 
   console.log('\n' + styles.divider());
@@ -445,45 +1403,82 @@ async function modularize(inputPathFromCli) {
       throw new Error('El archivo de entrada no existe: ' + inputPath);
     }
 
-    const oasData = readYamlFile(inputPath);
+    let oasData = readSpecFile(inputPath);
+
+    if (isSwagger2Document(oasData)) {
+      if (!options.upgrade) {
+        throw new Error(
+          'El archivo es Swagger 2.0: usa la opcion --upgrade para convertirlo a OAS3 y modularizarlo',
+        );
+      }
+      console.log('\n' + styles.section('  CONVIRTIENDO SWAGGER 2.0 A OAS3'));
+      console.log('');
+      oasData = upgradeSwagger2Document(oasData).document;
+    }
+
     assertValidOpenApiVersion(oasData.openapi);
     console.log(styles.success('Version OpenAPI valida: ' + oasData.openapi));
 
-    if (fileExists(NORMALIZED_TARGET_DIR) && CLEAN_MOD_OUTPUT) {
-      console.log('');
-      const response = await prompts({
-        type: 'confirm',
-        name: 'replace',
-        message:
-          'La carpeta ' +
-          NORMALIZED_TARGET_DIR +
-          ' ya existe. Deseas reemplazarla?',
-        initial: false,
-      });
-      if (!response.replace) {
+    // Copia intacta de la entrada para la verificación round-trip (oasData se modifica)
+    const sourceDocument = JSON.parse(JSON.stringify(oasData));
+    // Tipo → { nombreOriginal: nombreFinal } de los components renombrados o fusionados
+    const componentRenames = {};
+    // Schemas fusionados (schemaDeduplication.merge), para la verificación round-trip
+    const mergedSchemas = new Set();
+    // Tipo → nombres de los components extraídos de definiciones inline
+    const extractedByType = {};
+
+    // Merge: se escribe sobre el árbol existente, sin limpiar ni preguntar
+    const mergeMode = options.merge === true || OUTPUT_MODE === 'merge';
+    // Dry-run: se calcula todo, pero el árbol solo existe en memoria
+    const dryRun = options.dryRun === true;
+    const output = createModularOutput(NORMALIZED_TARGET_DIR, {
+      mode: mergeMode ? 'merge' : 'clean',
+      deleteOrphans:
+        options.deleteOrphans !== undefined ? options.deleteOrphans : MERGE_DELETE_ORPHANS,
+      onConflict: options.onConflict || MERGE_ON_CONFLICT,
+      dryRun: dryRun,
+      cleanOutput: CLEAN_MOD_OUTPUT,
+    });
+    const prepareDir = function (dir) {
+      if (!dryRun) ensureDir(dir);
+    };
+
+    if (dryRun) {
+      console.log(styles.info('Dry-run: no se escribe ni se borra nada en ' + NORMALIZED_TARGET_DIR));
+    }
+
+    if (!dryRun && !mergeMode && fileExists(NORMALIZED_TARGET_DIR) && CLEAN_MOD_OUTPUT) {
+      const replace = await confirmReplaceOutput(options.confirmReplace);
+      if (!replace) {
         console.log(styles.warning('Operacion cancelada por el usuario'));
         return;
       }
     }
 
-    if (CLEAN_MOD_OUTPUT) {
+    if (!dryRun && !mergeMode && CLEAN_MOD_OUTPUT) {
       console.log(styles.step('Limpiando directorio de salida...'));
       removeDirIfExists(NORMALIZED_TARGET_DIR);
     }
 
-    console.log(styles.step('Creando estructura de directorios...'));
-    ensureDir(COMPONENTS_DIR);
-    ensureDir(PATHS_DIR);
-    console.log(styles.success('Directorios listos en: ' + NORMALIZED_TARGET_DIR));
+    if (!dryRun) {
+      console.log(styles.step('Creando estructura de directorios...'));
+      prepareDir(COMPONENTS_DIR);
+      if (SPLIT_PATHS) prepareDir(PATHS_DIR);
+      if (SPLIT_WEBHOOKS && oasData.webhooks) prepareDir(WEBHOOKS_DIR);
+      console.log(styles.success('Directorios listos en: ' + NORMALIZED_TARGET_DIR));
+    }
 
     const newOas = {
       openapi: oasData.openapi,
       info: oasData.info,
+      jsonSchemaDialect: oasData.jsonSchemaDialect || undefined,
       servers: oasData.servers || [],
       tags: oasData.tags || [],
       security: oasData.security || [],
       externalDocs: oasData.externalDocs || undefined,
       paths: {},
+      webhooks: oasData.webhooks ? {} : undefined,
       components: {},
     };
 
@@ -495,7 +1490,10 @@ async function modularize(inputPathFromCli) {
     if (responseNamingConfig.enabled && oasData.components && oasData.components.responses) {
       console.log('\n' + styles.section('  NORMALIZANDO NOMBRES DE RESPUESTAS'));
 
-      const result = normalizeExistingResponses(oasData.components);
+      const result = normalizeExistingResponses(
+        oasData.components,
+        collectResponseStatusCodes(oasData),
+      );
       const normalized = result.normalized;
       const nameMapping = result.nameMapping;
       const refMapping = result.refMapping;
@@ -504,15 +1502,17 @@ async function modularize(inputPathFromCli) {
 
       if (changesCount > 0) {
         oasData.components.responses = normalized;
+        componentRenames.responses = {};
+        Object.entries(refMapping).forEach(function ([oldRef, newRef]) {
+          componentRenames.responses[oldRef.replace('#/components/responses/', '')] = newRef.replace(
+            '#/components/responses/',
+            '',
+          );
+        });
 
-        if (Object.keys(refMapping).length > 0) {
-          let pathsStr = JSON.stringify(oasData.paths);
-          for (const [oldRef, newRef] of Object.entries(refMapping)) {
-            const escapedOldRef = oldRef.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-            pathsStr = pathsStr.replace(new RegExp(escapedOldRef, 'g'), newRef);
-          }
-          oasData.paths = JSON.parse(pathsStr);
-        }
+        // En todo el documento (paths, webhooks, callbacks y pathItems de components),
+        // solo $ref con el nombre exacto: NotFound404 no toca NotFound404Detail ni los textos
+        rewriteComponentRefs(oasData, 'responses', componentRenames.responses);
 
         for (const [oldName, newName] of Object.entries(nameMapping)) {
           console.log(styles.step('  ' + oldName + ' -> ' + newName));
@@ -523,10 +1523,90 @@ async function modularize(inputPathFromCli) {
       }
     }
 
+    // Extraer schemas, requestBodies y parámetros inline (modularization.extractInline*)
+    INLINE_EXTRACTIONS.forEach(function (extraction) {
+      console.log('\n' + styles.section('  EXTRAYENDO ' + extraction.title + ' INLINE'));
+
+      const extractionResult = extraction.extract(oasData, {
+        convention: namingConfig.components || 'PascalCase',
+        statusNames: responseNamingConfig.statusNames,
+      });
+      const extractedNames = Object.keys(extractionResult.extracted);
+      extractedByType[extraction.type] = extractedNames;
+
+      if (extractionResult.references > 0) {
+        extractedNames.forEach(function (name) {
+          console.log(styles.step('  ' + name));
+        });
+        console.log(
+          styles.success(
+            extractedNames.length +
+              ' ' +
+              extraction.label +
+              ' extraido(s) ' +
+              '(de ' +
+              extractionResult.references +
+              ' referencias totales - ' +
+              extractionResult.reused +
+              ' reutilizada(s))',
+          ),
+        );
+      } else {
+        console.log(styles.info('No hay ' + extraction.label + ' inline para extraer'));
+      }
+    });
+
+    // Deduplicar schemas equivalentes (schemaDeduplication)
+    if (SCHEMA_DEDUPE_ENABLED) {
+      console.log('\n' + styles.section('  DEDUPLICANDO SCHEMAS'));
+
+      let dedupeGroups;
+      if (SCHEMA_DEDUPE_MERGE) {
+        const mergeResult = mergeDuplicateSchemas(oasData, SCHEMA_DEDUPE_OPTIONS);
+        dedupeGroups = mergeResult.groups;
+        componentRenames.schemas = mergeResult.replacements;
+        dedupeGroups.forEach(function (group) {
+          mergedSchemas.add(group.keep);
+          group.duplicates.forEach(function (name) {
+            mergedSchemas.add(name);
+          });
+        });
+      } else {
+        dedupeGroups = findDuplicateSchemas(
+          oasData.components && oasData.components.schemas,
+          SCHEMA_DEDUPE_OPTIONS,
+        );
+      }
+
+      if (dedupeGroups.length > 0) {
+        let duplicateCount = 0;
+        dedupeGroups.forEach(function (group) {
+          duplicateCount += group.duplicates.length;
+          console.log(styles.step('  ' + group.keep + ' = ' + group.duplicates.join(', ')));
+        });
+        if (SCHEMA_DEDUPE_MERGE) {
+          console.log(
+            styles.success(
+              duplicateCount + ' schema(s) duplicado(s) fusionado(s) y sus $ref reescritos',
+            ),
+          );
+        } else {
+          console.log(
+            styles.warning(
+              duplicateCount +
+                ' schema(s) duplicado(s) detectado(s) (schemaDeduplication.merge: true para fusionarlos)',
+            ),
+          );
+        }
+      } else {
+        console.log(styles.info('No hay schemas duplicados'));
+      }
+    }
+
     // Extraer respuestas inline
     console.log('\n' + styles.section('  EXTRAYENDO RESPUESTAS INLINE'));
 
-    const extractResult = extractInlineResponses(oasData.paths);
+    const extractResult = extractInlineResponses(oasData);
     const extractedResponses = extractResult.extractedResponses;
     const responseReferences = extractResult.responseReferences;
 
@@ -535,12 +1615,14 @@ async function modularize(inputPathFromCli) {
       if (!oasData.components.responses) oasData.components.responses = {};
 
       Object.assign(oasData.components.responses, extractedResponses);
-      replaceInlineResponsesWithRefs(oasData.paths, responseReferences);
+      replaceInlineResponsesWithRefs(oasData, responseReferences);
 
       let totalRefs = 0;
-      for (const methods of Object.values(responseReferences)) {
-        for (const statuses of Object.values(methods)) {
-          totalRefs += Object.keys(statuses).length;
+      for (const routes of Object.values(responseReferences)) {
+        for (const methods of Object.values(routes)) {
+          for (const statuses of Object.values(methods)) {
+            totalRefs += Object.keys(statuses).length;
+          }
         }
       }
 
@@ -557,12 +1639,75 @@ async function modularize(inputPathFromCli) {
       console.log(styles.info('No hay respuestas inline para extraer'));
     }
 
+    // Análisis de alcanzabilidad (includeUnusedComponents: false)
+    let reachableComponents = null;
+    const unusedByType = {};
+    if (!INCLUDE_UNUSED_COMPONENTS) {
+      console.log('\n' + styles.section('  ANALIZANDO COMPONENTS SIN USO'));
+
+      const analysis = findUnusedComponents(oasData);
+      reachableComponents = analysis.reachable;
+      Object.assign(unusedByType, analysis.unused);
+
+      const unusedTotal = Object.values(unusedByType).reduce(function (acc, names) {
+        return acc + names.length;
+      }, 0);
+      if (unusedTotal > 0) {
+        console.log(
+          styles.warning(unusedTotal + ' component(s) sin referencias seran omitido(s)'),
+        );
+      } else {
+        console.log(styles.info('Todos los components estan referenciados'));
+      }
+    }
+
+    const isComponentIncluded = function (type, name) {
+      return !reachableComponents || isComponentReachable(reachableComponents, type, name);
+    };
+
+    // Nombres de archivo sin colisiones: se asignan todos antes de escribir
+    const pathFiles =
+      SPLIT_PATHS || SPLIT_OPERATIONS
+        ? assignPathFiles(oasData.paths)
+        : { files: {}, operations: {}, collisions: [], basePath: '' };
+    if (pathFiles.basePath) {
+      console.log(styles.info('Base omitida en los nombres de archivo de paths/: ' + pathFiles.basePath));
+    }
+    const webhookFiles = SPLIT_WEBHOOKS
+      ? assignWebhookFiles(oasData.webhooks)
+      : { files: {}, collisions: [] };
+    const componentFiles = assignComponentFiles(oasData.components, isComponentIncluded);
+    const fileNameCollisions = pathFiles.collisions.concat(
+      webhookFiles.collisions,
+      componentFiles.collisions,
+    );
+    if (fileNameCollisions.length > 0) printFileNameCollisions(fileNameCollisions);
+
+    // Refs internas que fixRefs no pudo resolver (se listan en el resumen)
+    const unresolvedRefs = [];
+    const originalComponents = oasData.components || {};
+    const buildFixRefsOptions = function (file) {
+      const unresolved = [];
+      unresolvedRefs.push({ file: file, refs: unresolved });
+      return {
+        inlineTypes: INLINE_COMPONENT_TYPES,
+        fileExtension: FILE_EXTENSION,
+        pathRefStrategy: PATH_REF_STRATEGY,
+        components: originalComponents,
+        fileNames: componentFiles.fileNames,
+        unresolved: unresolved,
+        // Carpetas entre el archivo y la raíz del árbol (paths en subcarpetas)
+        fileDepth: file.split(path.sep).length - 1,
+      };
+    };
+
     // Modularizar components
     console.log('\n' + styles.section('  DESCOMPONIENDO COMPONENTS'));
 
     const components = oasData.components || {};
     let componentCount = 0;
     const componentsByType = {};
+    const inlineByType = {};
 
     const standardComponentTypes = [
       'schemas',
@@ -575,15 +1720,34 @@ async function modularize(inputPathFromCli) {
     ];
 
     standardComponentTypes.forEach(function (type) {
-      const categoryDir = path.join(COMPONENTS_DIR, type);
-      ensureDir(categoryDir);
       componentsByType[type] = [];
+      if (!isSplitEnabled(type)) return;
+      const categoryDir = path.join(COMPONENTS_DIR, type);
+      prepareDir(categoryDir);
     });
 
-    for (const [categoryKey, categoryContent] of Object.entries(components)) {
-      if (categoryContent && Object.keys(categoryContent).length > 0) {
+    for (const [categoryKey, allCategoryContent] of Object.entries(components)) {
+      const categoryContent = {};
+      Object.entries(allCategoryContent || {}).forEach(function ([itemName, itemContent]) {
+        if (isComponentIncluded(categoryKey, itemName)) categoryContent[itemName] = itemContent;
+      });
+
+      if (Object.keys(categoryContent).length > 0) {
+        if (!isSplitEnabled(categoryKey)) {
+          // Categoría no dividida: se mantiene inline en el entrypoint,
+          // donde los "#/components/..." internos siguen siendo válidos.
+          newOas.components[categoryKey] = categoryContent;
+          inlineByType[categoryKey] = Object.keys(categoryContent).length;
+          console.log(
+            styles.step(
+              categoryKey + ': ' + inlineByType[categoryKey] + ' inline en el entrypoint',
+            ),
+          );
+          continue;
+        }
+
         const categoryDir = path.join(COMPONENTS_DIR, categoryKey);
-        ensureDir(categoryDir);
+        prepareDir(categoryDir);
 
         console.log(styles.step('Procesando ' + categoryKey + ':'));
 
@@ -592,14 +1756,8 @@ async function modularize(inputPathFromCli) {
         }
 
         for (const [itemName, itemContent] of Object.entries(categoryContent)) {
-          const fileName = generateComponentFilename(
-            itemName,
-            categoryKey,
-            namingConfig,
-            affixesConfig,
-          );
-
-          const fileNameWithExt = fileName + FILE_EXTENSION;
+          const fileNameWithExt =
+            componentFiles.fileNames[categoryKey][itemName] + FILE_EXTENSION;
           const filePath = path.join(categoryDir, fileNameWithExt);
 
           let finalContent = itemContent;
@@ -610,9 +1768,10 @@ async function modularize(inputPathFromCli) {
               MAIN_FILE_NAME,
               namingConfig,
               affixesConfig,
+              buildFixRefsOptions(path.join('components', categoryKey, fileNameWithExt)),
             );
           }
-          writeYamlFile(filePath, finalContent);
+          output.write(filePath, finalContent);
 
           if (!newOas.components[categoryKey]) {
             newOas.components[categoryKey] = {};
@@ -628,7 +1787,15 @@ async function modularize(inputPathFromCli) {
       }
     }
 
-    if (componentCount === 0) {
+    if (CREATE_INDEX_FILES) {
+      Object.keys(componentsByType).forEach(function (type) {
+        if (componentsByType[type].length === 0) return;
+        newOas.components[type] = writeIndexFile(output, 'components/' + type, newOas.components[type]);
+        console.log(styles.step('Indice: components/' + type + '/' + INDEX_FILE_NAME));
+      });
+    }
+
+    if (componentCount === 0 && Object.keys(inlineByType).length === 0) {
       console.log(styles.warning('No se encontraron components para modularizar'));
     } else {
       console.log(styles.success(componentCount + ' component(s) modularizado(s)'));
@@ -640,29 +1807,70 @@ async function modularize(inputPathFromCli) {
     const originalPaths = oasData.paths || {};
     let pathCount = 0;
     let ignoredCount = 0;
+    let operationCount = 0;
     const pathsList = [];
 
+    // splitOperations: cada operación va a su propio archivo y el Path Item
+    // (en su archivo o inline en el entrypoint) la referencia
+    const writeOperationFiles = function (route, pathObj, fromEntrypoint) {
+      const pathFile = pathFiles.files[route];
+      const pathItem = {};
+      Object.entries(pathObj).forEach(function ([key, operation]) {
+        if (!HTTP_METHODS.includes(key) || !operation || typeof operation !== 'object') {
+          pathItem[key] = operation;
+          return;
+        }
+        const operationFile = pathFiles.operations[route][key];
+        let finalOperation = operation;
+        if (FIX_REFS) {
+          finalOperation = fixRefs(
+            operation,
+            'paths',
+            MAIN_FILE_NAME,
+            namingConfig,
+            affixesConfig,
+            buildFixRefsOptions(path.join('paths', operationFile)),
+          );
+        }
+        output.write(path.join(PATHS_DIR, operationFile), finalOperation);
+        pathItem[key] = {
+          $ref: fromEntrypoint
+            ? './paths/' + operationFile
+            : './' + path.posix.relative(path.posix.dirname(pathFile), operationFile),
+        };
+        operationCount++;
+      });
+      return pathItem;
+    };
+
     for (const [route, pathObj] of Object.entries(originalPaths)) {
+      if (!SPLIT_PATHS) {
+        // splitPaths: false → los paths quedan inline en el entrypoint
+        newOas.paths[route] =
+          SPLIT_OPERATIONS && pathFiles.files[route]
+            ? writeOperationFiles(route, pathObj, true)
+            : pathObj;
+        pathCount++;
+        continue;
+      }
+
       if (pathObj && Object.keys(pathObj).length > 0) {
-        const routeSlugified = slugifyPath(route).replace(/\.yaml$/, '');
-        const pathConvention = namingConfig.paths || 'kebab-case';
-        const fileName =
-          applyNamingConvention(routeSlugified, pathConvention) + FILE_EXTENSION;
+        // Relativo a paths/, con subcarpetas según pathsLayout
+        const fileName = pathFiles.files[route];
         const filePath = path.join(PATHS_DIR, fileName);
 
-        let finalPathObj = pathObj;
+        let finalPathObj = SPLIT_OPERATIONS ? writeOperationFiles(route, pathObj, false) : pathObj;
         if (FIX_REFS) {
-          // extractResponses = true porque las responses están modularizadas
           finalPathObj = fixRefs(
-            pathObj,
+            finalPathObj,
             'paths',
             MAIN_FILE_NAME,
             namingConfig,
             affixesConfig,
-            true,
+            buildFixRefsOptions(path.join('paths', fileName)),
           );
         }
-        writeYamlFile(filePath, finalPathObj);
+        output.write(filePath, finalPathObj);
 
         newOas.paths[route] = { $ref: './paths/' + fileName };
         pathCount++;
@@ -674,23 +1882,141 @@ async function modularize(inputPathFromCli) {
       }
     }
 
-    if (pathCount === 0) {
+    // En 3.1 un documento puede tener solo webhooks
+    const webhookEntries = Object.entries(oasData.webhooks || {});
+    if (pathCount === 0 && webhookEntries.length === 0) {
       throw new Error('No se encontraron paths validos para modularizar');
     }
-    console.log(
-      styles.success(
-        pathCount + ' path(s) modularizado(s), ' + ignoredCount + ' ignorado(s)',
-      ),
-    );
+    if (SPLIT_PATHS && CREATE_INDEX_FILES && pathCount > 0) {
+      newOas.paths = writeIndexFile(output, 'paths', newOas.paths);
+      console.log(styles.step('Indice: paths/' + INDEX_FILE_NAME));
+    }
+    if (SPLIT_PATHS) {
+      console.log(
+        styles.success(
+          pathCount + ' path(s) modularizado(s), ' + ignoredCount + ' ignorado(s)',
+        ),
+      );
+    } else {
+      console.log(styles.info(pathCount + ' path(s) inline en el entrypoint (splitPaths: false)'));
+    }
+
+    // Modularizar webhooks (OpenAPI 3.1): igual que paths, en webhooks/*
+    let webhookCount = 0;
+    if (webhookEntries.length > 0) {
+      console.log('\n' + styles.section('  DESCOMPONIENDO WEBHOOKS'));
+
+      for (const [webhookName, pathItem] of webhookEntries) {
+        if (!SPLIT_WEBHOOKS) {
+          newOas.webhooks[webhookName] = pathItem;
+          webhookCount++;
+          continue;
+        }
+
+        const fileName = webhookFiles.files[webhookName];
+
+        let finalPathItem = pathItem;
+        if (FIX_REFS) {
+          finalPathItem = fixRefs(
+            pathItem,
+            'webhooks',
+            MAIN_FILE_NAME,
+            namingConfig,
+            affixesConfig,
+            buildFixRefsOptions(path.join('webhooks', fileName)),
+          );
+        }
+        output.write(path.join(WEBHOOKS_DIR, fileName), finalPathItem);
+
+        newOas.webhooks[webhookName] = { $ref: './webhooks/' + fileName };
+        webhookCount++;
+        console.log(styles.step('Webhook: ' + webhookName + ' -> ' + fileName));
+      }
+
+      if (SPLIT_WEBHOOKS && CREATE_INDEX_FILES) {
+        newOas.webhooks = writeIndexFile(output, 'webhooks', newOas.webhooks);
+        console.log(styles.step('Indice: webhooks/' + INDEX_FILE_NAME));
+      }
+      if (SPLIT_WEBHOOKS) {
+        console.log(styles.success(webhookCount + ' webhook(s) modularizado(s)'));
+      } else {
+        console.log(
+          styles.info(webhookCount + ' webhook(s) inline en el entrypoint (splitWebhooks: false)'),
+        );
+      }
+    }
+
+    const filesWithUnresolved = unresolvedRefs.filter(function (entry) {
+      return entry.refs.length > 0;
+    });
+    // Refs sin resolver: se avisan antes de validar (Redocly fallará en ellas)
+    if (filesWithUnresolved.length > 0) {
+      console.log('\n' + styles.section('  REFERENCIAS SIN RESOLVER'));
+      filesWithUnresolved.forEach(function (entry) {
+        entry.refs.forEach(function (item) {
+          console.log(
+            styles.warning(
+              entry.file + item.location + ': ' + item.ref + ' (' + item.reason + ')',
+            ),
+          );
+        });
+      });
+    }
 
     // Guardar entrypoint
     console.log('\n' + styles.section('  GUARDANDO ENTRYPOINT'));
-    writeYamlFile(MAIN_FILE, newOas);
+    output.write(MAIN_FILE, newOas);
     console.log(styles.step('Archivo principal: ' + path.basename(MAIN_FILE)));
 
-    // Validar con Redocly
+    const outputReport = output.finish();
+    if (mergeMode && !dryRun) printMergeReport(outputReport);
+
+    // Validar con Redocly (necesita el árbol en disco)
     console.log('\n' + styles.section('  VALIDANDO CON REDOCLY'));
-    await validateWithRedocly(MAIN_FILE);
+    if (dryRun) {
+      console.log(styles.info('Omitida en dry-run'));
+    } else {
+      await validateWithRedocly(MAIN_FILE);
+    }
+
+    // Verificar que el árbol reproduce la entrada (join en memoria + diff semántico)
+    let verification = null;
+    if (VERIFY_ROUND_TRIP) {
+      console.log('\n' + styles.section('  VERIFICANDO FIDELIDAD (ROUND-TRIP)'));
+      if (!FIX_REFS) {
+        console.log(styles.info('Omitida: requiere behavior.fixRefs: true'));
+      } else {
+        verification = verifyRoundTrip(sourceDocument, MAIN_FILE, {
+          renames: componentRenames,
+          omitted: unusedByType,
+          isIntentional: createIntentionalChangeFilter(mergedSchemas),
+          readFile: output.read,
+          fileExists: output.exists,
+        });
+        printRoundTripResult(verification);
+      }
+    }
+
+    if (dryRun) {
+      const plan = buildModularizationPlan({
+        input: inputPath,
+        mode: mergeMode ? 'merge' : 'clean',
+        report: outputReport,
+        renames: componentRenames,
+        extracted: Object.assign({ responses: Object.keys(extractedResponses) }, extractedByType),
+        omitted: unusedByType,
+        unresolved: filesWithUnresolved,
+        collisions: fileNameCollisions,
+        verification: verification,
+      });
+      printModularizationPlan(plan);
+      if (options.planOutput) {
+        writeSpecFile(options.planOutput, plan);
+        console.log(styles.success('Plan guardado en: ' + options.planOutput));
+      }
+      console.log('');
+      return plan;
+    }
 
     // Resumen
     console.log('\n' + styles.divider());
@@ -708,7 +2034,32 @@ async function modularize(inputPathFromCli) {
         styles.info('  - ' + type + ': ' + componentsByType[type].length + ' archivo(s)'),
       );
     });
-    console.log(styles.info('  - paths: ' + pathsList.length + ' archivo(s)'));
+    Object.keys(inlineByType).forEach(function (type) {
+      console.log(styles.info('  - ' + type + ': ' + inlineByType[type] + ' inline'));
+    });
+    if (SPLIT_PATHS) {
+      console.log(styles.info('  - paths: ' + pathsList.length + ' archivo(s)'));
+    } else {
+      console.log(styles.info('  - paths: ' + pathCount + ' inline'));
+    }
+    if (operationCount > 0) {
+      console.log(styles.info('  - operaciones: ' + operationCount + ' archivo(s)'));
+    }
+    if (webhookCount > 0) {
+      console.log(
+        styles.info(
+          '  - webhooks: ' + webhookCount + (SPLIT_WEBHOOKS ? ' archivo(s)' : ' inline'),
+        ),
+      );
+    }
+
+    const unusedTypes = Object.keys(unusedByType);
+    if (unusedTypes.length > 0) {
+      console.log(styles.warning('Components omitidos por no estar referenciados:'));
+      unusedTypes.forEach(function (type) {
+        console.log(styles.warning('  - ' + type + ': ' + unusedByType[type].join(', ')));
+      });
+    }
     console.log('');
   } catch (error) {
     console.log('\n' + styles.divider());
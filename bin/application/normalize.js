@@ -0,0 +1,337 @@
+// bin/application/normalize.js
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+
+const { readSpecFile, writeSpecFile } = require('../infrastructure/yamlUtils');
+const { fileExists, listFilesRecursively } = require('../infrastructure/fileSystem');
+const { loadAllConfigs } = require('../infrastructure/configLoader');
+const { MANIFEST_FILE_NAME } = require('./modularOutput');
+const {
+  HTTP_METHODS,
+  createReport,
+  isValidStyle,
+  normalizeFragment,
+  normalizeDocument,
+} = require('../core/normalizer');
+
+// ---------------------------------------------------------------
+// ESTILOS PARA CONSOLA
+// ---------------------------------------------------------------
+const styles = {
+  divider: () => chalk.dim('-'.repeat(70)),
+  section: (text) => chalk.bold.cyan(text),
+  step: (text) => chalk.cyan('  -> ' + text),
+  success: (text) => chalk.green('  OK ' + text),
+  warning: (text) => chalk.yellow('  !! ' + text),
+  error: (text) => chalk.red('  XX ' + text),
+  info: (text) => chalk.blue('  i  ' + text),
+};
+
+// ---------------------------------------------------------------------------
+// CARGA DE CONFIGURACION
+// ---------------------------------------------------------------------------
+const configs = loadAllConfigs();
+const normalizeConfig = configs.normalize || {};
+const normalizationConfig = normalizeConfig.normalization || {};
+
+// Datos del árbol modular (para detectar el entrypoint dentro de una carpeta)
+const modularizeConfig = configs.modularize || {};
+const modularizePaths = modularizeConfig.paths || {};
+const modularizeAdvanced = modularizeConfig.advanced || {};
+
+const VALID_MODES = ['dry-run', 'apply'];
+const VALID_REPORT_LEVELS = ['summary', 'detailed'];
+const SPEC_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+const DEFAULTS = {
+  enabled: true,
+  mode: 'dry-run',
+  reportLevel: 'summary',
+};
+
+function assertOneOf(value, allowed, field) {
+  if (value !== undefined && !allowed.includes(value)) {
+    throw new Error(
+      `❌ El campo ${field} debe ser uno de: ${allowed.join(', ')} (valor actual: ${JSON.stringify(value)})`,
+    );
+  }
+}
+
+function assertStyle(section, field) {
+  const style = section && section[field] && section[field].style;
+  if (!isValidStyle(style)) {
+    throw new Error(
+      `❌ Estilo no soportado en config.normalize.naming.${field}.style: ${JSON.stringify(style)}`,
+    );
+  }
+}
+
+// Validamos SOLO lo que esté definido en config
+assertOneOf(normalizationConfig.mode, VALID_MODES, 'config.normalize.normalization.mode');
+assertOneOf(
+  normalizationConfig.reportLevel,
+  VALID_REPORT_LEVELS,
+  'config.normalize.normalization.reportLevel',
+);
+['operationId', 'parameters', 'schemas', 'tags'].forEach((field) =>
+  assertStyle(normalizeConfig.naming, field),
+);
+if (normalizeConfig.enums && !isValidStyle(normalizeConfig.enums.valueStyle)) {
+  throw new Error(
+    `❌ Estilo no soportado en config.normalize.enums.valueStyle: ${JSON.stringify(
+      normalizeConfig.enums.valueStyle,
+    )}`,
+  );
+}
+
+const ENABLED =
+  typeof normalizationConfig.enabled === 'boolean' ? normalizationConfig.enabled : DEFAULTS.enabled;
+
+// ---------------------------------------------------------------------------
+// RESOLUCIÓN DEL OBJETIVO (monolito vs árbol modular)
+// ---------------------------------------------------------------------------
+
+/**
+ * Un entrypoint modular es aquel cuyos paths (o webhooks) apuntan a archivos externos
+ * (ej: "/users: { $ref: ./paths/users.yaml }").
+ */
+function isModularEntrypoint(doc) {
+  const pathItems = ['paths', 'webhooks'].flatMap((section) =>
+    Object.values((doc && doc[section]) || {}),
+  );
+  return pathItems.some(
+    (pathItem) => pathItem && typeof pathItem.$ref === 'string' && !pathItem.$ref.startsWith('#'),
+  );
+}
+
+/**
+ * Determina si el input es una carpeta modular, un entrypoint modular
+ * o un documento monolítico.
+ *
+ * @returns {{ kind: 'tree'|'monolith', entryFile: string, rootDir: string }}
+ */
+function resolveTarget(inputPath) {
+  if (!fileExists(inputPath)) {
+    throw new Error('El archivo o carpeta de entrada no existe: ' + inputPath);
+  }
+
+  if (fs.statSync(inputPath).isDirectory()) {
+    const mainFileName = modularizePaths.mainFileName || 'openapi';
+    const extension = modularizeAdvanced.fileExtension || '.yaml';
+    const entryFile = path.join(inputPath, mainFileName + extension);
+    if (!fileExists(entryFile)) {
+      throw new Error('No se encontró el entrypoint modular: ' + entryFile);
+    }
+    return { kind: 'tree', entryFile, rootDir: inputPath };
+  }
+
+  const doc = readSpecFile(inputPath);
+  if (isModularEntrypoint(doc)) {
+    return { kind: 'tree', entryFile: inputPath, rootDir: path.dirname(inputPath) };
+  }
+  return { kind: 'monolith', entryFile: inputPath, rootDir: path.dirname(inputPath) };
+}
+
+/**
+ * Clasifica un archivo del árbol modular según su carpeta.
+ *   paths/*, webhooks/*      → "pathItem" (u "operation", ver isOperationFile)
+ *   components/<type>/*      → "<type>"
+ */
+function classifyModularFile(relativePath) {
+  const parts = relativePath.split(path.sep);
+  if (parts[0] === 'paths' || parts[0] === 'webhooks') return 'pathItem';
+  if (parts[0] === 'components' && parts.length >= 3) return parts[1];
+  return null;
+}
+
+/**
+ * Un archivo de paths/ con una sola operación (modularization.splitOperations):
+ * no tiene métodos HTTP y sí claves propias de una operación.
+ */
+function isOperationFile(content) {
+  if (!content || typeof content !== 'object') return false;
+  const keys = Object.keys(content);
+  return (
+    !keys.some((key) => HTTP_METHODS.includes(key.toLowerCase())) &&
+    ['responses', 'operationId', 'requestBody'].some((key) => keys.includes(key))
+  );
+}
+
+// ---------------------------------------------------------------------------
+// REPORTE
+// ---------------------------------------------------------------------------
+
+function printReport(report, reportLevel) {
+  console.log('\n' + styles.section('  REPORTE DE NORMALIZACION'));
+
+  if (report.changes.length === 0) {
+    console.log(styles.info('No hay cambios: el documento ya está normalizado'));
+  } else if (reportLevel === 'detailed') {
+    report.changes.forEach((change) => {
+      console.log(styles.step('[' + change.rule + '] ' + change.location + ' — ' + change.detail));
+    });
+  } else {
+    const countsByRule = {};
+    report.changes.forEach((change) => {
+      countsByRule[change.rule] = (countsByRule[change.rule] || 0) + 1;
+    });
+    Object.entries(countsByRule).forEach(([rule, count]) => {
+      console.log(styles.step(rule + ': ' + count + ' cambio(s)'));
+    });
+  }
+
+  if (report.findings.length > 0) {
+    console.log('\n' + styles.section('  VALIDACIONES DE ESTILO'));
+    if (reportLevel === 'detailed') {
+      report.findings.forEach((finding) => {
+        console.log(
+          styles.warning('[' + finding.rule + '] ' + finding.location + ' — ' + finding.message),
+        );
+      });
+    } else {
+      const countsByRule = {};
+      report.findings.forEach((finding) => {
+        countsByRule[finding.rule] = (countsByRule[finding.rule] || 0) + 1;
+      });
+      Object.entries(countsByRule).forEach(([rule, count]) => {
+        console.log(styles.warning(rule + ': ' + count + ' hallazgo(s)'));
+      });
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// NORMALIZACIÓN
+// ---------------------------------------------------------------------------
+
+function normalizeMonolith(entryFile, outputPath, report) {
+  const original = readSpecFile(entryFile);
+  const before = JSON.stringify(original);
+  const normalized = normalizeDocument(original, normalizeConfig, report);
+
+  const target = outputPath || entryFile;
+  return JSON.stringify(normalized) === before && target === entryFile
+    ? []
+    : [{ filePath: target, content: normalized }];
+}
+
+function normalizeTree(entryFile, rootDir, report) {
+  const files = listFilesRecursively(rootDir).filter(
+    (filePath) =>
+      SPEC_EXTENSIONS.includes(path.extname(filePath)) &&
+      path.basename(filePath) !== MANIFEST_FILE_NAME &&
+      path.resolve(filePath) !== path.resolve(entryFile),
+  );
+
+  const fragments = [];
+  files.forEach((filePath) => {
+    const relativePath = path.relative(rootDir, filePath);
+    const fileKind = classifyModularFile(relativePath);
+    if (!fileKind) return;
+
+    const content = readSpecFile(filePath);
+    const kind = fileKind === 'pathItem' && isOperationFile(content) ? 'operation' : fileKind;
+    const before = JSON.stringify(content);
+    const location = relativePath.split(path.sep).join('/') + '#';
+    const normalized = normalizeFragment(content, kind, normalizeConfig, report, location);
+    fragments.push({ filePath, kind, before, content: normalized });
+  });
+
+  const entry = readSpecFile(entryFile);
+  const entryBefore = JSON.stringify(entry);
+  const normalizedEntry = normalizeDocument(entry, normalizeConfig, report, {
+    location: path.relative(rootDir, entryFile).split(path.sep).join('/') + '#',
+    externalPathItems: fragments.filter((f) => f.kind === 'pathItem').map((f) => f.content),
+    externalOperations: fragments.filter((f) => f.kind === 'operation').map((f) => f.content),
+    externalDocuments: fragments.map((f) => f.content),
+  });
+
+  const writes = fragments
+    .filter((fragment) => JSON.stringify(fragment.content) !== fragment.before)
+    .map((fragment) => ({ filePath: fragment.filePath, content: fragment.content }));
+
+  if (JSON.stringify(normalizedEntry) !== entryBefore) {
+    writes.push({ filePath: entryFile, content: normalizedEntry });
+  }
+  return writes;
+}
+
+/**
+ * Aplica las reglas de config/normalize.yaml sobre un documento OpenAPI
+ * monolítico o sobre un árbol modularizado (carpeta o su entrypoint).
+ *
+ * PRIORIDAD DE VALORES:
+ *   - options.mode / options.reportLevel (CLI/menú)
+ *   - normalization.mode / normalization.reportLevel (config)
+ *
+ * @param {string} inputPath              Archivo monolítico, entrypoint modular o carpeta modular.
+ * @param {object} [options]
+ * @param {string} [options.mode]         "dry-run" | "apply"
+ * @param {string} [options.reportLevel]  "summary" | "detailed"
+ * @param {string} [options.output]       Solo monolito: archivo de salida (default: sobrescribe el input).
+ * @returns {Promise<{ changes: object[], findings: object[], writtenFiles: string[] }|undefined>}
+ */
+async function normalize(inputPath, options = {}) {
+  if (!inputPath || typeof inputPath !== 'string') {
+    throw new Error('❌ Debes indicar el archivo o carpeta OpenAPI a normalizar.');
+  }
+
+  const mode = options.mode || normalizationConfig.mode || DEFAULTS.mode;
+  const reportLevel = options.reportLevel || normalizationConfig.reportLevel || DEFAULTS.reportLevel;
+  assertOneOf(mode, VALID_MODES, 'mode');
+  assertOneOf(reportLevel, VALID_REPORT_LEVELS, 'reportLevel');
+
+  console.log('\n' + styles.divider());
+  console.log(styles.section('  PROCESO DE NORMALIZACION'));
+  console.log(styles.divider());
+
+  if (!ENABLED) {
+    console.log(styles.warning('Normalización deshabilitada (config.normalize.normalization.enabled: false)'));
+    return undefined;
+  }
+
+  const target = resolveTarget(inputPath);
+  console.log(
+    styles.step(
+      (target.kind === 'tree' ? 'Árbol modular: ' : 'Documento monolítico: ') + target.entryFile,
+    ),
+  );
+  console.log(styles.info('Modo: ' + mode + ' | Reporte: ' + reportLevel));
+
+  if (options.output && target.kind === 'tree') {
+    throw new Error('La opción de salida solo aplica a documentos monolíticos.');
+  }
+
+  const report = createReport();
+  const writes =
+    target.kind === 'tree'
+      ? normalizeTree(target.entryFile, target.rootDir, report)
+      : normalizeMonolith(target.entryFile, options.output, report);
+
+  printReport(report, reportLevel);
+
+  console.log('\n' + styles.divider());
+  const writtenFiles = [];
+  if (mode === 'apply') {
+    writes.forEach((write) => {
+      writeSpecFile(write.filePath, write.content);
+      writtenFiles.push(write.filePath);
+    });
+    console.log(styles.success(writtenFiles.length + ' archivo(s) actualizado(s)'));
+  } else {
+    console.log(styles.info('dry-run: ' + writes.length + ' archivo(s) cambiarían, no se escribió nada'));
+    if (reportLevel === 'detailed') {
+      writes.forEach((write) => console.log(styles.step(write.filePath)));
+    }
+  }
+  console.log('');
+
+  return { changes: report.changes, findings: report.findings, writtenFiles };
+}
+
+module.exports = {
+  normalize,
+  isModularEntrypoint,
+};
@@ -0,0 +1,610 @@
+// bin/application/swagger2Converter.js
+
+const { parseFragment, formatFragment, isPlainObject } = require('../core/jsonPointer');
+const { resolveRequestBodyParameterNames } = require('../core/swagger2Compatibility');
+
+/**
+ * Conversor en proceso OpenAPI 3.x → Swagger 2.0.
+ *
+ * Recibe el documento OAS3 ya cargado (idealmente un bundle: los $ref
+ * externos no se siguen) y devuelve el documento Swagger 2.0. No escribe
+ * archivos: la lectura/escritura la hace downgradeSwagger2.js.
+ *
+ * Correspondencias:
+ *   - servers[serverIndex]          → host / basePath / schemes
+ *   - requestBody                   → parámetro in: body  o  in: formData
+ *   - components.schemas            → definitions
+ *   - components.parameters         → parameters
+ *   - components.requestBodies      → parameters (in: body; con sufijo "Body"
+ *                                     si ya hay un parámetro con ese nombre)
+ *   - components.responses          → responses
+ *   - components.securitySchemes    → securityDefinitions
+ *   - "#/components/schemas/X/..."  → "#/definitions/X/..." (y equivalentes)
+ *
+ * Lo que Swagger 2.0 no puede representar se omite o se aproxima con
+ * extensiones x-*; el detalle lo informa swagger2Compatibility.js.
+ */
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+
+const FORM_MEDIA_TYPES = ['application/x-www-form-urlencoded', 'multipart/form-data'];
+
+// Claves de Schema Object que se copian tal cual en un parámetro/header no-body
+const SIMPLE_SCHEMA_KEYS = [
+  'type',
+  'format',
+  'default',
+  'maximum',
+  'exclusiveMaximum',
+  'minimum',
+  'exclusiveMinimum',
+  'maxLength',
+  'minLength',
+  'pattern',
+  'maxItems',
+  'minItems',
+  'uniqueItems',
+  'enum',
+  'multipleOf',
+];
+
+// Flujos oauth2 de OAS3 → flow de Swagger 2.0, en orden de preferencia
+const OAUTH2_FLOWS = [
+  ['authorizationCode', 'accessCode'],
+  ['implicit', 'implicit'],
+  ['password', 'password'],
+  ['clientCredentials', 'application'],
+];
+
+// Secciones de components que tienen equivalente directo en Swagger 2.0
+const REF_SECTIONS = {
+  schemas: 'definitions',
+  parameters: 'parameters',
+  requestBodies: 'parameters',
+  responses: 'responses',
+};
+
+function copyExtensions(source, target) {
+  Object.keys(source || {}).forEach((key) => {
+    if (key.startsWith('x-')) target[key] = source[key];
+  });
+  return target;
+}
+
+// ---------------------------------------------------------------------------
+// CONTEXTO DE CONVERSIÓN
+// ---------------------------------------------------------------------------
+
+function createContext(doc, options) {
+  return {
+    doc,
+    // nombre del requestBody → nombre en los parameters globales
+    requestBodyNames: resolveRequestBodyParameterNames(doc.components),
+    serverIndex: Number.isInteger(options.serverIndex) ? options.serverIndex : 0,
+    preferredMediaTypes: Array.isArray(options.preferredMediaTypes)
+      ? options.preferredMediaTypes
+      : ['application/json'],
+  };
+}
+
+/**
+ * Resuelve un $ref interno contra el documento OAS3 (sigue cadenas de $ref).
+ */
+function resolveLocal(ctx, value, seen = new Set()) {
+  if (!isPlainObject(value) || typeof value.$ref !== 'string') return value;
+  if (seen.has(value.$ref)) return value;
+  seen.add(value.$ref);
+
+  const segments = parseFragment(value.$ref);
+  if (!segments) return value;
+
+  let current = ctx.doc;
+  for (const segment of segments) {
+    if (!isPlainObject(current) && !Array.isArray(current)) return value;
+    if (!(segment in current)) return value;
+    current = current[segment];
+  }
+  return resolveLocal(ctx, current, seen);
+}
+
+/**
+ * "#/components/schemas/User/properties/id" → "#/definitions/User/properties/id".
+ * Devuelve null si la sección no tiene equivalente (headers, examples...).
+ */
+function convertRef(ctx, ref) {
+  const segments = parseFragment(ref);
+  if (!segments || segments[0] !== 'components' || segments.length < 3) return ref;
+  const target = REF_SECTIONS[segments[1]];
+  if (!target) return null;
+  const renamed = segments[1] === 'requestBodies' && ctx.requestBodyNames[segments[2]];
+  const name = renamed || segments[2];
+  return formatFragment([target, name].concat(segments.slice(3)));
+}
+
+/**
+ * Elige el media type de un content según preferredMediaTypes
+ * (si ninguno coincide, el primero declarado).
+ */
+function pickMediaType(ctx, content) {
+  const mediaTypes = Object.keys(content || {});
+  if (mediaTypes.length === 0) return null;
+  const preferred = ctx.preferredMediaTypes.find((mediaType) => mediaTypes.includes(mediaType));
+  return preferred || mediaTypes[0];
+}
+
+// ---------------------------------------------------------------------------
+// SCHEMAS
+// ---------------------------------------------------------------------------
+
+function convertSchema(ctx, schema) {
+  if (Array.isArray(schema)) return schema.map((item) => convertSchema(ctx, item));
+  if (!isPlainObject(schema)) return schema;
+
+  if (typeof schema.$ref === 'string') {
+    const ref = convertRef(ctx, schema.$ref);
+    // $defs desaparece en Swagger 2.0: lo que apunta dentro se incrusta
+    if (ref && !(parseFragment(schema.$ref) || []).includes('$defs')) return { $ref: ref };
+    return convertSchema(ctx, resolveLocal(ctx, schema));
+  }
+
+  const result = {};
+  Object.keys(schema).forEach((key) => {
+    const value = schema[key];
+    switch (key) {
+      case 'nullable':
+        if (value === true) result['x-nullable'] = true;
+        break;
+      case 'type':
+        if (Array.isArray(value)) {
+          // 3.1: ["string", "null"] → type: string + x-nullable
+          const types = value.filter((type) => type !== 'null');
+          if (types.length > 0) result.type = types[0];
+          if (value.includes('null')) result['x-nullable'] = true;
+        } else {
+          result.type = value;
+        }
+        break;
+      case 'const':
+        result.enum = [value];
+        break;
+      case 'examples':
+        // 3.1: lista de ejemplos → example (el primero)
+        if (Array.isArray(value) && value.length > 0 && result.example === undefined) {
+          result.example = value[0];
+        }
+        break;
+      case 'exclusiveMinimum':
+      case 'exclusiveMaximum':
+        if (typeof value === 'number') {
+          // 3.1: límite numérico → minimum/maximum + booleano
+          result[key === 'exclusiveMinimum' ? 'minimum' : 'maximum'] = value;
+          result[key] = true;
+        } else {
+          result[key] = value;
+        }
+        break;
+      case 'oneOf':
+      case 'anyOf':
+        result['x-' + key] = convertSchema(ctx, value);
+        break;
+      case 'not':
+      case 'writeOnly':
+      case '$defs':
+      case '$schema':
+      case '$id':
+        break;
+      case 'properties':
+      case 'patternProperties': {
+        result[key] = {};
+        Object.keys(value || {}).forEach((name) => {
+          result[key][name] = convertSchema(ctx, value[name]);
+        });
+        break;
+      }
+      case 'items':
+      case 'additionalProperties':
+      case 'allOf':
+        result[key] = convertSchema(ctx, value);
+        break;
+      case 'discriminator':
+        // Swagger 2.0: discriminator es solo el nombre de la propiedad
+        result.discriminator = isPlainObject(value) ? value.propertyName : value;
+        break;
+      default:
+        result[key] = value;
+    }
+  });
+  return result;
+}
+
+/**
+ * Vuelca un schema "simple" sobre un parámetro/header no-body
+ * (Swagger 2.0 no admite schema ni $ref en ellos). Los items se aplanan
+ * igual, siguiendo sus $ref; un array recursivo se corta con type: string.
+ */
+function flattenSchemaInto(ctx, schema, target, seen = new Set()) {
+  if (isPlainObject(schema) && typeof schema.$ref === 'string') {
+    if (seen.has(schema.$ref)) return Object.assign(target, { type: 'string' });
+    seen.add(schema.$ref);
+  }
+  const resolved = resolveLocal(ctx, schema);
+  if (!isPlainObject(resolved)) return target;
+  const converted = convertSchema(ctx, resolved);
+
+  SIMPLE_SCHEMA_KEYS.forEach((key) => {
+    if (converted[key] !== undefined) target[key] = converted[key];
+  });
+  if (resolved.items !== undefined) {
+    target.items = flattenSchemaInto(ctx, resolved.items, {}, seen);
+  }
+  if (converted['x-nullable']) target['x-nullable'] = true;
+  if (!target.type) target.type = 'string';
+  return target;
+}
+
+// ---------------------------------------------------------------------------
+// PARÁMETROS, HEADERS, REQUEST BODIES
+// ---------------------------------------------------------------------------
+
+function collectionFormatFor(parameter) {
+  const style = parameter.style || (['query', 'cookie'].includes(parameter.in) ? 'form' : 'simple');
+  const explode = parameter.explode !== undefined ? parameter.explode : style === 'form';
+  if (style === 'form') return explode ? 'multi' : 'csv';
+  if (style === 'spaceDelimited') return 'ssv';
+  if (style === 'pipeDelimited') return 'pipes';
+  return 'csv';
+}
+
+/**
+ * @returns {object | null}  null si el parámetro no existe en Swagger 2.0 (cookie),
+ *                           también cuando es un $ref a uno.
+ */
+function convertParameter(ctx, parameter) {
+  if (isPlainObject(parameter) && typeof parameter.$ref === 'string') {
+    const resolved = resolveLocal(ctx, parameter);
+    // Los parámetros cookie no llegan a los parameters globales: el $ref quedaría colgando
+    if (isPlainObject(resolved) && resolved.in === 'cookie') return null;
+    const ref = convertRef(ctx, parameter.$ref);
+    if (ref) return { $ref: ref };
+    return convertParameter(ctx, resolved);
+  }
+  if (!isPlainObject(parameter) || parameter.in === 'cookie') return null;
+
+  const result = { name: parameter.name, in: parameter.in };
+  if (parameter.description) result.description = parameter.description;
+  if (parameter.required !== undefined) result.required = parameter.required;
+  if (parameter.allowEmptyValue !== undefined) result.allowEmptyValue = parameter.allowEmptyValue;
+  if (parameter.deprecated) result['x-deprecated'] = true;
+
+  let schema = parameter.schema;
+  if (!schema && isPlainObject(parameter.content)) {
+    const mediaType = pickMediaType(ctx, parameter.content);
+    schema = mediaType && parameter.content[mediaType].schema;
+  }
+  flattenSchemaInto(ctx, schema || { type: 'string' }, result);
+
+  if (result.type === 'array') result.collectionFormat = collectionFormatFor(parameter);
+  if (parameter.example !== undefined) result['x-example'] = parameter.example;
+  return copyExtensions(parameter, result);
+}
+
+function convertHeader(ctx, header) {
+  const resolved = resolveLocal(ctx, header);
+  if (!isPlainObject(resolved)) return {};
+  const result = {};
+  if (resolved.description) result.description = resolved.description;
+  flattenSchemaInto(ctx, resolved.schema || { type: 'string' }, result);
+  if (result.type === 'array') result.collectionFormat = 'csv';
+  return copyExtensions(resolved, result);
+}
+
+/**
+ * requestBody → { parameters, consumes }.
+ * Con media type de formulario se generan parámetros formData; si no, uno in: body.
+ */
+function convertRequestBody(ctx, requestBody, bodyName = 'body') {
+  if (isPlainObject(requestBody) && typeof requestBody.$ref === 'string') {
+    const resolved = resolveLocal(ctx, requestBody);
+    const ref = convertRef(ctx, requestBody.$ref);
+    const content = (resolved && resolved.content) || {};
+    const mediaType = pickMediaType(ctx, content);
+    // Un body compartido se puede referenciar; un formulario no (son varios parámetros)
+    if (ref && !FORM_MEDIA_TYPES.includes(mediaType)) {
+      return { parameters: [{ $ref: ref }], consumes: Object.keys(content) };
+    }
+    return convertRequestBody(ctx, resolved, bodyName);
+  }
+  if (!isPlainObject(requestBody)) return { parameters: [], consumes: [] };
+
+  const content = requestBody.content || {};
+  const consumes = Object.keys(content);
+  const mediaType = pickMediaType(ctx, content);
+  if (!mediaType) return { parameters: [], consumes };
+
+  const media = content[mediaType] || {};
+
+  if (FORM_MEDIA_TYPES.includes(mediaType)) {
+    const schema = resolveLocal(ctx, media.schema) || {};
+    const required = Array.isArray(schema.required) ? schema.required : [];
+    const parameters = Object.entries(schema.properties || {}).map(([name, property]) => {
+      const parameter = { name, in: 'formData' };
+      const resolved = resolveLocal(ctx, property) || {};
+      if (resolved.description) parameter.description = resolved.description;
+      if (required.includes(name)) parameter.required = true;
+      if (resolved.type === 'string' && resolved.format === 'binary') {
+        parameter.type = 'file';
+      } else {
+        flattenSchemaInto(ctx, property, parameter);
+        if (parameter.type === 'array') parameter.collectionFormat = 'multi';
+      }
+      return parameter;
+    });
+    return { parameters, consumes };
+  }
+
+  const parameter = { name: requestBody['x-codegen-request-body-name'] || bodyName, in: 'body' };
+  if (requestBody.description) parameter.description = requestBody.description;
+  if (requestBody.required !== undefined) parameter.required = requestBody.required;
+  parameter.schema = convertSchema(ctx, media.schema || {});
+  if (media.example !== undefined) parameter['x-example'] = media.example;
+  return { parameters: [parameter], consumes };
+}
+
+// ---------------------------------------------------------------------------
+// RESPUESTAS
+// ---------------------------------------------------------------------------
+
+/**
+ * @returns {{ response: object, produces: string[] }}
+ */
+function convertResponse(ctx, response) {
+  if (isPlainObject(response) && typeof response.$ref === 'string') {
+    const ref = convertRef(ctx, response.$ref);
+    const resolved = resolveLocal(ctx, response);
+    const produces = Object.keys((resolved && resolved.content) || {});
+    if (ref) return { response: { $ref: ref }, produces };
+    return convertResponse(ctx, resolved);
+  }
+  if (!isPlainObject(response)) return { response: { description: '' }, produces: [] };
+
+  const result = { description: response.description || '' };
+  const content = response.content || {};
+  const produces = Object.keys(content);
+  const mediaType = pickMediaType(ctx, content);
+
+  if (mediaType && content[mediaType] && content[mediaType].schema) {
+    result.schema = convertSchema(ctx, content[mediaType].schema);
+  }
+
+  const examples = {};
+  produces.forEach((type) => {
+    const media = content[type] || {};
+    if (media.example !== undefined) {
+      examples[type] = media.example;
+    } else if (isPlainObject(media.examples)) {
+      const first = Object.values(media.examples)[0];
+      const resolved = resolveLocal(ctx, first);
+      if (isPlainObject(resolved) && resolved.value !== undefined) examples[type] = resolved.value;
+    }
+  });
+  if (Object.keys(examples).length > 0) result.examples = examples;
+
+  if (isPlainObject(response.headers)) {
+    result.headers = {};
+    Object.entries(response.headers).forEach(([name, header]) => {
+      result.headers[name] = convertHeader(ctx, header);
+    });
+  }
+  return { response: copyExtensions(response, result), produces };
+}
+
+// ---------------------------------------------------------------------------
+// OPERACIONES Y PATHS
+// ---------------------------------------------------------------------------
+
+const OPERATION_COPY_KEYS = [
+  'tags',
+  'summary',
+  'description',
+  'externalDocs',
+  'operationId',
+  'deprecated',
+  'security',
+];
+
+function convertOperation(ctx, operation) {
+  const result = {};
+  OPERATION_COPY_KEYS.forEach((key) => {
+    if (operation[key] !== undefined) result[key] = operation[key];
+  });
+
+  const parameters = (operation.parameters || [])
+    .map((parameter) => convertParameter(ctx, parameter))
+    .filter(Boolean);
+
+  if (operation.requestBody) {
+    const body = convertRequestBody(ctx, operation.requestBody);
+    parameters.push(...body.parameters);
+    if (body.consumes.length > 0) result.consumes = body.consumes;
+  }
+  if (parameters.length > 0) result.parameters = parameters;
+
+  const produces = new Set();
+  result.responses = {};
+  Object.entries(operation.responses || {}).forEach(([status, response]) => {
+    const converted = convertResponse(ctx, response);
+    converted.produces.forEach((type) => produces.add(type));
+    result.responses[status] = converted.response;
+  });
+  if (produces.size > 0) result.produces = Array.from(produces);
+
+  return copyExtensions(operation, result);
+}
+
+function convertPathItem(ctx, pathItem) {
+  // 3.1: un path item puede ser $ref a components.pathItems → se incrusta
+  const resolved = resolveLocal(ctx, pathItem);
+  if (!isPlainObject(resolved)) return {};
+
+  const result = {};
+  if (Array.isArray(resolved.parameters)) {
+    const parameters = resolved.parameters
+      .map((parameter) => convertParameter(ctx, parameter))
+      .filter(Boolean);
+    if (parameters.length > 0) result.parameters = parameters;
+  }
+  HTTP_METHODS.forEach((method) => {
+    if (isPlainObject(resolved[method])) result[method] = convertOperation(ctx, resolved[method]);
+  });
+  return copyExtensions(resolved, result);
+}
+
+// ---------------------------------------------------------------------------
+// SERVERS Y SEGURIDAD
+// ---------------------------------------------------------------------------
+
+/**
+ * servers[serverIndex] → { host, basePath, schemes }. Las variables se
+ * sustituyen por su default.
+ */
+function convertServer(ctx, servers) {
+  if (!Array.isArray(servers) || servers.length === 0) return {};
+  const server = servers[ctx.serverIndex] || servers[0];
+  if (!isPlainObject(server) || typeof server.url !== 'string') return {};
+
+  const variables = server.variables || {};
+  const url = server.url.replace(/\{([^}]+)\}/g, (match, name) =>
+    variables[name] && variables[name].default !== undefined ? variables[name].default : match,
+  );
+
+  const match = url.match(/^([a-z][a-z0-9+.-]*):\/\/([^/]+)(\/.*)?$/i);
+  if (!match) {
+    // URL relativa: solo basePath
+    return url && url !== '/' ? { basePath: url.replace(/\/$/, '') } : {};
+  }
+
+  const result = { host: match[2], schemes: [match[1].toLowerCase()] };
+  const basePath = (match[3] || '').replace(/\/$/, '');
+  if (basePath) result.basePath = basePath;
+  return result;
+}
+
+function convertSecurityScheme(scheme) {
+  if (!isPlainObject(scheme)) return null;
+  const description = scheme.description ? { description: scheme.description } : {};
+
+  if (scheme.type === 'http') {
+    if (String(scheme.scheme).toLowerCase() === 'basic') {
+      return Object.assign({ type: 'basic' }, description);
+    }
+    // bearer y otros: apiKey sobre el header Authorization
+    return Object.assign({ type: 'apiKey', name: 'Authorization', in: 'header' }, description);
+  }
+  if (scheme.type === 'apiKey') {
+    if (scheme.in === 'cookie') return null;
+    return Object.assign({ type: 'apiKey', name: scheme.name, in: scheme.in }, description);
+  }
+  if (scheme.type === 'oauth2') {
+    const flows = scheme.flows || {};
+    const pair = OAUTH2_FLOWS.find(([oas3Flow]) => isPlainObject(flows[oas3Flow]));
+    if (!pair) return null;
+    const flow = flows[pair[0]];
+    const result = Object.assign({ type: 'oauth2', flow: pair[1] }, description);
+    if (flow.authorizationUrl) result.authorizationUrl = flow.authorizationUrl;
+    if (flow.tokenUrl) result.tokenUrl = flow.tokenUrl;
+    result.scopes = flow.scopes || {};
+    return result;
+  }
+  // openIdConnect y tipos desconocidos: sin equivalente
+  return null;
+}
+
+/**
+ * info de 3.1: summary y license.identifier no existen en Swagger 2.0.
+ */
+function convertInfo(info) {
+  if (!isPlainObject(info)) return info;
+  const result = Object.assign({}, info);
+  delete result.summary;
+  if (isPlainObject(info.license)) {
+    result.license = Object.assign({}, info.license);
+    delete result.license.identifier;
+  }
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// API PÚBLICA
+// ---------------------------------------------------------------------------
+
+/**
+ * Convierte un documento OpenAPI 3.x en Swagger 2.0.
+ *
+ * @param {object} doc  Documento OAS3 (bundle).
+ * @param {object} [options]
+ * @param {number} [options.serverIndex]           Server usado para host/basePath (default 0).
+ * @param {string[]} [options.preferredMediaTypes] Media type que gana cuando hay varios.
+ * @returns {object}  Documento Swagger 2.0.
+ */
+function convertToSwagger2(doc, options = {}) {
+  if (!isPlainObject(doc) || typeof doc.openapi !== 'string' || !doc.openapi.startsWith('3.')) {
+    throw new Error('❌ El documento de entrada no es OpenAPI 3.x (falta o es inválido "openapi").');
+  }
+
+  const ctx = createContext(doc, options);
+  const components = doc.components || {};
+
+  const result = { swagger: '2.0', info: convertInfo(doc.info) };
+  Object.assign(result, convertServer(ctx, doc.servers));
+  if (doc.tags) result.tags = doc.tags;
+  if (doc.externalDocs) result.externalDocs = doc.externalDocs;
+  if (doc.security) result.security = doc.security;
+
+  result.paths = {};
+  Object.entries(doc.paths || {}).forEach(([route, pathItem]) => {
+    if (route.startsWith('x-')) {
+      result.paths[route] = pathItem;
+      return;
+    }
+    result.paths[route] = convertPathItem(ctx, pathItem);
+  });
+
+  const definitions = {};
+  Object.entries(components.schemas || {}).forEach(([name, schema]) => {
+    definitions[name] = convertSchema(ctx, schema);
+  });
+  if (Object.keys(definitions).length > 0) result.definitions = definitions;
+
+  const parameters = {};
+  Object.entries(components.parameters || {}).forEach(([name, parameter]) => {
+    const converted = convertParameter(ctx, parameter);
+    if (converted) parameters[name] = converted;
+  });
+  Object.entries(components.requestBodies || {}).forEach(([name, requestBody]) => {
+    const body = convertRequestBody(ctx, requestBody, name);
+    // Solo los bodies (un parámetro in: body) tienen sitio en parameters globales
+    if (body.parameters.length === 1 && body.parameters[0].in === 'body') {
+      parameters[ctx.requestBodyNames[name]] = body.parameters[0];
+    }
+  });
+  if (Object.keys(parameters).length > 0) result.parameters = parameters;
+
+  const responses = {};
+  Object.entries(components.responses || {}).forEach(([name, response]) => {
+    responses[name] = convertResponse(ctx, response).response;
+  });
+  if (Object.keys(responses).length > 0) result.responses = responses;
+
+  const securityDefinitions = {};
+  Object.entries(components.securitySchemes || {}).forEach(([name, scheme]) => {
+    const converted = convertSecurityScheme(resolveLocal(ctx, scheme));
+    if (converted) securityDefinitions[name] = converted;
+  });
+  if (Object.keys(securityDefinitions).length > 0) result.securityDefinitions = securityDefinitions;
+
+  return copyExtensions(doc, result);
+}
+
+module.exports = {
+  convertToSwagger2,
+};
@@ -0,0 +1,637 @@
+// bin/application/swagger2Upgrader.js
+
+const {
+  parseFragment,
+  formatFragment,
+  escapePointerSegment,
+  isPlainObject,
+} = require('../core/jsonPointer');
+
+/**
+ * Conversor en proceso Swagger 2.0 → OpenAPI 3.0 (camino inverso de
+ * swagger2Converter.js).
+ *
+ * Recibe el documento Swagger 2.0 ya cargado y devuelve el documento OAS3
+ * junto con la lista de decisiones tomadas, cada una con el JSON Pointer
+ * del documento de origen. No escribe archivos.
+ *
+ * Correspondencias:
+ *   - host / basePath / schemes     → servers (uno por scheme)
+ *   - parámetro in: body            → requestBody (un media type por consumes)
+ *   - parámetros in: formData       → requestBody con schema object
+ *   - definitions                   → components.schemas
+ *   - parameters (no body/formData) → components.parameters
+ *   - parameters (in: body)         → components.requestBodies
+ *   - responses                     → components.responses
+ *   - securityDefinitions           → components.securitySchemes
+ *   - "#/definitions/X/..."         → "#/components/schemas/X/..." (y equivalentes)
+ *
+ * Cada decisión: { decision, pointer, message }
+ */
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+
+const FORM_MEDIA_TYPES = ['application/x-www-form-urlencoded', 'multipart/form-data'];
+
+// Claves de un parámetro/header no-body que pasan a su schema
+const SIMPLE_SCHEMA_KEYS = [
+  'type',
+  'format',
+  'default',
+  'maximum',
+  'exclusiveMaximum',
+  'minimum',
+  'exclusiveMinimum',
+  'maxLength',
+  'minLength',
+  'pattern',
+  'maxItems',
+  'minItems',
+  'uniqueItems',
+  'enum',
+  'multipleOf',
+];
+
+// Flows oauth2 de Swagger 2.0 → flows de OAS3
+const OAUTH2_FLOWS = {
+  implicit: 'implicit',
+  password: 'password',
+  application: 'clientCredentials',
+  accessCode: 'authorizationCode',
+};
+
+// collectionFormat → style/explode (query); en path/header el default es simple+csv
+const COLLECTION_FORMATS = {
+  csv: { style: 'form', explode: false },
+  multi: { style: 'form', explode: true },
+  ssv: { style: 'spaceDelimited', explode: false },
+  pipes: { style: 'pipeDelimited', explode: false },
+};
+
+function childPointer(pointer, key) {
+  return pointer + '/' + escapePointerSegment(key);
+}
+
+function copyExtensions(source, target, skip = []) {
+  Object.keys(source || {}).forEach((key) => {
+    if (key.startsWith('x-') && !skip.includes(key)) target[key] = source[key];
+  });
+  return target;
+}
+
+// ---------------------------------------------------------------------------
+// CONTEXTO DE CONVERSIÓN
+// ---------------------------------------------------------------------------
+
+function createContext(doc, options) {
+  const decisions = [];
+  return {
+    doc,
+    openapiVersion: options.openapiVersion || '3.0.3',
+    defaultMediaType: options.defaultMediaType || 'application/json',
+    decisions,
+    decide: (decision, pointer, message) => decisions.push({ decision, pointer, message }),
+  };
+}
+
+/**
+ * Resuelve un $ref interno contra el documento Swagger 2.0.
+ */
+function resolveLocal(ctx, value) {
+  if (!isPlainObject(value) || typeof value.$ref !== 'string') return value;
+  const segments = parseFragment(value.$ref);
+  if (!segments) return value;
+
+  let current = ctx.doc;
+  for (const segment of segments) {
+    if (!isPlainObject(current) && !Array.isArray(current)) return value;
+    if (!(segment in current)) return value;
+    current = current[segment];
+  }
+  return current;
+}
+
+/**
+ * "#/definitions/User/properties/id" → "#/components/schemas/User/properties/id".
+ * Los parámetros globales in: body pasan a components.requestBodies.
+ */
+function convertRef(ctx, ref) {
+  const segments = parseFragment(ref);
+  if (!segments || segments.length < 2) return ref;
+
+  if (segments[0] === 'definitions') {
+    return formatFragment(['components', 'schemas'].concat(segments.slice(1)));
+  }
+  if (segments[0] === 'responses') {
+    return formatFragment(['components', 'responses'].concat(segments.slice(1)));
+  }
+  if (segments[0] === 'parameters') {
+    const parameter = (ctx.doc.parameters || {})[segments[1]];
+    const section = parameter && parameter.in === 'body' ? 'requestBodies' : 'parameters';
+    return formatFragment(['components', section].concat(segments.slice(1)));
+  }
+  return ref;
+}
+
+function mediaTypesFor(ctx, declared, pointer, kind) {
+  if (Array.isArray(declared) && declared.length > 0) return declared;
+  ctx.decide(
+    'defaultMediaType',
+    pointer,
+    'Sin ' + kind + ' declarado: se usa ' + ctx.defaultMediaType,
+  );
+  return [ctx.defaultMediaType];
+}
+
+// ---------------------------------------------------------------------------
+// SCHEMAS
+// ---------------------------------------------------------------------------
+
+function convertSchema(ctx, schema, pointer) {
+  if (Array.isArray(schema)) {
+    return schema.map((item, index) => convertSchema(ctx, item, childPointer(pointer, index)));
+  }
+  if (!isPlainObject(schema)) return schema;
+
+  if (typeof schema.$ref === 'string') return { $ref: convertRef(ctx, schema.$ref) };
+
+  const result = {};
+  Object.keys(schema).forEach((key) => {
+    const value = schema[key];
+    const keyPointer = childPointer(pointer, key);
+    switch (key) {
+      case 'x-nullable':
+        if (value === true) result.nullable = true;
+        break;
+      case 'x-oneOf':
+      case 'x-anyOf':
+        // Extensión que deja swagger2Converter.js: se recupera la palabra clave
+        result[key.slice(2)] = convertSchema(ctx, value, keyPointer);
+        ctx.decide(key, keyPointer, key + ' se restaura como ' + key.slice(2));
+        break;
+      case 'type':
+        if (value === 'file') {
+          result.type = 'string';
+          result.format = 'binary';
+          ctx.decide('fileType', keyPointer, 'type: file se convierte en string/binary');
+        } else {
+          result.type = value;
+        }
+        break;
+      case 'discriminator':
+        result.discriminator = typeof value === 'string' ? { propertyName: value } : value;
+        break;
+      case 'properties': {
+        result.properties = {};
+        Object.keys(value || {}).forEach((name) => {
+          result.properties[name] = convertSchema(ctx, value[name], childPointer(keyPointer, name));
+        });
+        break;
+      }
+      case 'items':
+      case 'additionalProperties':
+      case 'allOf':
+        result[key] = convertSchema(ctx, value, keyPointer);
+        break;
+      default:
+        result[key] = value;
+    }
+  });
+  return result;
+}
+
+/**
+ * Construye el schema de un parámetro/header/items no-body de Swagger 2.0.
+ */
+function buildSimpleSchema(ctx, source, pointer) {
+  const schema = {};
+  SIMPLE_SCHEMA_KEYS.forEach((key) => {
+    if (source[key] !== undefined) schema[key] = source[key];
+  });
+  if (isPlainObject(source.items)) {
+    schema.items = buildSimpleSchema(ctx, source.items, childPointer(pointer, 'items'));
+  }
+  if (source['x-nullable'] === true) schema.nullable = true;
+  return convertSchema(ctx, schema, pointer);
+}
+
+// ---------------------------------------------------------------------------
+// PARÁMETROS Y REQUEST BODIES
+// ---------------------------------------------------------------------------
+
+function convertParameter(ctx, parameter, pointer) {
+  if (typeof parameter.$ref === 'string') return { $ref: convertRef(ctx, parameter.$ref) };
+
+  const result = { name: parameter.name, in: parameter.in };
+  if (parameter.description) result.description = parameter.description;
+  if (parameter.required !== undefined) result.required = parameter.required;
+  if (parameter.allowEmptyValue !== undefined) result.allowEmptyValue = parameter.allowEmptyValue;
+  if (parameter['x-deprecated'] === true) result.deprecated = true;
+
+  if (parameter.type === 'array' && parameter.collectionFormat) {
+    const format = COLLECTION_FORMATS[parameter.collectionFormat];
+    if (!format) {
+      ctx.decide(
+        'collectionFormat',
+        childPointer(pointer, 'collectionFormat'),
+        'collectionFormat "' + parameter.collectionFormat + '" no existe en OAS3: se usa el default',
+      );
+    } else if (parameter.in === 'query') {
+      result.style = format.style;
+      result.explode = format.explode;
+    }
+  }
+
+  result.schema = buildSimpleSchema(ctx, parameter, pointer);
+  if (parameter['x-example'] !== undefined) result.example = parameter['x-example'];
+  return copyExtensions(parameter, result, ['x-deprecated', 'x-example', 'x-nullable']);
+}
+
+/**
+ * Parámetro in: body → requestBody con un media type por cada consumes.
+ */
+function convertBodyParameter(ctx, parameter, consumes, pointer) {
+  const schema = convertSchema(ctx, parameter.schema || {}, childPointer(pointer, 'schema'));
+  const result = { content: {} };
+  if (parameter.description) result.description = parameter.description;
+  if (parameter.required !== undefined) result.required = parameter.required;
+
+  consumes.forEach((mediaType) => {
+    result.content[mediaType] = { schema };
+    if (parameter['x-example'] !== undefined) result.content[mediaType].example = parameter['x-example'];
+  });
+
+  // Conserva el nombre del parámetro para poder volver a Swagger 2.0
+  if (parameter.name && parameter.name !== 'body') {
+    result['x-codegen-request-body-name'] = parameter.name;
+  }
+  ctx.decide(
+    'bodyParameter',
+    pointer,
+    'Parámetro body "' + parameter.name + '" → requestBody (' + consumes.join(', ') + ')',
+  );
+  return copyExtensions(parameter, result, ['x-example']);
+}
+
+/**
+ * Parámetros in: formData → requestBody con un schema object.
+ */
+function convertFormDataParameters(ctx, entries, consumes, pointer) {
+  const properties = {};
+  const required = [];
+  let hasFile = false;
+
+  entries.forEach(({ parameter, pointer: parameterPointer }) => {
+    const property = buildSimpleSchema(ctx, parameter, parameterPointer);
+    if (parameter.description) property.description = parameter.description;
+    if (parameter.type === 'file') hasFile = true;
+    properties[parameter.name] = property;
+    if (parameter.required) required.push(parameter.name);
+  });
+
+  let mediaTypes = consumes.filter((mediaType) => FORM_MEDIA_TYPES.includes(mediaType));
+  if (mediaTypes.length === 0) {
+    mediaTypes = [hasFile ? 'multipart/form-data' : 'application/x-www-form-urlencoded'];
+  }
+
+  const schema = { type: 'object', properties };
+  if (required.length > 0) schema.required = required;
+
+  const result = { content: {} };
+  if (required.length > 0) result.required = true;
+  mediaTypes.forEach((mediaType) => {
+    result.content[mediaType] = { schema };
+  });
+
+  ctx.decide(
+    'formDataParameters',
+    pointer,
+    'Parámetros formData (' +
+      entries.map((entry) => entry.parameter.name).join(', ') +
+      ') → requestBody ' +
+      mediaTypes.join(', '),
+  );
+  return result;
+}
+
+/**
+ * Separa los parámetros de una operación: los no-body se convierten; body y
+ * formData (propios, heredados del path item o referenciados a
+ * #/parameters) se agrupan en un requestBody.
+ */
+function convertOperationParameters(ctx, operationParameters, inheritedParameters, consumes, pointer) {
+  const parameters = [];
+  let body = null;
+  const formData = [];
+
+  const classify = (parameter, parameterPointer, isInherited) => {
+    const resolved = resolveLocal(ctx, parameter);
+    if (!isPlainObject(resolved)) return;
+
+    if (resolved.in === 'body') {
+      if (typeof parameter.$ref === 'string') {
+        body = { $ref: convertRef(ctx, parameter.$ref) };
+      } else {
+        body = convertBodyParameter(ctx, resolved, consumes(), parameterPointer);
+      }
+      return;
+    }
+    if (resolved.in === 'formData') {
+      formData.push({ parameter: resolved, pointer: parameterPointer });
+      return;
+    }
+    if (!isInherited) parameters.push(convertParameter(ctx, parameter, parameterPointer));
+  };
+
+  inheritedParameters.forEach(({ parameter, pointer: parameterPointer }) =>
+    classify(parameter, parameterPointer, true),
+  );
+  (operationParameters || []).forEach((parameter, index) =>
+    classify(parameter, childPointer(childPointer(pointer, 'parameters'), index), false),
+  );
+
+  if (!body && formData.length > 0) {
+    body = convertFormDataParameters(ctx, formData, consumes(), pointer);
+  }
+  return { parameters, requestBody: body };
+}
+
+// ---------------------------------------------------------------------------
+// RESPUESTAS
+// ---------------------------------------------------------------------------
+
+function convertResponse(ctx, response, produces, pointer) {
+  if (typeof response.$ref === 'string') return { $ref: convertRef(ctx, response.$ref) };
+
+  const result = { description: response.description || '' };
+
+  if (isPlainObject(response.headers)) {
+    result.headers = {};
+    Object.entries(response.headers).forEach(([name, header]) => {
+      const headerPointer = childPointer(childPointer(pointer, 'headers'), name);
+      const converted = {};
+      if (header.description) converted.description = header.description;
+      converted.schema = buildSimpleSchema(ctx, header, headerPointer);
+      result.headers[name] = copyExtensions(header, converted);
+    });
+  }
+
+  const examples = isPlainObject(response.examples) ? response.examples : {};
+  if (response.schema || Object.keys(examples).length > 0) {
+    const mediaTypes = produces();
+    result.content = {};
+    const schema = response.schema
+      ? convertSchema(ctx, response.schema, childPointer(pointer, 'schema'))
+      : undefined;
+    mediaTypes.forEach((mediaType) => {
+      const media = {};
+      if (schema) media.schema = schema;
+      if (examples[mediaType] !== undefined) media.example = examples[mediaType];
+      result.content[mediaType] = media;
+    });
+    // Ejemplos de media types que no figuran en produces
+    Object.keys(examples)
+      .filter((mediaType) => !mediaTypes.includes(mediaType))
+      .forEach((mediaType) => {
+        result.content[mediaType] = schema
+          ? { schema, example: examples[mediaType] }
+          : { example: examples[mediaType] };
+      });
+  }
+
+  return copyExtensions(response, result);
+}
+
+// ---------------------------------------------------------------------------
+// OPERACIONES Y PATHS
+// ---------------------------------------------------------------------------
+
+const OPERATION_COPY_KEYS = [
+  'tags',
+  'summary',
+  'description',
+  'externalDocs',
+  'operationId',
+  'deprecated',
+  'security',
+];
+
+function convertOperation(ctx, operation, inheritedParameters, pointer) {
+  const result = {};
+  OPERATION_COPY_KEYS.forEach((key) => {
+    if (operation[key] !== undefined) result[key] = operation[key];
+  });
+
+  // Solo se avisa del media type por defecto cuando realmente se usa
+  let consumesCache = null;
+  const consumes = () => {
+    if (!consumesCache) {
+      consumesCache = mediaTypesFor(ctx, operation.consumes || ctx.doc.consumes, pointer, 'consumes');
+    }
+    return consumesCache;
+  };
+  let producesCache = null;
+  const produces = () => {
+    if (!producesCache) {
+      producesCache = mediaTypesFor(ctx, operation.produces || ctx.doc.produces, pointer, 'produces');
+    }
+    return producesCache;
+  };
+
+  const converted = convertOperationParameters(
+    ctx,
+    operation.parameters,
+    inheritedParameters,
+    consumes,
+    pointer,
+  );
+  if (converted.parameters.length > 0) result.parameters = converted.parameters;
+  if (converted.requestBody) result.requestBody = converted.requestBody;
+
+  result.responses = {};
+  Object.entries(operation.responses || {}).forEach(([status, response]) => {
+    if (status.startsWith('x-')) {
+      result.responses[status] = response;
+      return;
+    }
+    result.responses[status] = convertResponse(
+      ctx,
+      response,
+      produces,
+      childPointer(childPointer(pointer, 'responses'), status),
+    );
+  });
+
+  return copyExtensions(operation, result);
+}
+
+function convertPathItem(ctx, pathItem, pointer) {
+  if (!isPlainObject(pathItem)) return pathItem;
+
+  const result = {};
+  const inherited = [];
+  const pathParameters = [];
+
+  (pathItem.parameters || []).forEach((parameter, index) => {
+    const parameterPointer = childPointer(childPointer(pointer, 'parameters'), index);
+    const resolved = resolveLocal(ctx, parameter);
+    // body/formData a nivel de path item se trasladan a cada operación
+    if (isPlainObject(resolved) && ['body', 'formData'].includes(resolved.in)) {
+      inherited.push({ parameter, pointer: parameterPointer });
+    } else {
+      pathParameters.push(convertParameter(ctx, parameter, parameterPointer));
+    }
+  });
+  if (pathParameters.length > 0) result.parameters = pathParameters;
+
+  HTTP_METHODS.forEach((method) => {
+    if (isPlainObject(pathItem[method])) {
+      result[method] = convertOperation(
+        ctx,
+        pathItem[method],
+        inherited,
+        childPointer(pointer, method),
+      );
+    }
+  });
+  return copyExtensions(pathItem, result);
+}
+
+// ---------------------------------------------------------------------------
+// SERVERS Y SEGURIDAD
+// ---------------------------------------------------------------------------
+
+function buildServers(ctx) {
+  const { host, basePath, schemes } = ctx.doc;
+  const base = basePath && basePath !== '/' ? basePath.replace(/\/$/, '') : '';
+
+  if (!host) {
+    ctx.decide('servers', '#', 'Sin host: se genera un server relativo "' + (base || '/') + '"');
+    return [{ url: base || '/' }];
+  }
+
+  let resolvedSchemes = Array.isArray(schemes) && schemes.length > 0 ? schemes : null;
+  if (!resolvedSchemes) {
+    resolvedSchemes = ['https'];
+    ctx.decide('defaultScheme', '#', 'Sin schemes: se asume https');
+  }
+
+  const servers = resolvedSchemes.map((scheme) => ({ url: scheme + '://' + host + base }));
+  ctx.decide(
+    'servers',
+    '#',
+    'host/basePath/schemes → servers: ' + servers.map((server) => server.url).join(', '),
+  );
+  return servers;
+}
+
+function convertSecurityScheme(ctx, scheme, pointer) {
+  const description = scheme.description ? { description: scheme.description } : {};
+
+  if (scheme.type === 'basic') {
+    return Object.assign({ type: 'http', scheme: 'basic' }, description);
+  }
+  if (scheme.type === 'apiKey') {
+    return Object.assign({ type: 'apiKey', name: scheme.name, in: scheme.in }, description);
+  }
+  if (scheme.type === 'oauth2') {
+    const flowName = OAUTH2_FLOWS[scheme.flow] || scheme.flow;
+    if (flowName !== scheme.flow) {
+      ctx.decide('oauth2Flow', childPointer(pointer, 'flow'), 'Flow "' + scheme.flow + '" → ' + flowName);
+    }
+    const flow = {};
+    if (scheme.authorizationUrl) flow.authorizationUrl = scheme.authorizationUrl;
+    if (scheme.tokenUrl) flow.tokenUrl = scheme.tokenUrl;
+    flow.scopes = scheme.scopes || {};
+    return Object.assign({ type: 'oauth2', flows: { [flowName]: flow } }, description);
+  }
+  return scheme;
+}
+
+// ---------------------------------------------------------------------------
+// API PÚBLICA
+// ---------------------------------------------------------------------------
+
+/**
+ * Convierte un documento Swagger 2.0 en OpenAPI 3.0.
+ *
+ * @param {object} doc  Documento Swagger 2.0 (sin $ref externos).
+ * @param {object} [options]
+ * @param {string} [options.openapiVersion]   Versión OAS3 generada (default 3.0.3).
+ * @param {string} [options.defaultMediaType] Media type si no hay consumes/produces.
+ * @returns {{ document: object, decisions: Array<{ decision: string, pointer: string, message: string }> }}
+ */
+function upgradeToOpenApi3(doc, options = {}) {
+  if (!isPlainObject(doc) || String(doc.swagger) !== '2.0') {
+    throw new Error('❌ El documento de entrada no es Swagger 2.0 (falta o es inválido "swagger").');
+  }
+
+  const ctx = createContext(doc, options);
+
+  const result = { openapi: ctx.openapiVersion, info: doc.info };
+  result.servers = buildServers(ctx);
+  if (doc.tags) result.tags = doc.tags;
+  if (doc.externalDocs) result.externalDocs = doc.externalDocs;
+  if (doc.security) result.security = doc.security;
+
+  result.paths = {};
+  Object.entries(doc.paths || {}).forEach(([route, pathItem]) => {
+    result.paths[route] = route.startsWith('x-')
+      ? pathItem
+      : convertPathItem(ctx, pathItem, childPointer('#/paths', route));
+  });
+
+  const components = {};
+
+  Object.entries(doc.definitions || {}).forEach(([name, schema]) => {
+    components.schemas = components.schemas || {};
+    components.schemas[name] = convertSchema(ctx, schema, childPointer('#/definitions', name));
+  });
+
+  Object.entries(doc.parameters || {}).forEach(([name, parameter]) => {
+    const pointer = childPointer('#/parameters', name);
+    if (parameter.in === 'body') {
+      components.requestBodies = components.requestBodies || {};
+      components.requestBodies[name] = convertBodyParameter(
+        ctx,
+        parameter,
+        mediaTypesFor(ctx, doc.consumes, pointer, 'consumes'),
+        pointer,
+      );
+    } else if (parameter.in === 'formData') {
+      // Un requestBody de formulario es la suma de varios parámetros: se incrusta en cada operación
+      ctx.decide('formDataParameters', pointer, 'Parámetro formData global incrustado en las operaciones');
+    } else {
+      components.parameters = components.parameters || {};
+      components.parameters[name] = convertParameter(ctx, parameter, pointer);
+    }
+  });
+
+  Object.entries(doc.responses || {}).forEach(([name, response]) => {
+    const pointer = childPointer('#/responses', name);
+    components.responses = components.responses || {};
+    components.responses[name] = convertResponse(
+      ctx,
+      response,
+      () => mediaTypesFor(ctx, doc.produces, pointer, 'produces'),
+      pointer,
+    );
+  });
+
+  Object.entries(doc.securityDefinitions || {}).forEach(([name, scheme]) => {
+    components.securitySchemes = components.securitySchemes || {};
+    components.securitySchemes[name] = convertSecurityScheme(
+      ctx,
+      scheme,
+      childPointer('#/securityDefinitions', name),
+    );
+  });
+
+  if (Object.keys(components).length > 0) result.components = components;
+
+  return { document: copyExtensions(doc, result), decisions: ctx.decisions };
+}
+
+module.exports = {
+  upgradeToOpenApi3,
+};
@@ -0,0 +1,179 @@
+// bin/application/upgradeSwagger2.js
+
+const path = require("path");
+const chalk = require("chalk");
+
+const { fileExists } = require("../infrastructure/fileSystem");
+const { isJsonFile, readSpecFile, writeSpecFile } = require("../infrastructure/yamlUtils");
+const { loadAllConfigs } = require("../infrastructure/configLoader");
+const { upgradeToOpenApi3 } = require("./swagger2Upgrader");
+
+// ---------------------------------------------------------
+// CARGA CONFIGURACIÓN
+// ---------------------------------------------------------
+const configs = loadAllConfigs();
+
+// Decisiones del upgrade (config/swagger2.yaml → upgrade)
+const swagger2Config = configs.swagger2 || {};
+const upgradeConfig = swagger2Config.upgrade || {};
+
+// Defaults técnicos del upgrade (el config los sobreescribe)
+const UPGRADE_DEFAULTS = {
+  openapiVersion: "3.0.3",
+  defaultMediaType: "application/json",
+};
+
+if (
+  upgradeConfig.openapiVersion !== undefined &&
+  (typeof upgradeConfig.openapiVersion !== "string" ||
+    !/^3\.0\.\d+$/.test(upgradeConfig.openapiVersion))
+) {
+  throw new Error("❌ El campo config.swagger2.upgrade.openapiVersion debe ser una versión 3.0.x si se define");
+}
+if (
+  upgradeConfig.defaultMediaType !== undefined &&
+  typeof upgradeConfig.defaultMediaType !== "string"
+) {
+  throw new Error("❌ El campo config.swagger2.upgrade.defaultMediaType debe ser string si se define");
+}
+
+const UPGRADE_OPTIONS = {
+  openapiVersion: upgradeConfig.openapiVersion || UPGRADE_DEFAULTS.openapiVersion,
+  defaultMediaType: upgradeConfig.defaultMediaType || UPGRADE_DEFAULTS.defaultMediaType,
+};
+
+const VALID_SYNTAXES = ["yaml", "json"];
+
+// ---------------------------------------------------------
+// UTILIDADES
+// ---------------------------------------------------------
+
+/**
+ * Indica si un documento ya cargado es Swagger 2.0.
+ */
+function isSwagger2Document(doc) {
+  return Boolean(doc) && typeof doc === "object" && String(doc.swagger) === "2.0";
+}
+
+/**
+ * Construye la ruta por defecto del OAS3 a partir del Swagger 2.0 de entrada.
+ *
+ * Ej:
+ *  ./legacy/api.yaml           →  ./legacy/api.oas3.yaml
+ *  ./legacy/api.swagger2.json  →  ./legacy/api.oas3.json
+ */
+function buildDefaultOas3Output(inputPath) {
+  const dir = path.dirname(inputPath);
+  const base = path
+    .basename(inputPath)
+    .replace(/\.(ya?ml|json)$/i, "")
+    .replace(/\.swagger2$/i, "");
+  const extension = isJsonFile(inputPath) ? "json" : "yaml";
+  return path.join(dir, `${base}.oas3.${extension}`);
+}
+
+/**
+ * Imprime las decisiones de conversión agrupadas por tipo.
+ */
+function printUpgradeDecisions(decisions) {
+  console.log(chalk.cyan("🔎 Decisiones de conversión Swagger 2.0 → OAS3\n"));
+
+  if (decisions.length === 0) {
+    console.log(chalk.green("   ✔ Conversión directa, sin decisiones que reportar.\n"));
+    return;
+  }
+
+  const byDecision = {};
+  decisions.forEach((item) => {
+    byDecision[item.decision] = byDecision[item.decision] || [];
+    byDecision[item.decision].push(item);
+  });
+
+  Object.entries(byDecision).forEach(([decision, items]) => {
+    console.log(chalk.yellow(`   [${decision}]`) + chalk.dim(` ${items.length} caso(s)`));
+    items.forEach((item) =>
+      console.log(chalk.gray(`     • ${item.pointer}`) + chalk.dim(" — " + item.message))
+    );
+  });
+  console.log("");
+}
+
+/**
+ * Convierte en memoria un documento Swagger 2.0 ya cargado, imprime las
+ * decisiones tomadas y devuelve el resultado. Lo usa también modularize
+ * (opción upgrade) para alimentar su pipeline sin archivos intermedios.
+ *
+ * @param {object} swagger2Doc
+ * @returns {{ document: object, decisions: Array<object> }}
+ */
+function upgradeSwagger2Document(swagger2Doc) {
+  const result = upgradeToOpenApi3(swagger2Doc, UPGRADE_OPTIONS);
+  printUpgradeDecisions(result.decisions);
+  return result;
+}
+
+// ---------------------------------------------------------
+// FUNCIÓN PRINCIPAL
+// ---------------------------------------------------------
+
+/**
+ * Upgrade Swagger 2.0 → OpenAPI 3.0 con el conversor en proceso
+ * (./swagger2Upgrader.js).
+ *
+ * La versión OAS3 generada y el media type por defecto (cuando no hay
+ * consumes/produces) se configuran en config/swagger2.yaml → upgrade.
+ *
+ * Los errores se lanzan (nunca process.exit): el código de salida lo
+ * decide la capa de interfaz (CLI/menú).
+ *
+ * @param {string} inputPath            Ruta al Swagger 2.0 (YAML o JSON)
+ * @param {string} [outputPathFromCli]  Ruta del OAS3 de salida
+ * @param {object} [options]
+ * @param {string} [options.syntax]     "yaml" | "json"
+ * @param {string} [options.reportPath] Ruta del reporte JSON de decisiones
+ * @returns {Promise<string>}           Ruta del OAS3 generado
+ */
+async function upgradeSwagger2(inputPath, outputPathFromCli, options = {}) {
+  if (!inputPath || typeof inputPath !== "string") {
+    throw new Error("❌ Falta la ruta del documento Swagger 2.0 de entrada.");
+  }
+  if (!fileExists(inputPath)) {
+    throw new Error(`❌ El documento Swagger 2.0 de entrada no existe: ${inputPath}`);
+  }
+  if (options.syntax !== undefined && !VALID_SYNTAXES.includes(options.syntax)) {
+    throw new Error(
+      `❌ Sintaxis de salida inválida: ${options.syntax} (usa ${VALID_SYNTAXES.join(", ")})`
+    );
+  }
+
+  const finalOutput = outputPathFromCli || buildDefaultOas3Output(inputPath);
+
+  console.log(chalk.cyan("\n⬆️  Convirtiendo Swagger 2.0 → OpenAPI 3...\n"));
+  console.log(chalk.gray(`   Entrada : ${inputPath}`));
+  console.log(chalk.gray(`   Salida  : ${finalOutput}\n`));
+
+  const swagger2Doc = readSpecFile(inputPath);
+  if (!isSwagger2Document(swagger2Doc)) {
+    throw new Error(`❌ El archivo no es Swagger 2.0 (falta "swagger: 2.0"): ${inputPath}`);
+  }
+
+  const { document, decisions } = upgradeSwagger2Document(swagger2Doc);
+
+  const syntax = options.syntax || (isJsonFile(finalOutput) ? "json" : "yaml");
+  writeSpecFile(finalOutput, document, syntax);
+
+  if (options.reportPath) {
+    writeSpecFile(options.reportPath, { input: inputPath, output: finalOutput, decisions });
+    console.log(chalk.gray(`   Reporte : ${options.reportPath}\n`));
+  }
+
+  console.log(chalk.bold.green(`\n✅ OpenAPI ${document.openapi} generado en: ${finalOutput}\n`));
+  return finalOutput;
+}
+
+module.exports = {
+  upgradeSwagger2,
+  upgradeSwagger2Document,
+  isSwagger2Document,
+  buildDefaultOas3Output,
+};
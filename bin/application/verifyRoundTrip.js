@@ -0,0 +1,95 @@
+// bin/application/verifyRoundTrip.js
+
+const { joinModularTree } = require('./join');
+const { createRefExpander, diffValues } = require('../core/semanticDiff');
+const { formatFragment, isPlainObject } = require('../core/jsonPointer');
+
+/**
+ * Verificación de fidelidad de una modularización: une en memoria el árbol
+ * generado (join) y lo compara semánticamente con el documento de entrada.
+ *
+ * Ambos lados se comparan con las refs internas expandidas, así que extraer
+ * definiciones inline o renombrar components no cuenta como diferencia. Lo
+ * que la modularización cambia a propósito (renombres, fusiones, components
+ * omitidos por no usarse, lo que indique `isIntentional`) se cuenta aparte.
+ */
+
+/**
+ * @param {object} sourceDocument  Documento de entrada (antes de modularizar).
+ * @param {string} entrypointPath  Entrypoint del árbol generado.
+ * @param {object} [options]
+ * @param {object} [options.renames]   Tipo → { nombreOriginal: nombreFinal } (renombres y fusiones).
+ * @param {object} [options.omitted]   Tipo → nombres finales omitidos a propósito (sin uso).
+ * @param {(change: object, context: { source: object, joined: object }) => boolean} [options.isIntentional]
+ *        Recibe además los dos documentos sin expandir, para ubicar el cambio.
+ * @param {(filePath: string) => any} [options.readFile]       Lector del árbol (ver join).
+ * @param {(filePath: string) => boolean} [options.fileExists]
+ * @returns {{ changes: Array<object>, intentional: number,
+ *             external: Array<{ ref: string, file: string }> }}
+ */
+function verifyRoundTrip(sourceDocument, entrypointPath, options = {}) {
+  const renames = options.renames || {};
+  const omitted = options.omitted || {};
+  const { document: joined, external } = joinModularTree(entrypointPath, {
+    readFile: options.readFile,
+    fileExists: options.fileExists,
+  });
+
+  const expandSource = createRefExpander(sourceDocument);
+  const expandJoined = createRefExpander(joined);
+
+  const context = { source: sourceDocument, joined };
+  const isIntentional = options.isIntentional
+    ? (change) => options.isIntentional(change, context)
+    : undefined;
+
+  const result = { changes: [], intentional: 0, external };
+  const collect = (before, after, base) => {
+    const diff = diffValues(before, after, { base, isIntentional });
+    result.changes.push(...diff.changes);
+    result.intentional += diff.intentional;
+  };
+
+  // Todo salvo components: contenido expandido contra contenido expandido
+  const topLevelKeys = new Set(Object.keys(sourceDocument).concat(Object.keys(joined)));
+  topLevelKeys.delete('components');
+  topLevelKeys.forEach((key) => {
+    collect(expandSource(sourceDocument[key]), expandJoined(joined[key]), [key]);
+  });
+
+  // Components de entrada: cada uno contra el que lo representa en el árbol.
+  // Los nuevos (extraídos de definiciones inline) ya se verificaron vía paths.
+  const sourceComponents = isPlainObject(sourceDocument.components) ? sourceDocument.components : {};
+  const joinedComponents = isPlainObject(joined.components) ? joined.components : {};
+  Object.entries(sourceComponents).forEach(([type, entries]) => {
+    const typeRenames = renames[type] || {};
+    const typeOmitted = omitted[type] || [];
+    const joinedEntries = isPlainObject(joinedComponents[type]) ? joinedComponents[type] : {};
+
+    Object.keys(isPlainObject(entries) ? entries : {}).forEach((name) => {
+      // Los omitidos se listan con su nombre final (tras renombres y fusiones)
+      const finalName = typeRenames[name] || name;
+      if (typeOmitted.includes(finalName)) {
+        result.intentional++;
+        return;
+      }
+      const base = ['components', type, finalName];
+      if (!(finalName in joinedEntries)) {
+        collect(entries[name], undefined, base);
+        return;
+      }
+      if (finalName !== name) result.intentional++;
+      collect(
+        expandSource({ $ref: formatFragment(['components', type, name]) }),
+        expandJoined(joinedEntries[finalName]),
+        base,
+      );
+    });
+  });
+
+  return result;
+}
+
+module.exports = {
+  verifyRoundTrip,
+};
@@ -0,0 +1,167 @@
+// bin/core/componentGraph.js
+
+/**
+ * Análisis de alcanzabilidad de components en un documento OpenAPI.
+ *
+ * Raíces del grafo:
+ *   - todos los $ref dentro de `paths` y `webhooks` (incluye callbacks inline)
+ *   - los requisitos de `security` (global y por operación) → securitySchemes
+ *   - raíces extra indicadas por el llamador (ej: respuestas extraídas)
+ *
+ * Desde cada component alcanzado se siguen, de forma transitiva, sus propios
+ * $ref internos ("#/components/<type>/<name>") y los valores de
+ * `discriminator.mapping`.
+ */
+
+const { parseFragment, isPlainObject } = require('./jsonPointer');
+
+/**
+ * Interpreta un $ref interno hacia components.
+ * "#/components/schemas/User/properties/id" → { type: 'schemas', name: 'User' }
+ *
+ * @param {string} ref
+ * @returns {{ type: string, name: string } | null}
+ */
+function parseComponentRef(ref) {
+  const segments = parseFragment(ref);
+  if (!segments || segments[0] !== 'components' || segments.length < 3) return null;
+  if (!segments[1] || !segments[2]) return null;
+  return { type: segments[1], name: segments[2] };
+}
+
+/**
+ * Recorre un nodo y devuelve todos los destinos de $ref internos a components,
+ * incluyendo los de discriminator.mapping.
+ */
+function collectComponentRefs(node, found = []) {
+  if (Array.isArray(node)) {
+    node.forEach((item) => collectComponentRefs(item, found));
+    return found;
+  }
+  if (!isPlainObject(node)) return found;
+
+  Object.keys(node).forEach((key) => {
+    const value = node[key];
+    if (key === '$ref') {
+      const target = parseComponentRef(value);
+      if (target) found.push(target);
+      return;
+    }
+    if (key === 'discriminator' && isPlainObject(value) && isPlainObject(value.mapping)) {
+      Object.values(value.mapping).forEach((mapped) => {
+        const target = parseComponentRef(mapped);
+        if (target) found.push(target);
+      });
+    }
+    collectComponentRefs(value, found);
+  });
+  return found;
+}
+
+/**
+ * Devuelve los nombres de securitySchemes usados en requisitos de seguridad
+ * dentro de un nodo (security global, de operaciones y de callbacks).
+ */
+function collectSecurityRequirementNames(node, found = new Set()) {
+  if (Array.isArray(node)) {
+    node.forEach((item) => collectSecurityRequirementNames(item, found));
+    return found;
+  }
+  if (!isPlainObject(node)) return found;
+
+  Object.keys(node).forEach((key) => {
+    const value = node[key];
+    if (key === 'security' && Array.isArray(value)) {
+      value.forEach((requirement) => {
+        if (isPlainObject(requirement)) Object.keys(requirement).forEach((name) => found.add(name));
+      });
+      return;
+    }
+    collectSecurityRequirementNames(value, found);
+  });
+  return found;
+}
+
+function componentKey(type, name) {
+  return type + '/' + name;
+}
+
+/**
+ * Calcula los components alcanzables desde paths, webhooks y security.
+ *
+ * @param {object} doc  Documento OpenAPI.
+ * @param {Array<{type: string, name: string}>} [extraRoots]  Components usados por otras vías.
+ * @returns {Set<string>}  Claves "<type>/<name>" alcanzables.
+ */
+function findReachableComponents(doc, extraRoots = []) {
+  const components = (doc && doc.components) || {};
+  const reachable = new Set();
+  const pending = [];
+
+  const visit = ({ type, name }) => {
+    const key = componentKey(type, name);
+    if (reachable.has(key)) return;
+    if (!isPlainObject(components[type]) || !(name in components[type])) return;
+    reachable.add(key);
+    pending.push(components[type][name]);
+  };
+
+  collectComponentRefs(doc.paths).forEach(visit);
+  collectComponentRefs(doc.webhooks).forEach(visit);
+  extraRoots.forEach(visit);
+
+  const securityNames = collectSecurityRequirementNames({
+    security: doc.security,
+    paths: doc.paths,
+    webhooks: doc.webhooks,
+  });
+  securityNames.forEach((name) => visit({ type: 'securitySchemes', name }));
+
+  while (pending.length > 0) {
+    const content = pending.pop();
+    collectComponentRefs(content).forEach(visit);
+    collectSecurityRequirementNames(content).forEach((name) =>
+      visit({ type: 'securitySchemes', name }),
+    );
+  }
+
+  return reachable;
+}
+
+/**
+ * Lista los components que no son alcanzables, agrupados por tipo.
+ *
+ * @param {object} doc
+ * @param {Array<{type: string, name: string}>} [extraRoots]
+ * @returns {{ reachable: Set<string>, unused: Object<string, string[]> }}
+ */
+function findUnusedComponents(doc, extraRoots = []) {
+  const reachable = findReachableComponents(doc, extraRoots);
+  const unused = {};
+
+  Object.entries((doc && doc.components) || {}).forEach(([type, category]) => {
+    if (!isPlainObject(category)) return;
+    Object.keys(category).forEach((name) => {
+      if (reachable.has(componentKey(type, name))) return;
+      unused[type] = unused[type] || [];
+      unused[type].push(name);
+    });
+  });
+
+  return { reachable, unused };
+}
+
+/**
+ * Indica si un component está en el conjunto devuelto por findReachableComponents.
+ */
+function isComponentReachable(reachable, type, name) {
+  return reachable.has(componentKey(type, name));
+}
+
+module.exports = {
+  parseComponentRef,
+  collectComponentRefs,
+  findReachableComponents,
+  findUnusedComponents,
+  isComponentReachable,
+};
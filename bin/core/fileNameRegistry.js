@@ -0,0 +1,77 @@
+// bin/core/fileNameRegistry.js
+
+const path = require('path');
+
+/**
+ * Asignación de nombres de archivo sin colisiones dentro de una carpeta del
+ * árbol modular (paths/, webhooks/, components/<type>/).
+ *
+ * Dos nombres colisionan si coinciden sin distinguir mayúsculas: en macOS y
+ * Windows serían el mismo archivo. Cada nombre se reserva para un dueño (una
+ * ruta, un component...); si el nombre natural ya tiene dueño se prueban las
+ * alternativas y, si también están ocupadas, la última con sufijo numérico
+ * (users-id-2.yaml, UserInfoSchema2.yaml). Cada desambiguación queda
+ * registrada para el reporte.
+ */
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.scope]      Carpeta del registro, para el reporte (ej: "paths").
+ * @param {string} [options.separator]  Separador del sufijo numérico (default "-").
+ * @param {string[]} [options.reserved] Nombres que no se asignan (ej: "index.yaml").
+ * @returns {{ claim: (candidates: string|string[], owner: string) => string,
+ *             collisions: Array<{ scope: string, owner: string, file: string,
+ *                                 resolved: string, conflictsWith: string|null }> }}
+ */
+function createFileNameRegistry(options = {}) {
+  const scope = options.scope || '';
+  const separator = options.separator !== undefined ? options.separator : '-';
+  // nombre en minúsculas → dueño (null = reservado)
+  const owners = new Map();
+  const collisions = [];
+
+  const keyOf = (fileName) => fileName.toLowerCase();
+  (options.reserved || []).forEach((fileName) => owners.set(keyOf(fileName), null));
+
+  const withSuffix = (fileName, number) => {
+    const extension = path.posix.extname(fileName);
+    return fileName.slice(0, fileName.length - extension.length) + separator + number + extension;
+  };
+
+  return {
+    /**
+     * Reserva el primer candidato libre para `owner` y devuelve el nombre asignado.
+     * El primer candidato es el nombre natural; el resto, alternativas en orden.
+     */
+    claim(candidates, owner) {
+      const list = [].concat(candidates);
+      const natural = list[0];
+
+      let chosen = list.find((fileName) => !owners.has(keyOf(fileName)));
+      if (!chosen) {
+        const base = list[list.length - 1];
+        let number = 2;
+        while (owners.has(keyOf(withSuffix(base, number)))) number++;
+        chosen = withSuffix(base, number);
+      }
+
+      if (chosen !== natural) {
+        collisions.push({
+          scope,
+          owner,
+          file: natural,
+          resolved: chosen,
+          conflictsWith: owners.get(keyOf(natural)) || null,
+        });
+      }
+      owners.set(keyOf(chosen), owner);
+      return chosen;
+    },
+
+    collisions,
+  };
+}
+
+module.exports = {
+  createFileNameRegistry,
+};
@@ -1,12 +1,27 @@
 // bin/core/fixRefs.js
 
-const { applyNamingConvention } = require('./namingConventions');
+const { generateComponentFilename } = require('./namingConventions');
+const {
+  NAME_MAP_KEYS,
+  isDataKey,
+  isPlainObject,
+  escapePointerSegment,
+  parseFragment,
+  formatFragment,
+  pointerExists,
+} = require('./jsonPointer');
 
 /**
  * Corrige los $ref dentro de un objeto OpenAPI, transformándolos a rutas relativas
  * correctas en función del tipo de contenido y la nueva estructura de carpetas.
  *
- * Estructura esperada:
+ * Recorre el árbol y solo toca claves "$ref" y valores de discriminator.mapping
+ * (nunca descriptions, examples o enums que parezcan refs). Las claves hermanas
+ * de un $ref (summary/description, válidas en 3.1) se conservan. Los fragmentos
+ * se tratan como JSON Pointer: se decodifican ("~0", "~1", percent-encoding) y
+ * se vuelven a codificar al construir la ruta nueva.
+ *
+ * Estructura esperada (con advanced.fileExtension ".yaml"; con ".json" igual):
  * src/
  *   ├── <mainFileName>.yaml          (entrypoint principal)
  *   ├── components/
@@ -15,26 +30,54 @@ const { applyNamingConvention } = require('./namingConventions');
  *   │   ├── responses/
  *   │   ├── parameters/
  *   │   ├── examples/
- *   │   └── headers/
- *   └── paths/
+ *   │   ├── headers/
+ *   │   └── pathItems/               (OpenAPI 3.1)
+ *   ├── paths/                       (con subcarpetas según modularization.pathsLayout)
+ *   └── webhooks/                    (OpenAPI 3.1)
  *
  * Reglas de resolución:
- * - Desde paths/*:
+ * - Desde paths/* y webhooks/*:
  *   - "#/components/xxx/Name" → "../<mainFileName>.yaml#/components/xxx/Name"
+ *   - con options.pathRefStrategy = "direct", directo al archivo del componente:
+ *     "#/components/schemas/User" → "../components/schemas/UserSchema.yaml"
+ *   - desde una subcarpeta (paths/users/users-id.yaml, options.fileDepth = 2)
+ *     se sube un nivel más por carpeta: "../../<mainFileName>.yaml#/..."
  *
  * - Desde components/<type>/*:
- *   - "#/components/schemas/Name"              → "../schemas/<fileName>.yaml"
- *   - "#/components/<sameType>/Name"          → "../<sameType>/<fileName>.yaml"
- *   - "#/components/<otherType>/Name"         → "../<otherType>/<fileName>.yaml"
+ *   - "#/components/<anyType>/Name"            → "../<anyType>/<fileName>.yaml"
+ *   - "#/components/schemas/User/properties/a" → "../schemas/UserSchema.yaml#/properties/a"
  *   (para responses, el nombre de archivo se asume igual al identificador)
  *
+ * - Si el tipo destino está en options.inlineTypes (no se divide en archivos,
+ *   modularization.split* = false), el componente vive en el entrypoint:
+ *   - "#/components/<inlineType>/Name" → "../../<mainFileName>.yaml#/components/<inlineType>/Name"
+ *
+ * - Cualquier otro puntero interno ("#/paths/...") apunta al entrypoint.
+ * - Los $ref externos o ya relativos ("./x.yaml", "../a.yaml#/b") no se tocan.
+ *
  * @param {object} content        Objeto con el contenido a corregir.
  * @param {string} componentType  Tipo lógico del contenido:
- *                                "paths", "schemas", "responses",
+ *                                "paths", "webhooks", "schemas", "responses",
  *                                "requestBodies", "parameters", etc.
  * @param {string} mainFileName   Nombre del archivo principal SIN extensión.
  * @param {object} namingConfig   Configuración de nombres (convenciones).
  * @param {object} affixesConfig  Configuración de prefijos/sufijos de archivos.
+ * @param {object} [options]
+ * @param {string[]} [options.inlineTypes]      Tipos de componentes que se mantienen
+ *                                              inline en el entrypoint.
+ * @param {string}   [options.fileExtension]    Extensión de los archivos generados
+ *                                              (advanced.fileExtension, default ".yaml").
+ * @param {string}   [options.pathRefStrategy]  "entrypoint" (default) | "direct".
+ * @param {number}   [options.fileDepth]        Carpetas entre el archivo y la raíz del árbol
+ *                                              (default: 1 en paths/webhooks, 2 en components).
+ * @param {object}   [options.components]       components del documento original; si se
+ *                                              indica, se verifica que cada destino exista.
+ * @param {object}   [options.fileNames]        Tipo → nombre → archivo (sin extensión) ya
+ *                                              asignado por modularize (desambiguado ante
+ *                                              colisiones); sin entrada, el de
+ *                                              generateComponentFilename.
+ * @param {object[]} [options.unresolved]       Acumulador de refs no resueltas:
+ *                                              { ref, location, reason }.
  * @returns {object}              Objeto con referencias corregidas.
  */
 function fixRefs(
@@ -42,7 +85,8 @@ function fixRefs(
   componentType,
   mainFileName = 'openapi',
   namingConfig = {},
-  affixesConfig = {}
+  affixesConfig = {},
+  options = {}
 ) {
   if (!content || typeof content !== 'object') {
     return content;
@@ -53,152 +97,98 @@ function fixRefs(
     mainFileName = 'openapi';
   }
 
-  let contentString = JSON.stringify(content);
+  const inlineTypes = options.inlineTypes || [];
+  const fileExtension = options.fileExtension || '.yaml';
+  const components = options.components;
+  const fileNames = options.fileNames || {};
+  const unresolved = options.unresolved;
+
+  // webhooks/* (OpenAPI 3.1) está a la misma profundidad que paths/*
+  const fromPaths = componentType === 'paths' || componentType === 'webhooks';
+  const directPathRefs = options.pathRefStrategy === 'direct';
+
+  // Desde paths/* el entrypoint está un nivel arriba; desde components/<type>/*, dos.
+  // Los paths en subcarpetas (pathsLayout) indican su profundidad real.
+  const defaultDepth = fromPaths ? 1 : 2;
+  const fileDepth =
+    Number.isInteger(options.fileDepth) && options.fileDepth > 0 ? options.fileDepth : defaultDepth;
+  const rootPrefix = '../'.repeat(fileDepth);
+  const entrypointFile = rootPrefix + mainFileName + fileExtension;
+
+  function reportUnresolved(ref, location, reason) {
+    if (unresolved) unresolved.push({ ref, location, reason });
+  }
 
   /**
-   * Genera el nombre de archivo para un componente aplicando:
-   *   - convención de nombres (PascalCase, etc.)
-   *   - prefijos/sufijos por tipo (según affixesConfig)
-   *
-   * Debe ser consistente con la lógica usada en modularize.js
-   * al crear los archivos de components/*.
+   * Calcula el nuevo valor de un $ref interno.
    */
-  function generateFileName(itemName, type) {
-    let fileName = itemName;
-
-    // Convención para nombres de componentes (archivo base, sin extensión)
-    const convention = namingConfig.components || 'PascalCase';
-    fileName = applyNamingConvention(fileName, convention);
-
-    // Aplicar prefijos/sufijos si están habilitados
-    if (affixesConfig.enabled) {
-      const prefix =
-        (affixesConfig.prefixes && affixesConfig.prefixes[type]) || '';
-      const suffix =
-        (affixesConfig.suffixes && affixesConfig.suffixes[type]) || '';
-
-      if (prefix) fileName = prefix + fileName;
-      if (suffix) fileName = fileName + suffix;
+  function rewriteRef(ref, location) {
+    // Externos o ya relativos: fuera del alcance de fixRefs
+    if (!ref.startsWith('#')) return ref;
+
+    const segments = parseFragment(ref);
+    if (!segments) {
+      reportUnresolved(ref, location, 'el fragmento no es un JSON Pointer');
+      return ref;
     }
 
-    return fileName;
-  }
+    if (segments[0] !== 'components' || segments.length < 3) {
+      // Puntero a otra parte del documento: sigue viviendo en el entrypoint
+      return entrypointFile + formatFragment(segments);
+    }
 
-  /**
-   * Calcula la ruta relativa base según el origen y destino
-   * Ejemplos:
-   *   - fromType: 'paths'     → "../components/<toType>"
-   *   - fromType: 'schemas'   → "../<toType>"
-   *   - fromType: 'responses' → "../<toType>"
-   */
-  function getRelativePath(fromType, toType) {
-    if (fromType === 'paths') {
-      // Desde paths/* hacia components/<toType>/*
-      return `../components/${toType}`;
+    const [, type, name, ...rest] = segments;
+    if (components && !pointerExists(components, [type, name, ...rest])) {
+      reportUnresolved(ref, location, 'el destino no existe en components');
     }
-    // Desde components/<fromType>/* hacia components/<toType>/*
-    return `../${toType}`;
-  }
 
-  // ─────────────────────────────────────────────
-  // 1) Contenido dentro de components.schemas
-  // ─────────────────────────────────────────────
-  if (componentType === 'schemas') {
-    // Referencias a otros schemas
-    contentString = contentString.replace(
-      /"#\/components\/schemas\/([^"]+)"/g,
-      (match, name) => {
-        const fileName = generateFileName(name, 'schemas');
-        const relativePath = getRelativePath('schemas', 'schemas');
-        return `"${relativePath}/${fileName}.yaml"`;
-      }
-    );
-  }
-  // ─────────────────────────────────────────────
-  // 2) Contenido dentro de otros components/*
-  //    (requestBodies, responses, securitySchemes, parameters, examples, headers)
-  // ─────────────────────────────────────────────
-  else if (
-    [
-      'requestBodies',
-      'responses',
-      'securitySchemes',
-      'parameters',
-      'examples',
-      'headers',
-    ].includes(componentType)
-  ) {
-    // 2.1 Referencias a schemas
-    contentString = contentString.replace(
-      /"#\/components\/schemas\/([^"]+)"/g,
-      (match, name) => {
-        const fileName = generateFileName(name, 'schemas');
-        const relativePath = getRelativePath(componentType, 'schemas');
-        return `"${relativePath}/${fileName}.yaml"`;
-      }
-    );
-
-    // 2.2 Referencias al mismo tipo de componente
-    const reSameType = new RegExp(
-      `"#\\/components\\/${componentType}\\/([^"]+)"`,
-      'g'
-    );
-    contentString = contentString.replace(reSameType, (match, name) => {
-      // Para responses mantenemos el nombre tal cual (ya viene normalizado
-      // por la lógica de modularización / responseNaming).
-      const fileName =
-        componentType === 'responses'
-          ? name
-          : generateFileName(name, componentType);
-
-      const relativePath = getRelativePath(componentType, componentType);
-      return `"${relativePath}/${fileName}.yaml"`;
-    });
+    if (inlineTypes.includes(type) || (fromPaths && !directPathRefs)) {
+      return entrypointFile + formatFragment(segments);
+    }
 
-    // 2.3 Referencias a otros tipos de componentes (ej: headers que referencian parameters)
-    contentString = contentString.replace(
-      /"#\/components\/([a-zA-Z]+)\/([^"]+)"/g,
-      (match, componentCategory, name) => {
-        // Si ya lo manejamos arriba (schemas o mismo tipo) no lo cambiamos otra vez
-        if (componentCategory === 'schemas' || componentCategory === componentType) {
-          return match;
-        }
-
-        // Para responses, el nombre de archivo es el identificador
-        const fileName =
-          componentCategory === 'responses'
-            ? name
-            : generateFileName(name, componentCategory);
-
-        const relativePath = getRelativePath(componentType, componentCategory);
-        return `"${relativePath}/${fileName}.yaml"`;
-      }
-    );
+    // Mismo nombre de archivo que modularize.js (responses: el identificador)
+    const typeFileNames = fileNames[type] || {};
+    const fileName = Object.prototype.hasOwnProperty.call(typeFileNames, name)
+      ? typeFileNames[name]
+      : generateComponentFilename(name, type, namingConfig, affixesConfig);
+    const typeDir = fromPaths ? `${rootPrefix}components/${type}` : `../${type}`;
+    return `${typeDir}/${fileName}${fileExtension}` + formatFragment(rest);
   }
-  // ─────────────────────────────────────────────
-  // 3) Contenido dentro de paths/*
-  // ─────────────────────────────────────────────
-  else if (componentType === 'paths') {
-    // Desde archivos de path, cualquier "#/components/..." debe apuntar
-    // al entrypoint principal: "../<mainFileName>.yaml#/components/..."
-    //
-    // Ejemplo:
-    //   "#/components/schemas/User" →
-    //   "../main.yaml#/components/schemas/User"
-    contentString = contentString.replace(
-      /"#\/components\/([^"]+)"/g,
-      (match, rest) => {
-        return `"../${mainFileName}.yaml#/components/${rest}"`;
+
+  function walk(node, location, parentKey) {
+    if (Array.isArray(node)) {
+      return node.map((item, index) => walk(item, location + '/' + index, null));
+    }
+    if (!node || typeof node !== 'object') return node;
+
+    const isNameMap = NAME_MAP_KEYS.includes(parentKey);
+    const result = {};
+    Object.keys(node).forEach((key) => {
+      const value = node[key];
+      const childLocation = location + '/' + escapePointerSegment(key);
+
+      if (key === '$ref' && typeof value === 'string') {
+        result[key] = rewriteRef(value, childLocation);
+      } else if (parentKey === 'discriminator' && key === 'mapping' && isPlainObject(value)) {
+        // Los valores de discriminator.mapping que son punteros también son refs
+        result[key] = {};
+        Object.keys(value).forEach((name) => {
+          const target = value[name];
+          result[key][name] =
+            typeof target === 'string' && target.startsWith('#')
+              ? rewriteRef(target, childLocation + '/' + escapePointerSegment(name))
+              : target;
+        });
+      } else if (!isNameMap && isDataKey(key, value)) {
+        result[key] = value;
+      } else {
+        result[key] = walk(value, childLocation, isNameMap ? null : key);
       }
-    );
+    });
+    return result;
   }
 
-  try {
-    return JSON.parse(contentString);
-  } catch (error) {
-    console.error('Error parsing fixed refs:', error);
-    return content;
-  }
+  return walk(content, '#', null);
 }
 
 module.exports = { fixRefs };
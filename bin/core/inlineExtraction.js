@@ -0,0 +1,346 @@
+// bin/core/inlineExtraction.js
+
+const { applyNamingConvention } = require('./namingConventions');
+const { slugifyPath } = require('./slugifyPath');
+const { isPlainObject } = require('./jsonPointer');
+
+/**
+ * Extracción de definiciones inline de las operaciones hacia components.
+ *
+ * Recorre las operaciones de `paths` y `webhooks`, saca las definiciones
+ * inline a components con un nombre generado (operationId + rol), reutiliza
+ * las que son estructuralmente idénticas (entre sí o con un component ya
+ * existente) y deja en su lugar un $ref interno "#/components/<type>/<Name>",
+ * que fixRefs convierte luego en ruta de archivo.
+ *
+ * Modifica el documento recibido.
+ */
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Serialización estable (claves ordenadas en todos los niveles) para
+ * comparar estructuras.
+ */
+function structuralSignature(value) {
+  const sortDeep = (node) => {
+    if (Array.isArray(node)) return node.map(sortDeep);
+    if (!isPlainObject(node)) return node;
+    const sorted = {};
+    Object.keys(node)
+      .sort()
+      .forEach((key) => {
+        sorted[key] = sortDeep(node[key]);
+      });
+    return sorted;
+  };
+  return JSON.stringify(sortDeep(value));
+}
+
+/**
+ * Itera las operaciones de paths y webhooks.
+ * @param {object} doc
+ * @param {(operation: object, base: string, pathItem: object, routeName: string) => void} callback
+ *        `base` es el operationId o, si falta, "<método> <ruta>".
+ */
+function forEachOperation(doc, callback) {
+  ['paths', 'webhooks'].forEach((section) => {
+    Object.entries(isPlainObject(doc[section]) ? doc[section] : {}).forEach(([route, pathItem]) => {
+      if (!isPlainObject(pathItem) || pathItem.$ref) return;
+      HTTP_METHODS.forEach((method) => {
+        const operation = pathItem[method];
+        if (!isPlainObject(operation)) return;
+        const routeName = slugifyPath(route).replace(/\.yaml$/, '');
+        const base = operation.operationId || method + ' ' + routeName;
+        callback(operation, base, pathItem, routeName);
+      });
+    });
+  });
+}
+
+/**
+ * Registro de components de un tipo: nombres ocupados, firmas conocidas y
+ * lo extraído en esta pasada.
+ *
+ * @param {object} doc
+ * @param {string} type             Tipo de component (schemas, parameters...).
+ * @param {string} convention       Convención de nombres.
+ * @param {Function} [signatureOf]  Clave de deduplicación (default: estructura completa).
+ */
+function createRegistry(doc, type, convention, signatureOf = structuralSignature) {
+  const existing = (isPlainObject(doc.components) && doc.components[type]) || {};
+  const usedNames = new Set(Object.keys(existing));
+  const bySignature = {};
+  Object.entries(existing).forEach(([name, value]) => {
+    if (isPlainObject(value) && !value.$ref) {
+      const signature = signatureOf(value);
+      if (!bySignature[signature]) bySignature[signature] = name;
+    }
+  });
+
+  const registry = {
+    type,
+    extracted: {},
+    reused: 0,
+    references: 0,
+    /**
+     * Devuelve el $ref al component equivalente, creándolo si no existe.
+     * Con varios nombres candidatos se usa el primero libre; si ninguno lo
+     * está, el primero con sufijo numérico.
+     */
+    refFor(value, rawNames) {
+      registry.references++;
+      const signature = signatureOf(value);
+      let name = bySignature[signature];
+      if (name) {
+        registry.reused++;
+      } else {
+        const candidates = []
+          .concat(rawNames)
+          .map((rawName) => applyNamingConvention(rawName, convention))
+          .filter(Boolean);
+        if (candidates.length === 0) candidates.push(type);
+        name = candidates.find((candidate) => !usedNames.has(candidate));
+        let counter = 1;
+        while (!name || usedNames.has(name)) {
+          name = candidates[0] + counter;
+          counter++;
+        }
+        usedNames.add(name);
+        bySignature[signature] = name;
+        registry.extracted[name] = value;
+      }
+      return { $ref: '#/components/' + type + '/' + name };
+    },
+    /**
+     * Agrega lo extraído a doc.components[type].
+     */
+    commit() {
+      if (Object.keys(registry.extracted).length === 0) return;
+      doc.components = doc.components || {};
+      doc.components[type] = Object.assign(doc.components[type] || {}, registry.extracted);
+    },
+  };
+  return registry;
+}
+
+// ---------------------------------------------------------------------------
+// SCHEMAS
+// ---------------------------------------------------------------------------
+
+/**
+ * Un schema se extrae si es un objeto inline (type: object, properties o
+ * composición); los primitivos y los $ref se dejan como están.
+ */
+function isExtractableSchema(schema) {
+  if (!isPlainObject(schema) || schema.$ref) return false;
+  return (
+    schema.type === 'object' ||
+    isPlainObject(schema.properties) ||
+    Array.isArray(schema.allOf) ||
+    Array.isArray(schema.oneOf) ||
+    Array.isArray(schema.anyOf)
+  );
+}
+
+/**
+ * Devuelve el schema a dejar en la operación: un $ref si es un objeto inline,
+ * o el array con sus items extraídos.
+ */
+function liftSchema(registry, schema, rawName) {
+  if (isExtractableSchema(schema)) return registry.refFor(schema, rawName);
+  if (isPlainObject(schema) && schema.type === 'array' && isExtractableSchema(schema.items)) {
+    return Object.assign({}, schema, { items: registry.refFor(schema.items, rawName + ' Item') });
+  }
+  return schema;
+}
+
+function liftContentSchemas(registry, content, rawName) {
+  if (!isPlainObject(content)) return;
+  Object.values(content).forEach((media) => {
+    if (isPlainObject(media) && media.schema) {
+      media.schema = liftSchema(registry, media.schema, rawName);
+    }
+  });
+}
+
+function liftParameterSchemas(registry, parameters, base) {
+  (Array.isArray(parameters) ? parameters : []).forEach((parameter) => {
+    if (!isPlainObject(parameter) || parameter.$ref) return;
+    const rawName = base + ' ' + parameter.name + ' Param';
+    if (parameter.schema) parameter.schema = liftSchema(registry, parameter.schema, rawName);
+    liftContentSchemas(registry, parameter.content, rawName);
+  });
+}
+
+/**
+ * Nombre del status para el rol de una respuesta: el de statusNames
+ * (200 → "Ok") o, si no está mapeado, el propio código.
+ */
+function statusName(status, statusNames = {}) {
+  if (statusNames[status]) return statusNames[status];
+  return status === 'default' ? 'Default' : 'Status ' + status;
+}
+
+/**
+ * Saca los schemas objeto inline de requestBodies, respuestas y parámetros
+ * de las operaciones a components.schemas.
+ *
+ * Nombres: <operationId> + rol ("Request", "<status> Response",
+ * "<param> Param", "... Item" para los items de un array), pasados por
+ * applyNamingConvention. Sin operationId se usa "<método> <ruta>".
+ *
+ * @param {object} doc
+ * @param {object} [options]
+ * @param {string} [options.convention]   Convención de nombres (default PascalCase).
+ * @param {object} [options.statusNames]  Código HTTP → nombre (200 → "Ok").
+ * @returns {{ extracted: object, reused: number, references: number }}
+ */
+function extractInlineSchemas(doc, options = {}) {
+  const registry = createRegistry(doc, 'schemas', options.convention || 'PascalCase');
+  const visitedPathItems = new Set();
+
+  forEachOperation(doc, (operation, base, pathItem, routeName) => {
+    // Los parámetros comunes del path item se nombran por la ruta
+    if (!visitedPathItems.has(pathItem)) {
+      visitedPathItems.add(pathItem);
+      liftParameterSchemas(registry, pathItem.parameters, routeName);
+    }
+    liftParameterSchemas(registry, operation.parameters, base);
+
+    if (isPlainObject(operation.requestBody) && !operation.requestBody.$ref) {
+      liftContentSchemas(registry, operation.requestBody.content, base + ' Request');
+    }
+
+    Object.entries(isPlainObject(operation.responses) ? operation.responses : {}).forEach(
+      ([status, response]) => {
+        if (!isPlainObject(response) || response.$ref) return;
+        liftContentSchemas(
+          registry,
+          response.content,
+          base + ' ' + statusName(status, options.statusNames) + ' Response',
+        );
+      },
+    );
+  });
+
+  registry.commit();
+  return {
+    extracted: registry.extracted,
+    reused: registry.reused,
+    references: registry.references,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// REQUEST BODIES
+// ---------------------------------------------------------------------------
+
+/**
+ * Saca los requestBody inline de las operaciones a components.requestBodies.
+ * Los idénticos (entre sí o con uno existente) se definen una sola vez.
+ *
+ * Nombre: <operationId> (o "<método> <ruta>") con la convención indicada; el
+ * sufijo de affixes (ej: "Request") lo agrega luego el nombre de archivo.
+ *
+ * @param {object} doc
+ * @param {object} [options]
+ * @param {string} [options.convention]  Convención de nombres (default PascalCase).
+ * @returns {{ extracted: object, reused: number, references: number }}
+ */
+function extractInlineRequestBodies(doc, options = {}) {
+  const registry = createRegistry(doc, 'requestBodies', options.convention || 'PascalCase');
+
+  forEachOperation(doc, (operation, base) => {
+    if (!isPlainObject(operation.requestBody) || operation.requestBody.$ref) return;
+    operation.requestBody = registry.refFor(operation.requestBody, base);
+  });
+
+  registry.commit();
+  return {
+    extracted: registry.extracted,
+    reused: registry.reused,
+    references: registry.references,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// PARÁMETROS
+// ---------------------------------------------------------------------------
+
+// Campos de documentación: no cambian cómo se comporta un parámetro
+const PARAMETER_DOCUMENTATION_KEYS = ['description', 'example', 'examples'];
+
+/**
+ * Clave de deduplicación de un parámetro: todos sus campos salvo los de
+ * documentación. Dos parámetros con el mismo name + in + schema pero distinto
+ * required, style, explode, deprecated o allowEmptyValue son distintos.
+ */
+function parameterSignature(parameter) {
+  const behavior = {};
+  Object.keys(parameter).forEach((key) => {
+    if (!PARAMETER_DOCUMENTATION_KEYS.includes(key)) behavior[key] = parameter[key];
+  });
+  return structuralSignature(behavior);
+}
+
+/**
+ * Saca los parámetros inline (de operaciones y path items) a
+ * components.parameters, deduplicados por todos sus campos salvo description
+ * y ejemplos (ver parameterSignature). Así los parámetros compartidos
+ * (paginación, headers comunes) se definen una vez.
+ *
+ * Nombre: el del parámetro ("limit" → "Limit"); si está ocupado por otro
+ * distinto, "<in> <name>" y luego "<operationId> <name>". El sufijo de
+ * affixes (ej: "Param") lo agrega luego el nombre de archivo.
+ *
+ * @param {object} doc
+ * @param {object} [options]
+ * @param {string} [options.convention]  Convención de nombres (default PascalCase).
+ * @returns {{ extracted: object, reused: number, references: number }}
+ */
+function extractInlineParameters(doc, options = {}) {
+  const registry = createRegistry(
+    doc,
+    'parameters',
+    options.convention || 'PascalCase',
+    parameterSignature,
+  );
+  const visitedPathItems = new Set();
+
+  const liftParameters = (parameters, base) => {
+    if (!Array.isArray(parameters)) return parameters;
+    return parameters.map((parameter) => {
+      if (!isPlainObject(parameter) || parameter.$ref || !parameter.name || !parameter.in) {
+        return parameter;
+      }
+      return registry.refFor(parameter, [
+        parameter.name,
+        parameter.in + ' ' + parameter.name,
+        base + ' ' + parameter.name,
+      ]);
+    });
+  };
+
+  forEachOperation(doc, (operation, base, pathItem, routeName) => {
+    if (!visitedPathItems.has(pathItem)) {
+      visitedPathItems.add(pathItem);
+      if (pathItem.parameters) pathItem.parameters = liftParameters(pathItem.parameters, routeName);
+    }
+    if (operation.parameters) operation.parameters = liftParameters(operation.parameters, base);
+  });
+
+  registry.commit();
+  return {
+    extracted: registry.extracted,
+    reused: registry.reused,
+    references: registry.references,
+  };
+}
+
+module.exports = {
+  structuralSignature,
+  extractInlineSchemas,
+  extractInlineRequestBodies,
+  extractInlineParameters,
+};
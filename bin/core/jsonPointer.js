@@ -0,0 +1,129 @@
+// bin/core/jsonPointer.js
+
+/**
+ * Utilidades de JSON Pointer (RFC 6901) para fragmentos de $ref, y las tablas
+ * que comparten todos los recorridos de documentos (fixRefs, join, diff,
+ * normalize...) para distinguir nombres del usuario y datos de estructura.
+ *
+ * En un $ref el puntero viaja como fragmento de URI, por lo que cada segmento
+ * puede estar percent-encoded además de usar los escapes "~0" (~) y "~1" (/):
+ *   "#/paths/~1users~1%7Bid%7D" → ['paths', '/users/{id}']
+ */
+
+// Claves cuyo valor es un mapa "nombre → objeto": sus hijos son nombres del
+// usuario (un hijo llamado "default" o "value" no es un valor de datos).
+const NAME_MAP_KEYS = [
+  'paths',
+  'webhooks',
+  'properties',
+  'patternProperties',
+  'definitions',
+  '$defs',
+  'dependentSchemas',
+  'schemas',
+  'responses',
+  'parameters',
+  'requestBodies',
+  'headers',
+  'examples',
+  'securitySchemes',
+  'links',
+  'callbacks',
+  'pathItems',
+  'content',
+  'encoding',
+  'variables',
+  'mapping',
+];
+
+// Claves cuyo valor son datos: un "$ref" dentro no es una referencia.
+const DATA_KEYS = ['example', 'default', 'enum', 'const', 'value'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Indica si el valor de `key` (en un objeto que no es un mapa de nombres) son
+ * datos. "examples" es un mapa de Example Objects en OpenAPI y una lista de
+ * valores en JSON Schema (3.1): solo la lista son datos.
+ */
+function isDataKey(key, value) {
+  return DATA_KEYS.includes(key) || (key === 'examples' && Array.isArray(value));
+}
+
+function escapePointerSegment(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function unescapePointerSegment(segment) {
+  return segment.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+function percentDecode(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    // Un "%" suelto no es un escape válido: se conserva tal cual
+    return segment;
+  }
+}
+
+/**
+ * Convierte un fragmento ("#/components/schemas/User") en sus segmentos ya
+ * decodificados. "#" apunta a la raíz (lista vacía).
+ *
+ * @param {string} fragment
+ * @returns {string[] | null}  null si el fragmento no es un JSON Pointer
+ *                             (ej: un ancla "#foo" de JSON Schema).
+ */
+function parseFragment(fragment) {
+  if (typeof fragment !== 'string' || !fragment.startsWith('#')) return null;
+  if (fragment === '#') return [];
+  if (!fragment.startsWith('#/')) return null;
+  return fragment
+    .slice(2)
+    .split('/')
+    .map((segment) => unescapePointerSegment(percentDecode(segment)));
+}
+
+/**
+ * Inverso de parseFragment: escapa "~" y "/" y percent-encodea lo que no es
+ * válido en un fragmento de URI. Con lista vacía devuelve "" (documento completo).
+ *
+ * @param {string[]} segments
+ * @returns {string}
+ */
+function formatFragment(segments) {
+  if (segments.length === 0) return '';
+  return (
+    '#/' +
+    segments
+      .map((segment) => encodeURI(escapePointerSegment(segment)).replace(/#/g, '%23'))
+      .join('/')
+  );
+}
+
+/**
+ * Indica si la lista de segmentos existe dentro de `root`.
+ */
+function pointerExists(root, segments) {
+  let current = root;
+  for (const segment of segments) {
+    if (current === null || typeof current !== 'object' || !(segment in current)) return false;
+    current = current[segment];
+  }
+  return true;
+}
+
+module.exports = {
+  NAME_MAP_KEYS,
+  DATA_KEYS,
+  isPlainObject,
+  isDataKey,
+  escapePointerSegment,
+  unescapePointerSegment,
+  parseFragment,
+  formatFragment,
+  pointerExists,
+};
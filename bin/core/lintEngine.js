@@ -0,0 +1,513 @@
+// bin/core/lintEngine.js
+
+/**
+ * Motor de reglas para config/linter.yaml.
+ *
+ * Es puro: recibe el documento OpenAPI ya cargado y la lista de reglas,
+ * y devuelve los issues encontrados. La presentación (pretty/json/compact)
+ * y el código de salida los decide la capa de aplicación.
+ *
+ * Sintaxis de "target" (segmentos separados por "."):
+ *   - "info.title"                  → clave literal
+ *   - "components.schemas.*"        → cualquier clave (se omiten extensiones x-)
+ *   - "paths.*.*"                   → tras "paths.<ruta>", "*" solo recorre métodos HTTP
+ *   - "parameters[]"                → cada elemento del array
+ *   - "parameters[?name=='limit']"  → elementos del array cuyo campo coincide
+ *   - "properties.(totalItems|totalCount)" → alternativas
+ *
+ * Los $ref internos ("#/...") se resuelven al recorrer el documento.
+ */
+
+const { escapePointerSegment, parseFragment, isPlainObject } = require('./jsonPointer');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+const RULE_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'any'];
+
+// Claves que delatan que un nodo es un Schema Object (y no un valor).
+const SCHEMA_HINT_KEYS = ['type', 'properties', 'items', 'allOf', 'oneOf', 'anyOf', '$ref'];
+
+// ---------------------------------------------------------------------------
+// UTILIDADES
+// ---------------------------------------------------------------------------
+
+/**
+ * Resuelve un $ref interno ("#/components/schemas/User") contra el documento.
+ * Los $ref externos no se resuelven: el linter trabaja sobre un bundle.
+ */
+function resolveInternalRef(root, value, seen = new Set()) {
+  if (!isPlainObject(value) || typeof value.$ref !== 'string' || !value.$ref.startsWith('#')) {
+    return value;
+  }
+  if (seen.has(value.$ref)) return value;
+  seen.add(value.$ref);
+
+  const segments = parseFragment(value.$ref);
+  if (!segments) return value;
+
+  let current = root;
+  for (const segment of segments) {
+    if (current === null || typeof current !== 'object' || !(segment in current)) return value;
+    current = current[segment];
+  }
+  return resolveInternalRef(root, current, seen);
+}
+
+// ---------------------------------------------------------------------------
+// PARSER DE TARGETS
+// ---------------------------------------------------------------------------
+
+function splitTarget(target) {
+  const segments = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of target) {
+    if (char === '[' || char === '(') depth++;
+    if (char === ']' || char === ')') depth--;
+    if (char === '.' && depth === 0) {
+      segments.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  segments.push(current);
+  return segments;
+}
+
+function parseSegment(segment, target) {
+  const match = segment.match(/^([^[]*)((?:\[[^\]]*\])*)$/);
+  if (!match) {
+    throw new Error('Segmento inválido "' + segment + '" en target "' + target + '"');
+  }
+
+  const steps = [];
+  const head = match[1];
+  if (head === '*') {
+    steps.push({ kind: 'wildcard' });
+  } else if (/^\(.+\)$/.test(head)) {
+    steps.push({ kind: 'alt', names: head.slice(1, -1).split('|') });
+  } else if (head !== '') {
+    steps.push({ kind: 'key', name: head });
+  }
+
+  const brackets = match[2].match(/\[[^\]]*\]/g) || [];
+  brackets.forEach((bracket) => {
+    const inner = bracket.slice(1, -1).trim();
+    if (inner === '') {
+      steps.push({ kind: 'each' });
+      return;
+    }
+    const filter = inner.match(/^\?\s*([\w$-]+)\s*==\s*(?:'([^']*)'|"([^"]*)"|(\S+))$/);
+    if (!filter) {
+      throw new Error('Filtro inválido "' + bracket + '" en target "' + target + '"');
+    }
+    const rawValue = filter[2] !== undefined ? filter[2] : filter[3] !== undefined ? filter[3] : filter[4];
+    steps.push({ kind: 'filter', field: filter[1], value: rawValue });
+  });
+
+  return steps;
+}
+
+/**
+ * Convierte un target ("paths.*.*.parameters[?name=='limit'].schema")
+ * en una lista de pasos.
+ */
+function parseTarget(target) {
+  if (!target || typeof target !== 'string') {
+    throw new Error('Target vacío o inválido: ' + JSON.stringify(target));
+  }
+  return splitTarget(target).reduce((steps, segment) => steps.concat(parseSegment(segment, target)), []);
+}
+
+// ---------------------------------------------------------------------------
+// RESOLUCIÓN DE TARGETS
+// ---------------------------------------------------------------------------
+
+/**
+ * Devuelve los nodos que coinciden con el target.
+ * Cada match: { value, exists, pointer, name, key, path }
+ *   - exists: false si la última clave literal no existe (para "required")
+ *   - name  : clave del último comodín (ej: nombre del schema en components.schemas.*)
+ */
+function resolveTarget(root, steps) {
+  let matches = [{ value: root, exists: true, pointer: '', name: null, key: null, path: [] }];
+
+  steps.forEach((step) => {
+    const next = [];
+
+    matches.forEach((match) => {
+      if (!match.exists) {
+        // Solo una clave literal puede seguir "faltando" (info.title sin info)
+        if (step.kind === 'key') {
+          next.push({
+            ...match,
+            pointer: match.pointer + '/' + escapePointerSegment(step.name),
+            key: step.name,
+            path: match.path.concat(step.name),
+          });
+        }
+        return;
+      }
+
+      const value = resolveInternalRef(root, match.value);
+      const child = (key, childValue, extra = {}) => ({
+        value: childValue,
+        exists: true,
+        pointer: match.pointer + '/' + escapePointerSegment(key),
+        name: match.name,
+        key,
+        path: match.path.concat(key),
+        ...extra,
+      });
+
+      switch (step.kind) {
+        case 'key': {
+          if (!isPlainObject(value)) return;
+          if (Object.prototype.hasOwnProperty.call(value, step.name)) {
+            next.push(child(step.name, value[step.name]));
+          } else {
+            next.push({ ...child(step.name, undefined), exists: false });
+          }
+          return;
+        }
+        case 'alt': {
+          if (!isPlainObject(value)) return;
+          step.names.forEach((name) => {
+            if (Object.prototype.hasOwnProperty.call(value, name)) next.push(child(name, value[name]));
+          });
+          return;
+        }
+        case 'wildcard': {
+          if (Array.isArray(value)) {
+            value.forEach((item, i) => next.push(child(i, item, { name: String(i) })));
+            return;
+          }
+          if (!isPlainObject(value)) return;
+          const onlyMethods = match.path.length === 2 && match.path[0] === 'paths';
+          Object.keys(value).forEach((key) => {
+            if (key.startsWith('x-')) return;
+            if (onlyMethods && !HTTP_METHODS.includes(key.toLowerCase())) return;
+            next.push(child(key, value[key], { name: key }));
+          });
+          return;
+        }
+        case 'each': {
+          if (!Array.isArray(value)) return;
+          value.forEach((item, i) => next.push(child(i, item)));
+          return;
+        }
+        case 'filter': {
+          if (!Array.isArray(value)) return;
+          value.forEach((item, i) => {
+            const resolved = resolveInternalRef(root, item);
+            if (isPlainObject(resolved) && String(resolved[step.field]) === step.value) {
+              next.push(child(i, resolved));
+            }
+          });
+          return;
+        }
+        default:
+          return;
+      }
+    });
+
+    matches = next;
+  });
+
+  return matches;
+}
+
+// ---------------------------------------------------------------------------
+// CHECKS
+// ---------------------------------------------------------------------------
+
+function typeOfValue(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(actual, expected) {
+  if (!expected || expected === 'any') return true;
+  if (expected === 'number') return actual === 'number' || actual === 'integer';
+  return actual === expected;
+}
+
+function isSchemaLike(value) {
+  return isPlainObject(value) && SCHEMA_HINT_KEYS.some((key) => key in value);
+}
+
+function schemaTypeOf(schema) {
+  if (typeof schema.type === 'string') return schema.type;
+  if (schema.properties || schema.allOf) return 'object';
+  if (schema.items) return 'array';
+  return undefined;
+}
+
+function collectSchemaProperties(root, schema, seen = new Set()) {
+  const resolved = resolveInternalRef(root, schema);
+  if (!isPlainObject(resolved) || seen.has(resolved)) return [];
+  seen.add(resolved);
+
+  let names = Object.keys(resolved.properties || {});
+  (resolved.allOf || []).forEach((sub) => {
+    names = names.concat(collectSchemaProperties(root, sub, seen));
+  });
+  return names;
+}
+
+/**
+ * Checks sobre un valor escalar/array (info.title, enum[], etc.)
+ */
+function checkValue(rule, value, regexes) {
+  const problems = [];
+  const actualType = typeOfValue(value);
+
+  if (!matchesType(actualType, rule.type)) {
+    problems.push('tipo esperado ' + rule.type + ', encontrado ' + actualType);
+    return problems;
+  }
+
+  if (typeof value === 'string') {
+    if (typeof rule.minLength === 'number' && value.length < rule.minLength) {
+      problems.push('longitud ' + value.length + ' < minLength ' + rule.minLength);
+    }
+    if (typeof rule.maxLength === 'number' && value.length > rule.maxLength) {
+      problems.push('longitud ' + value.length + ' > maxLength ' + rule.maxLength);
+    }
+    if (regexes.pattern && !regexes.pattern.test(value)) {
+      problems.push('"' + value + '" no cumple el patrón ' + rule.pattern);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (typeof rule.min === 'number' && value < rule.min) {
+      problems.push(value + ' < min ' + rule.min);
+    }
+    if (typeof rule.max === 'number' && value > rule.max) {
+      problems.push(value + ' > max ' + rule.max);
+    }
+  }
+
+  if (rule.notEmpty === true && (Array.isArray(value) || isPlainObject(value))) {
+    if (Object.keys(value).length === 0) problems.push('no debe estar vacío');
+  }
+
+  if (Array.isArray(rule.allowedValues) && !Array.isArray(value) && !rule.allowedValues.includes(value)) {
+    problems.push('valor ' + JSON.stringify(value) + ' no permitido');
+  }
+
+  if (regexes.enumPattern) {
+    const values = Array.isArray(value) ? value : [value];
+    values
+      .filter((item) => typeof item === 'string' && !regexes.enumPattern.test(item))
+      .forEach((item) => problems.push('"' + item + '" no cumple ' + rule.enumPattern));
+  }
+
+  return problems;
+}
+
+/**
+ * Checks sobre un schema (cuando el target apunta a la definición y no a un valor).
+ * Las restricciones de la regla deben estar declaradas en el schema:
+ *   min → minimum >= min, max → maximum <= max, minLength/maxLength idem.
+ */
+function checkSchema(root, rule, schema, regexes) {
+  const problems = [];
+  const schemaType = schemaTypeOf(schema);
+
+  if (rule.type && rule.type !== 'any' && !matchesType(schemaType, rule.type)) {
+    problems.push('tipo esperado ' + rule.type + ', el schema declara ' + (schemaType || 'sin tipo'));
+    return problems;
+  }
+
+  if (typeof rule.min === 'number' && !(typeof schema.minimum === 'number' && schema.minimum >= rule.min)) {
+    problems.push('minimum debe declararse y ser >= ' + rule.min);
+  }
+  if (typeof rule.max === 'number' && !(typeof schema.maximum === 'number' && schema.maximum <= rule.max)) {
+    problems.push('maximum debe declararse y ser <= ' + rule.max);
+  }
+  if (
+    typeof rule.minLength === 'number' &&
+    !(typeof schema.minLength === 'number' && schema.minLength >= rule.minLength)
+  ) {
+    problems.push('minLength debe declararse y ser >= ' + rule.minLength);
+  }
+  if (
+    typeof rule.maxLength === 'number' &&
+    !(typeof schema.maxLength === 'number' && schema.maxLength <= rule.maxLength)
+  ) {
+    problems.push('maxLength debe declararse y ser <= ' + rule.maxLength);
+  }
+
+  if (rule.requireItemsSchema === true && schemaType === 'array') {
+    if (!isPlainObject(schema.items) || Object.keys(schema.items).length === 0) {
+      problems.push("el array no define 'items'");
+    }
+  }
+
+  if (Array.isArray(rule.requiredProperties)) {
+    const declared = collectSchemaProperties(root, schema);
+    const missing = rule.requiredProperties.filter((name) => !declared.includes(name));
+    if (missing.length > 0) problems.push('faltan propiedades: ' + missing.join(', '));
+  }
+
+  if (regexes.enumPattern && Array.isArray(schema.enum)) {
+    schema.enum
+      .filter((item) => typeof item === 'string' && !regexes.enumPattern.test(item))
+      .forEach((item) => problems.push('"' + item + '" no cumple ' + rule.enumPattern));
+  }
+
+  // Ejemplos y defaults declarados también deben respetar la regla
+  ['example', 'default'].forEach((key) => {
+    if (schema[key] === undefined || isPlainObject(schema[key]) || Array.isArray(schema[key])) return;
+    checkValue({ ...rule, type: 'any', enumPattern: undefined }, schema[key], {
+      pattern: regexes.pattern,
+    }).forEach((problem) => problems.push(key + ': ' + problem));
+  });
+
+  return problems;
+}
+
+// ---------------------------------------------------------------------------
+// EVALUACIÓN DE REGLAS
+// ---------------------------------------------------------------------------
+
+function compileRegex(rule, field) {
+  if (rule[field] === undefined) return undefined;
+  try {
+    return new RegExp(rule[field]);
+  } catch (error) {
+    throw new Error('Regla "' + rule.id + '": ' + field + ' inválido (' + error.message + ')');
+  }
+}
+
+/**
+ * Valida y precompila una regla de linter.yaml.
+ */
+function compileRule(rule, index) {
+  if (!isPlainObject(rule)) {
+    throw new Error('La regla #' + index + ' de config/linter.yaml no es un objeto');
+  }
+  if (!rule.id || typeof rule.id !== 'string') {
+    throw new Error('La regla #' + index + ' de config/linter.yaml no tiene "id"');
+  }
+  if (rule.type !== undefined && !RULE_TYPES.includes(rule.type)) {
+    throw new Error('Regla "' + rule.id + '": type inválido (' + rule.type + ')');
+  }
+
+  const steps = parseTarget(rule.target);
+  const lastStep = steps[steps.length - 1];
+
+  return {
+    rule,
+    steps,
+    // Si el target termina en comodín, "type" actúa como filtro
+    // (ej: "components.schemas.*.properties.*" + type: array → solo arrays).
+    typeIsFilter: !!lastStep && lastStep.kind === 'wildcard',
+    regexes: {
+      pattern: compileRegex(rule, 'pattern'),
+      enumPattern: compileRegex(rule, 'enumPattern'),
+      ifNameMatches: compileRegex(rule, 'ifNameMatches'),
+    },
+    conditions: Object.entries(isPlainObject(rule.requiredIf) ? rule.requiredIf : {}).map(
+      ([target, expected]) => ({ steps: parseTarget(target), expected: expected === true }),
+    ),
+  };
+}
+
+function conditionsHold(root, conditions) {
+  return conditions.every(({ steps, expected }) => {
+    const present = resolveTarget(root, steps).some((match) => {
+      if (!match.exists || match.value === undefined || match.value === null) return false;
+      if (Array.isArray(match.value) || isPlainObject(match.value)) {
+        return Object.keys(match.value).length > 0;
+      }
+      return true;
+    });
+    return present === expected;
+  });
+}
+
+function evaluateMatch(root, compiled, match) {
+  const { rule, regexes } = compiled;
+
+  if (rule.forbidTrailingSlash === true) {
+    const key = String(match.key);
+    if (key.length > 1 && key.endsWith('/')) return ['la ruta "' + key + '" termina en "/"'];
+  }
+
+  const value = resolveInternalRef(root, match.value);
+
+  if (isSchemaLike(value) && rule.type !== 'any') {
+    if (compiled.typeIsFilter && rule.type && !matchesType(schemaTypeOf(value), rule.type)) return [];
+    return checkSchema(root, rule, value, regexes);
+  }
+
+  if (compiled.typeIsFilter && rule.type && !matchesType(typeOfValue(value), rule.type)) return [];
+  return checkValue(rule, value, regexes);
+}
+
+/**
+ * Ejecuta las reglas sobre un documento OpenAPI.
+ *
+ * @param {object}   doc    Documento OpenAPI (bundle o monolito).
+ * @param {object[]} rules  Lista "rules" de config/linter.yaml.
+ * @param {object}   [severityDefaults]  Mapa severidad declarada → severidad efectiva.
+ * @returns {{ issues: object[], passed: string[], skipped: string[] }}
+ */
+function runLintRules(doc, rules, severityDefaults = {}) {
+  const compiledRules = (rules || []).map(compileRule);
+  const issues = [];
+  const passed = [];
+  const skipped = [];
+
+  compiledRules.forEach((compiled) => {
+    const { rule } = compiled;
+    const declaredSeverity = rule.severity || 'warn';
+    const severity = severityDefaults[declaredSeverity] || declaredSeverity;
+
+    const conditional = compiled.conditions.length > 0;
+    if (conditional && !conditionsHold(doc, compiled.conditions)) {
+      skipped.push(rule.id);
+      return;
+    }
+    const required = rule.required === true || conditional;
+
+    let ruleIssues = 0;
+    const report = (match, detail) => {
+      ruleIssues++;
+      issues.push({
+        ruleId: rule.id,
+        severity,
+        pointer: '#' + match.pointer,
+        message: rule.message || rule.description || rule.id,
+        detail,
+      });
+    };
+
+    resolveTarget(doc, compiled.steps).forEach((match) => {
+      if (compiled.regexes.ifNameMatches && !compiled.regexes.ifNameMatches.test(String(match.name))) {
+        return;
+      }
+      if (!match.exists) {
+        if (required) report(match, 'no existe');
+        return;
+      }
+      evaluateMatch(doc, compiled, match).forEach((problem) => report(match, problem));
+    });
+
+    if (ruleIssues === 0) passed.push(rule.id);
+  });
+
+  return { issues, passed, skipped };
+}
+
+module.exports = {
+  parseTarget,
+  resolveTarget,
+  runLintRules,
+};
@@ -66,6 +66,17 @@ function applyNamingConvention(name, convention = 'PascalCase') {
   }
 }
 
+/**
+ * Separador entre palabras de una convención ("" si las une sin separador).
+ * @param {string} convention
+ * @returns {string}
+ */
+function getConventionSeparator(convention) {
+  if (convention === 'kebab-case') return '-';
+  if (convention === 'snake_case' || convention === 'UPPERCASE') return '_';
+  return '';
+}
+
 /**
  * Aplica prefijos y sufijos a un nombre
  * @param {string} name - Nombre con convención ya aplicada
@@ -142,7 +153,8 @@ function sanitizeComponentName(name) {
  *   - Respeta reglas especiales (responses NO se transforman aquí)
  *
  * @param {string} name           Nombre lógico del componente (clave en components.X)
- * @param {string} type           Tipo de componente: schemas, responses, requestBodies, etc.
+ * @param {string} type           Tipo de componente: schemas, responses, requestBodies,
+ *                                pathItems (3.1), etc.
  * @param {object} namingConfig   Sección naming del config (naming.components, etc.)
  * @param {object} affixesConfig  Sección affixes del config (prefixes/suffixes por tipo)
  * @returns {string}              Nombre de archivo SIN extensión (ej: "UserSchema")
@@ -176,6 +188,7 @@ function generateComponentFilename(name, type, namingConfig = {}, affixesConfig
 module.exports = {
   toWords,
   applyNamingConvention,
+  getConventionSeparator,
   isValidConvention,
   applyAffixes,
   applyFullNaming,
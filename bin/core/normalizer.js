@@ -0,0 +1,757 @@
+// bin/core/normalizer.js
+
+const { applyNamingConvention, isValidConvention } = require('./namingConventions');
+const {
+  NAME_MAP_KEYS,
+  isDataKey,
+  isPlainObject,
+  escapePointerSegment,
+} = require('./jsonPointer');
+
+/**
+ * Reglas de normalización de contenido OpenAPI (config/normalize.yaml).
+ *
+ * Este módulo es puro: recibe objetos ya cargados, devuelve objetos
+ * normalizados y registra cada cambio en un "report" para que la capa
+ * de aplicación decida si escribir (apply) o solo informar (dry-run).
+ *
+ * Se puede aplicar sobre:
+ *   - un documento monolítico completo  → normalizeDocument()
+ *   - un fragmento de un árbol modular  → normalizeFragment()
+ *     (paths/*.yaml, webhooks/*.yaml, components/<type>/*.yaml)
+ */
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Secciones del documento cuyos valores son path items
+const PATH_ITEM_SECTIONS = ['paths', 'webhooks'];
+
+// Claves de texto sobre las que actúan las reglas de `text`.
+const TEXT_KEYS = ['description', 'summary', 'title'];
+
+// Claves que se pueden eliminar si quedan vacías (cleanup.removeEmptyProperties).
+// `security: []` NO está aquí: en una operación significa "sin seguridad".
+const REMOVABLE_EMPTY_KEYS = [
+  'description',
+  'summary',
+  'title',
+  'properties',
+  'tags',
+  'parameters',
+  'headers',
+  'examples',
+  'links',
+  'servers',
+  'required',
+  'externalDocs',
+];
+
+const KEEP_STYLE = 'keep';
+const TITLE_CASE_STYLE = 'Title Case';
+const UPPER_SNAKE_STYLE = 'UPPER_SNAKE';
+
+// ---------------------------------------------------------------------------
+// UTILIDADES
+// ---------------------------------------------------------------------------
+
+function childLocation(location, key) {
+  return location + '/' + escapePointerSegment(key);
+}
+
+/**
+ * Crea un acumulador de cambios y hallazgos.
+ *   - changes : modificaciones aplicadas (o que se aplicarían en dry-run)
+ *   - findings: validaciones de estilo (solo reporte)
+ */
+function createReport() {
+  return { changes: [], findings: [] };
+}
+
+function recordChange(report, rule, location, detail) {
+  report.changes.push({ rule, location, detail });
+}
+
+function recordFinding(report, rule, location, message) {
+  report.findings.push({ rule, location, message });
+}
+
+/**
+ * Indica si un estilo de nombre es soportado por las reglas de normalize.yaml.
+ */
+function isValidStyle(style) {
+  return (
+    style === undefined ||
+    style === KEEP_STYLE ||
+    style === TITLE_CASE_STYLE ||
+    style === UPPER_SNAKE_STYLE ||
+    isValidConvention(style)
+  );
+}
+
+function toTitleCase(value) {
+  return value
+    .split(/\s+/)
+    .filter((word) => word.length > 0)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Aplica un estilo de normalize.yaml a un string.
+ * "keep" (o sin estilo) devuelve el valor tal cual.
+ */
+function applyStyle(value, style) {
+  if (typeof value !== 'string' || !style || style === KEEP_STYLE) return value;
+  if (style === TITLE_CASE_STYLE) return toTitleCase(value);
+  if (style === UPPER_SNAKE_STYLE) return applyNamingConvention(value, 'UPPERCASE');
+  return applyNamingConvention(value, style);
+}
+
+/**
+ * Devuelve un objeto nuevo con las claves listadas en `order` primero
+ * y el resto al final en su orden original.
+ */
+function orderKeys(obj, order) {
+  if (!isPlainObject(obj) || !Array.isArray(order) || order.length === 0) return obj;
+
+  const result = {};
+  order.forEach((key) => {
+    if (Object.prototype.hasOwnProperty.call(obj, key)) result[key] = obj[key];
+  });
+  Object.keys(obj).forEach((key) => {
+    if (!Object.prototype.hasOwnProperty.call(result, key)) result[key] = obj[key];
+  });
+  return result;
+}
+
+function sameKeyOrder(a, b) {
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.every((key, index) => key === keysB[index]);
+}
+
+function orderKeysWithReport(obj, order, report, rule, location) {
+  const ordered = orderKeys(obj, order);
+  if (ordered !== obj && !sameKeyOrder(obj, ordered)) {
+    recordChange(report, rule, location, 'claves reordenadas');
+  }
+  return ordered;
+}
+
+/**
+ * Recorre recursivamente un nodo invocando `callback(node, location, isNameMap, mapKey)`
+ * por cada objeto. No entra en valores de datos (example, enum, default...).
+ * `mapKey` es la clave del mapa de nombres que contiene al nodo ("responses"
+ * en operation.responses y components.responses), o null.
+ */
+function forEachObject(node, callback, location = '', parentKey = null, mapKey = null) {
+  if (Array.isArray(node)) {
+    node.forEach((item, index) => forEachObject(item, callback, childLocation(location, index)));
+    return;
+  }
+  if (!isPlainObject(node)) return;
+
+  const isNameMap = NAME_MAP_KEYS.includes(parentKey);
+  callback(node, location, isNameMap, mapKey);
+
+  Object.keys(node).forEach((key) => {
+    if (!isNameMap && (isDataKey(key, node[key]) || key.startsWith('x-'))) return;
+    forEachObject(
+      node[key],
+      callback,
+      childLocation(location, key),
+      isNameMap ? null : key,
+      isNameMap ? parentKey : null,
+    );
+  });
+}
+
+// Las operaciones que son un $ref (modularization.splitOperations) viven en
+// su propio archivo y se normalizan como fragmento "operation".
+function getOperations(pathItem) {
+  if (!isPlainObject(pathItem)) return [];
+  return Object.keys(pathItem)
+    .filter(
+      (key) =>
+        HTTP_METHODS.includes(key.toLowerCase()) &&
+        isPlainObject(pathItem[key]) &&
+        !pathItem[key].$ref,
+    )
+    .map((method) => ({ method, operation: pathItem[method] }));
+}
+
+// ---------------------------------------------------------------------------
+// REGLAS GENÉRICAS (aplican a cualquier nodo)
+// ---------------------------------------------------------------------------
+
+function normalizeTextValue(value, textConfig) {
+  let result = value;
+
+  if (textConfig.newlineStyle === 'unix') {
+    result = result.replace(/\r\n?/g, '\n');
+  } else if (textConfig.newlineStyle === 'single') {
+    result = result.replace(/\s*[\r\n]+\s*/g, ' ');
+  }
+
+  if (textConfig.formatDescriptionsAsMarkdown) {
+    result = result.replace(/^[ \t]*[•·*][ \t]+/gm, '- ');
+  }
+
+  if (textConfig.trimWhitespace) {
+    result = result
+      .split('\n')
+      // Se conserva la indentación inicial (listas/código en Markdown)
+      .map((line) => line.replace(/(\S)[ \t]+/g, '$1 ').replace(/[ \t]+$/, ''))
+      .join('\n')
+      .trim();
+  }
+
+  return result;
+}
+
+function normalizeTexts(node, config, report, location) {
+  const textConfig = config.text || {};
+  if (!textConfig.trimWhitespace && !textConfig.newlineStyle && !textConfig.formatDescriptionsAsMarkdown) {
+    return;
+  }
+
+  forEachObject(
+    node,
+    (obj, objLocation, isNameMap) => {
+      if (isNameMap) return;
+      TEXT_KEYS.forEach((key) => {
+        if (typeof obj[key] !== 'string') return;
+        const normalized = normalizeTextValue(obj[key], textConfig);
+        if (normalized !== obj[key]) {
+          obj[key] = normalized;
+          recordChange(report, 'text', childLocation(objLocation, key), 'texto normalizado');
+        }
+      });
+    },
+    location,
+  );
+}
+
+function normalizeEnums(node, config, report, location) {
+  const enumsConfig = config.enums || {};
+  const valueStyle = enumsConfig.valueStyle || KEEP_STYLE;
+  if (valueStyle === KEEP_STYLE && !enumsConfig.sortValues) return;
+
+  forEachObject(
+    node,
+    (obj, objLocation, isNameMap) => {
+      if (isNameMap || !Array.isArray(obj.enum)) return;
+      const enumLocation = childLocation(objLocation, 'enum');
+
+      if (valueStyle !== KEEP_STYLE) {
+        const styled = obj.enum.map((value) => applyStyle(value, valueStyle));
+        if (styled.some((value, index) => value !== obj.enum[index])) {
+          obj.enum = styled;
+          recordChange(report, 'enums.valueStyle', enumLocation, 'valores → ' + valueStyle);
+        }
+      }
+
+      if (enumsConfig.sortValues) {
+        const allStrings = obj.enum.every((value) => typeof value === 'string');
+        const allNumbers = obj.enum.every((value) => typeof value === 'number');
+        if (!allStrings && !allNumbers) return;
+
+        const sorted = obj.enum.slice().sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+        if (sorted.some((value, index) => value !== obj.enum[index])) {
+          obj.enum = sorted;
+          recordChange(report, 'enums.sortValues', enumLocation, 'valores ordenados');
+        }
+      }
+    },
+    location,
+  );
+}
+
+function removeExtensions(node, config, report, location) {
+  const removeConfig = (config.cleanup && config.cleanup.removeExtensions) || {};
+  if (!removeConfig.enabled || !Array.isArray(removeConfig.keys) || removeConfig.keys.length === 0) {
+    return;
+  }
+
+  // Las extensiones no se recorren en forEachObject, pero sí pueden
+  // aparecer en cualquier objeto: se revisan claves propias de cada nodo.
+  forEachObject(
+    node,
+    (obj, objLocation, isNameMap) => {
+      if (isNameMap) return;
+      removeConfig.keys.forEach((key) => {
+        if (Object.prototype.hasOwnProperty.call(obj, key)) {
+          delete obj[key];
+          recordChange(report, 'cleanup.removeExtensions', childLocation(objLocation, key), 'extensión eliminada');
+        }
+      });
+    },
+    location,
+  );
+}
+
+function isEmptyValue(value) {
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  if (isPlainObject(value)) return Object.keys(value).length === 0;
+  return false;
+}
+
+function removeEmptyProperties(node, config, report, location, kind) {
+  if (!config.cleanup || !config.cleanup.removeEmptyProperties) return;
+
+  forEachObject(
+    node,
+    (obj, objLocation, isNameMap, mapKey) => {
+      if (isNameMap) return;
+      // En un Response object `description` es obligatoria aunque esté vacía
+      const isResponse = obj === node ? kind === 'responses' : mapKey === 'responses';
+      REMOVABLE_EMPTY_KEYS.forEach((key) => {
+        if (key === 'description' && isResponse) return;
+        if (Object.prototype.hasOwnProperty.call(obj, key) && isEmptyValue(obj[key])) {
+          delete obj[key];
+          recordChange(report, 'cleanup.removeEmptyProperties', childLocation(objLocation, key), 'propiedad vacía eliminada');
+        }
+      });
+    },
+    location,
+  );
+}
+
+function applyGenericRules(node, config, report, location, kind) {
+  normalizeTexts(node, config, report, location);
+  normalizeEnums(node, config, report, location);
+  removeExtensions(node, config, report, location);
+  removeEmptyProperties(node, config, report, location, kind);
+  return node;
+}
+
+// ---------------------------------------------------------------------------
+// REGLAS POR TIPO DE NODO
+// ---------------------------------------------------------------------------
+
+const NESTED_SCHEMA_KEYS = ['items', 'not', 'additionalProperties'];
+const NESTED_SCHEMA_LIST_KEYS = ['allOf', 'oneOf', 'anyOf'];
+
+function normalizeSchema(schema, config, report, location) {
+  if (!isPlainObject(schema) || schema.$ref) return schema;
+
+  const order = (config.order && config.order.schemaKeys) || [];
+  const result = orderKeysWithReport(schema, order, report, 'order.schemaKeys', location);
+
+  if (isPlainObject(result.properties)) {
+    Object.keys(result.properties).forEach((propName) => {
+      result.properties[propName] = normalizeSchema(
+        result.properties[propName],
+        config,
+        report,
+        childLocation(childLocation(location, 'properties'), propName),
+      );
+    });
+  }
+  NESTED_SCHEMA_KEYS.forEach((key) => {
+    if (isPlainObject(result[key])) {
+      result[key] = normalizeSchema(result[key], config, report, childLocation(location, key));
+    }
+  });
+  NESTED_SCHEMA_LIST_KEYS.forEach((key) => {
+    if (Array.isArray(result[key])) {
+      result[key] = result[key].map((sub, index) =>
+        normalizeSchema(sub, config, report, childLocation(childLocation(location, key), index)),
+      );
+    }
+  });
+
+  return result;
+}
+
+function normalizeResponse(response, config, report, location) {
+  if (!isPlainObject(response) || response.$ref) return response;
+
+  const checks = config.styleChecks || {};
+  if (checks.requireResponseDescription && !response.description) {
+    recordFinding(report, 'styleChecks.requireResponseDescription', location, 'La respuesta no tiene description');
+  }
+
+  const order = (config.order && config.order.responseKeys) || [];
+  return orderKeysWithReport(response, order, report, 'order.responseKeys', location);
+}
+
+function normalizeParameter(parameter, config, report, location) {
+  if (!isPlainObject(parameter) || parameter.$ref) return parameter;
+
+  const style = config.naming && config.naming.parameters && config.naming.parameters.style;
+  if (typeof parameter.name === 'string') {
+    const styled = applyStyle(parameter.name, style);
+    if (styled !== parameter.name) {
+      recordChange(report, 'naming.parameters', location, parameter.name + ' → ' + styled);
+      parameter.name = styled;
+    }
+  }
+
+  const checks = config.styleChecks || {};
+  if (checks.requireParameterDescription && !parameter.description) {
+    recordFinding(
+      report,
+      'styleChecks.requireParameterDescription',
+      location,
+      'El parámetro "' + parameter.name + '" no tiene description',
+    );
+  }
+
+  return parameter;
+}
+
+function normalizeParameterList(parameters, config, report, location) {
+  if (!Array.isArray(parameters)) return parameters;
+  return parameters.map((parameter, index) =>
+    normalizeParameter(parameter, config, report, childLocation(location, index)),
+  );
+}
+
+function normalizeOperation(operation, config, report, location) {
+  const checks = config.styleChecks || {};
+  const textConfig = config.text || {};
+
+  const idStyle = config.naming && config.naming.operationId && config.naming.operationId.style;
+  if (typeof operation.operationId === 'string') {
+    const styled = applyStyle(operation.operationId, idStyle);
+    if (styled !== operation.operationId) {
+      recordChange(report, 'naming.operationId', location, operation.operationId + ' → ' + styled);
+      operation.operationId = styled;
+    }
+  } else if (checks.requireOperationId) {
+    recordFinding(report, 'styleChecks.requireOperationId', location, 'La operación no tiene operationId');
+  }
+
+  if (
+    textConfig.summaryMaxLength &&
+    typeof operation.summary === 'string' &&
+    operation.summary.length > textConfig.summaryMaxLength
+  ) {
+    recordFinding(
+      report,
+      'text.summaryMaxLength',
+      childLocation(location, 'summary'),
+      'summary de ' + operation.summary.length + ' caracteres (máx. ' + textConfig.summaryMaxLength + ')',
+    );
+  }
+
+  operation.parameters = normalizeParameterList(
+    operation.parameters,
+    config,
+    report,
+    childLocation(location, 'parameters'),
+  );
+  if (operation.parameters === undefined) delete operation.parameters;
+
+  if (isPlainObject(operation.responses)) {
+    Object.keys(operation.responses).forEach((status) => {
+      operation.responses[status] = normalizeResponse(
+        operation.responses[status],
+        config,
+        report,
+        childLocation(childLocation(location, 'responses'), status),
+      );
+    });
+  }
+
+  const order = (config.order && config.order.operationKeys) || [];
+  return orderKeysWithReport(operation, order, report, 'order.operationKeys', location);
+}
+
+function normalizePathItem(pathItem, config, report, location) {
+  if (!isPlainObject(pathItem) || pathItem.$ref) return pathItem;
+
+  if (Array.isArray(pathItem.parameters)) {
+    pathItem.parameters = normalizeParameterList(
+      pathItem.parameters,
+      config,
+      report,
+      childLocation(location, 'parameters'),
+    );
+  }
+
+  getOperations(pathItem).forEach(({ method, operation }) => {
+    pathItem[method] = normalizeOperation(operation, config, report, childLocation(location, method));
+  });
+
+  return pathItem;
+}
+
+function normalizeComponent(content, type, config, report, location) {
+  switch (type) {
+    case 'schemas': {
+      const checks = config.styleChecks || {};
+      if (checks.requireSchemaDescription && isPlainObject(content) && !content.$ref && !content.description) {
+        recordFinding(report, 'styleChecks.requireSchemaDescription', location, 'El schema no tiene description');
+      }
+      return normalizeSchema(content, config, report, location);
+    }
+    case 'responses':
+      return normalizeResponse(content, config, report, location);
+    case 'parameters':
+      return normalizeParameter(content, config, report, location);
+    default:
+      return content;
+  }
+}
+
+/**
+ * Normaliza un fragmento individual de un árbol modular.
+ *
+ * @param {object} content  Contenido del archivo.
+ * @param {string} kind     "pathItem", "operation" o un tipo de componente (schemas, responses...).
+ * @param {object} config   Config de normalize.yaml.
+ * @param {object} report   Acumulador creado con createReport().
+ * @param {string} location Prefijo de ubicación para el reporte (ej: "paths/users.yaml#").
+ * @returns {object}        Contenido normalizado.
+ */
+function normalizeFragment(content, kind, config, report, location = '#') {
+  if (!isPlainObject(content)) return content;
+
+  const result = applyGenericRules(content, config, report, location, kind);
+  if (kind === 'pathItem') {
+    return normalizePathItem(result, config, report, location);
+  }
+  if (kind === 'operation') {
+    return normalizeOperation(result, config, report, location);
+  }
+  return normalizeComponent(result, kind, config, report, location);
+}
+
+// ---------------------------------------------------------------------------
+// REGLAS TRANSVERSALES (necesitan ver todo el documento)
+// ---------------------------------------------------------------------------
+
+function collectOperations(pathItems) {
+  const operations = [];
+  pathItems.forEach((pathItem) => {
+    getOperations(pathItem).forEach(({ operation }) => operations.push(operation));
+  });
+  return operations;
+}
+
+function applyTagNaming(doc, operations, config, report, base) {
+  const style = config.naming && config.naming.tags && config.naming.tags.style;
+  if (!style || style === KEEP_STYLE) return;
+
+  const renamed = {};
+  (Array.isArray(doc.tags) ? doc.tags : []).forEach((tag, index) => {
+    if (!tag || typeof tag.name !== 'string') return;
+    const styled = applyStyle(tag.name, style);
+    if (styled !== tag.name) {
+      renamed[tag.name] = styled;
+      recordChange(report, 'naming.tags', base + '/tags/' + index, tag.name + ' → ' + styled);
+      tag.name = styled;
+    }
+  });
+
+  operations.forEach((operation) => {
+    if (!Array.isArray(operation.tags)) return;
+    operation.tags = operation.tags.map((tagName) => {
+      if (renamed[tagName]) return renamed[tagName];
+      return applyStyle(tagName, style);
+    });
+  });
+}
+
+function removeUnusedTags(doc, operations, config, report, base) {
+  if (!config.cleanup || !config.cleanup.removeUnusedTags || !Array.isArray(doc.tags)) return;
+
+  const used = new Set();
+  operations.forEach((operation) => {
+    (operation.tags || []).forEach((tagName) => used.add(tagName));
+  });
+
+  doc.tags = doc.tags.filter((tag) => {
+    if (!tag || used.has(tag.name)) return true;
+    recordChange(report, 'cleanup.removeUnusedTags', base + '/tags', 'tag sin uso eliminado: ' + tag.name);
+    return false;
+  });
+}
+
+function removeUnusedSecuritySchemes(doc, operations, config, report, base) {
+  if (!config.cleanup || !config.cleanup.removeUnusedSecuritySchemes) return;
+  const schemes = doc.components && doc.components.securitySchemes;
+  if (!isPlainObject(schemes)) return;
+
+  const used = new Set();
+  const addRequirements = (requirements) => {
+    (Array.isArray(requirements) ? requirements : []).forEach((requirement) => {
+      Object.keys(requirement || {}).forEach((name) => used.add(name));
+    });
+  };
+  addRequirements(doc.security);
+  operations.forEach((operation) => addRequirements(operation.security));
+
+  Object.keys(schemes).forEach((name) => {
+    if (used.has(name)) return;
+    delete schemes[name];
+    recordChange(
+      report,
+      'cleanup.removeUnusedSecuritySchemes',
+      base + '/components/securitySchemes/' + escapePointerSegment(name),
+      'securityScheme sin uso eliminado',
+    );
+  });
+}
+
+/**
+ * Reescribe in-place los $ref "…#/components/<type>/<old>" según `mapping`.
+ * Funciona tanto con refs internos como con refs al entrypoint
+ * (ej: "../main.yaml#/components/schemas/User").
+ *
+ * Con schemas también reescribe los valores de discriminator.mapping, que
+ * pueden ser refs o nombres de schema sueltos ("pet_item" → "PetItem").
+ */
+function rewriteComponentRefs(node, type, mapping) {
+  const prefix = '/components/' + type + '/';
+  const hasName = (name) => Object.prototype.hasOwnProperty.call(mapping, name);
+
+  const rewriteRef = (ref) => {
+    const hashIndex = ref.indexOf('#');
+    if (hashIndex === -1) return ref;
+
+    const fragment = ref.slice(hashIndex + 1);
+    if (!fragment.startsWith(prefix)) return ref;
+
+    const rest = fragment.slice(prefix.length);
+    const name = rest.split('/')[0];
+    if (!hasName(name)) return ref;
+
+    return ref.slice(0, hashIndex + 1) + prefix + mapping[name] + rest.slice(name.length);
+  };
+
+  forEachObject(node, (obj) => {
+    if (typeof obj.$ref === 'string') obj.$ref = rewriteRef(obj.$ref);
+
+    const discriminator = obj.discriminator;
+    if (type !== 'schemas' || !isPlainObject(discriminator) || !isPlainObject(discriminator.mapping)) {
+      return;
+    }
+    Object.keys(discriminator.mapping).forEach((key) => {
+      const target = discriminator.mapping[key];
+      if (typeof target !== 'string') return;
+      if (target.includes('#')) {
+        discriminator.mapping[key] = rewriteRef(target);
+      } else if (hasName(target)) {
+        discriminator.mapping[key] = mapping[target];
+      }
+    });
+  });
+}
+
+function renameSchemas(doc, documents, config, report, base) {
+  const style = config.naming && config.naming.schemas && config.naming.schemas.style;
+  const schemas = doc.components && doc.components.schemas;
+  if (!style || style === KEEP_STYLE || !isPlainObject(schemas)) return;
+
+  const mapping = {};
+  const renamedSchemas = {};
+
+  Object.keys(schemas).forEach((name) => {
+    const styled = applyStyle(name, style);
+    if (styled === name) {
+      renamedSchemas[name] = schemas[name];
+      return;
+    }
+    if (Object.prototype.hasOwnProperty.call(schemas, styled) || renamedSchemas[styled]) {
+      recordFinding(
+        report,
+        'naming.schemas',
+        base + '/components/schemas/' + escapePointerSegment(name),
+        'No se renombra a "' + styled + '": ya existe un schema con ese nombre',
+      );
+      renamedSchemas[name] = schemas[name];
+      return;
+    }
+    mapping[name] = styled;
+    renamedSchemas[styled] = schemas[name];
+    recordChange(report, 'naming.schemas', base + '/components/schemas/' + escapePointerSegment(name), name + ' → ' + styled);
+  });
+
+  if (Object.keys(mapping).length === 0) return;
+
+  doc.components.schemas = renamedSchemas;
+  documents.forEach((document) => rewriteComponentRefs(document, 'schemas', mapping));
+}
+
+/**
+ * Normaliza un documento OpenAPI completo (monolítico o entrypoint modular).
+ *
+ * @param {object} doc     Documento OpenAPI.
+ * @param {object} config  Config de normalize.yaml.
+ * @param {object} report  Acumulador creado con createReport().
+ * @param {object} [options]
+ * @param {object[]} [options.externalPathItems]  Path items que viven en otros archivos.
+ * @param {object[]} [options.externalOperations] Operaciones que viven en otros archivos.
+ * @param {object[]} [options.externalDocuments]  Otros archivos del árbol (para reescribir refs).
+ * @param {string}   [options.location]           Prefijo de ubicación para el reporte (default: "#").
+ * @returns {object} Documento normalizado.
+ */
+function normalizeDocument(doc, config, report, options = {}) {
+  if (!isPlainObject(doc)) return doc;
+
+  const externalPathItems = options.externalPathItems || [];
+  const externalOperations = options.externalOperations || [];
+  const externalDocuments = options.externalDocuments || [];
+  const base = options.location || '#';
+
+  const result = applyGenericRules(doc, config, report, base);
+
+  // Los webhooks (OpenAPI 3.1) son path items como los de paths
+  PATH_ITEM_SECTIONS.forEach((section) => {
+    if (!isPlainObject(result[section])) return;
+    Object.keys(result[section]).forEach((route) => {
+      result[section][route] = normalizePathItem(
+        result[section][route],
+        config,
+        report,
+        childLocation(base + '/' + section, route),
+      );
+    });
+  });
+
+  if (isPlainObject(result.components)) {
+    Object.keys(result.components).forEach((type) => {
+      const category = result.components[type];
+      if (!isPlainObject(category)) return;
+      Object.keys(category).forEach((name) => {
+        category[name] = normalizeComponent(
+          category[name],
+          type,
+          config,
+          report,
+          childLocation(childLocation(base + '/components', type), name),
+        );
+      });
+    });
+  }
+
+  const inlinePathItems = PATH_ITEM_SECTIONS.flatMap((section) =>
+    Object.values(result[section] || {}),
+  ).filter((pathItem) => isPlainObject(pathItem) && !pathItem.$ref);
+  const operations = collectOperations(inlinePathItems.concat(externalPathItems)).concat(
+    externalOperations,
+  );
+
+  applyTagNaming(result, operations, config, report, base);
+  removeUnusedTags(result, operations, config, report, base);
+  removeUnusedSecuritySchemes(result, operations, config, report, base);
+  renameSchemas(result, [result].concat(externalDocuments), config, report, base);
+
+  const sectionOrder = (config.order && config.order.openapiSections) || [];
+  return orderKeysWithReport(result, sectionOrder, report, 'order.openapiSections', base);
+}
+
+module.exports = {
+  HTTP_METHODS,
+  createReport,
+  isValidStyle,
+  applyStyle,
+  orderKeys,
+  normalizeFragment,
+  normalizeDocument,
+  rewriteComponentRefs,
+};
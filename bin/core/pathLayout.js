@@ -0,0 +1,122 @@
+// bin/core/pathLayout.js
+
+const {
+  buildPathSlug,
+  slugifySegments,
+  finalizeFileName,
+  makeSafeFileName,
+  stripBasePath,
+  routeSegments,
+} = require('./slugifyPath');
+
+/**
+ * Ubicación de cada archivo de path dentro de paths/ según el layout
+ * (modularization.pathsLayout):
+ *
+ *   flat        → paths/users-id.yaml                (todos al mismo nivel)
+ *   by-tag      → paths/accounts/users-id.yaml       (primer tag de la primera operación)
+ *   by-segment  → paths/users/users-id.yaml          (primer segmento de la ruta)
+ *   nested      → paths/users/id.yaml                (una carpeta por segmento, como la URL)
+ *
+ * Las rutas sin tag (by-tag) o con un solo nivel (nested) quedan directamente
+ * en paths/. La ruta "/" siempre es paths/root.yaml. Los nombres de archivo y
+ * de carpeta salen de slugifyPath (advanced.pathSlug); la base de la ruta
+ * (basePath) se quita antes de elegir la carpeta.
+ *
+ * Con markParams, los segmentos con parámetro se marcan con "by-"
+ * (/users/{id} → users-by-id.yaml) aunque paramStyle sea otro: es la
+ * alternativa con la que modularize desambigua una ruta que colisiona con
+ * otra sin parámetros (/users/id).
+ */
+
+const PATH_LAYOUTS = ['flat', 'by-tag', 'by-segment', 'nested'];
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Nombre de carpeta seguro a partir de un tag o segmento de ruta.
+ */
+function toFolderName(value, slugOptions) {
+  return makeSafeFileName(slugifySegments([String(value)], slugOptions));
+}
+
+function firstTag(pathItem) {
+  if (!pathItem || typeof pathItem !== 'object') return null;
+  for (const method of HTTP_METHODS) {
+    const operation = pathItem[method];
+    if (operation && Array.isArray(operation.tags) && typeof operation.tags[0] === 'string') {
+      return operation.tags[0];
+    }
+  }
+  return null;
+}
+
+/**
+ * Calcula el archivo de un path, relativo a paths/ y con "/" como separador.
+ *
+ * @param {string} routePath Ruta OAS3 (key en `paths`).
+ * @param {object} pathItem  Path Item (para el layout by-tag).
+ * @param {object} [options]
+ * @param {string} [options.layout]         Uno de PATH_LAYOUTS (default "flat").
+ * @param {string} [options.convention]     Convención de naming.paths (default "kebab-case").
+ * @param {string} [options.fileExtension]  Default ".yaml".
+ * @param {boolean} [options.normalize]     advanced.slugifyPaths (default true).
+ * @param {string} [options.paramStyle]     advanced.pathSlug.paramStyle (default "plain").
+ * @param {string} [options.basePath]       Base que se quita de la ruta (ej: "/v1").
+ * @param {string} [options.prefix]         advanced.filenamePrefix (solo en el archivo).
+ * @param {number} [options.maxLength]      advanced.pathSlug.maxLength (0 = sin límite).
+ * @param {boolean} [options.markParams]    Marca los parámetros: {id} → by-id.
+ * @returns {string}  Ej: "users/users-id.yaml"
+ */
+function resolvePathFile(routePath, pathItem, options = {}) {
+  const layout = options.layout || 'flat';
+  const fileExtension = options.fileExtension || '.yaml';
+  const slugOptions = {
+    convention: options.convention || 'kebab-case',
+    normalize: options.normalize !== false,
+    paramStyle: options.markParams ? 'by' : options.paramStyle || 'plain',
+    prefix: options.prefix || '',
+    maxLength: options.maxLength || 0,
+  };
+
+  const route = stripBasePath(routePath, options.basePath);
+  const segments = routeSegments(route);
+  const flatName = buildPathSlug(route, slugOptions) + fileExtension;
+  if (segments.length === 0) return flatName;
+
+  let folders = [];
+  let fileName = flatName;
+  if (layout === 'by-tag') {
+    const tag = firstTag(pathItem);
+    if (tag) folders = [toFolderName(tag, slugOptions)];
+  } else if (layout === 'by-segment') {
+    folders = [toFolderName(segments[0], slugOptions)];
+  } else if (layout === 'nested') {
+    folders = segments.slice(0, -1).map((segment) => toFolderName(segment, slugOptions));
+    const last = slugifySegments(segments.slice(-1), slugOptions);
+    if (last) {
+      fileName =
+        finalizeFileName(last, Object.assign({}, slugOptions, { source: route })) + fileExtension;
+    } else {
+      folders = [];
+    }
+  }
+
+  return folders
+    .filter((folder) => folder.length > 0)
+    .concat(fileName)
+    .join('/');
+}
+
+/**
+ * Indica si la ruta tiene segmentos con parámetro ("/users/{id}").
+ */
+function isTemplatedPath(route) {
+  return /\{[^}]*\}/.test(route);
+}
+
+module.exports = {
+  PATH_LAYOUTS,
+  resolvePathFile,
+  isTemplatedPath,
+};
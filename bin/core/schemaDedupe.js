@@ -0,0 +1,199 @@
+// bin/core/schemaDedupe.js
+
+const {
+  NAME_MAP_KEYS,
+  isDataKey,
+  isPlainObject,
+  parseFragment,
+  formatFragment,
+} = require('./jsonPointer');
+
+/**
+ * Deduplicación estructural de components.schemas.
+ *
+ * Dos schemas son equivalentes si su forma canónica coincide:
+ *   - claves ordenadas en todos los niveles
+ *   - listas `required` ordenadas (el orden no tiene semántica)
+ *   - opcionalmente, sin `description`
+ *
+ * findDuplicateSchemas solo detecta (para reportar); mergeDuplicateSchemas
+ * elimina los duplicados y reescribe todos los $ref (y discriminator.mapping)
+ * hacia el schema que se conserva.
+ */
+
+function sortKeysDeep(value) {
+  if (Array.isArray(value)) return value.map(sortKeysDeep);
+  if (!isPlainObject(value)) return value;
+  const sorted = {};
+  Object.keys(value)
+    .sort()
+    .forEach((key) => {
+      sorted[key] = sortKeysDeep(value[key]);
+    });
+  return sorted;
+}
+
+/**
+ * Forma canónica de un schema.
+ *
+ * @param {any} schema
+ * @param {object} [options]
+ * @param {boolean} [options.ignoreDescriptions]  No distingue por `description`.
+ * @returns {any}
+ */
+function canonicalizeSchema(schema, options = {}, isNameMap = false) {
+  if (Array.isArray(schema)) return schema.map((item) => canonicalizeSchema(item, options));
+  if (!isPlainObject(schema)) return schema;
+
+  const result = {};
+  Object.keys(schema)
+    .sort()
+    .forEach((key) => {
+      const value = schema[key];
+      if (isNameMap) {
+        result[key] = canonicalizeSchema(value, options);
+        return;
+      }
+      if (key === 'description' && options.ignoreDescriptions) return;
+      if (isDataKey(key, value)) {
+        result[key] = sortKeysDeep(value);
+      } else if (key === 'required' && Array.isArray(value)) {
+        result[key] = value.slice().sort();
+      } else {
+        result[key] = canonicalizeSchema(value, options, NAME_MAP_KEYS.includes(key));
+      }
+    });
+  return result;
+}
+
+function canonicalSignature(schema, options) {
+  return JSON.stringify(canonicalizeSchema(schema, options));
+}
+
+/**
+ * Agrupa los schemas equivalentes de components.schemas. En cada grupo se
+ * conserva el primero declarado.
+ *
+ * @param {object} schemas  components.schemas
+ * @param {object} [options]
+ * @param {boolean} [options.ignoreDescriptions]
+ * @returns {Array<{ keep: string, duplicates: string[] }>}
+ */
+function findDuplicateSchemas(schemas, options = {}) {
+  const groups = [];
+  const bySignature = {};
+
+  Object.entries(isPlainObject(schemas) ? schemas : {}).forEach(([name, schema]) => {
+    // Un alias ($ref puro) no es un duplicado: ya apunta a otro schema
+    if (!isPlainObject(schema) || (schema.$ref && Object.keys(schema).length === 1)) return;
+
+    const signature = canonicalSignature(schema, options);
+    if (bySignature[signature]) {
+      bySignature[signature].duplicates.push(name);
+      return;
+    }
+    bySignature[signature] = { keep: name, duplicates: [] };
+    groups.push(bySignature[signature]);
+  });
+
+  return groups.filter((group) => group.duplicates.length > 0);
+}
+
+/**
+ * Reescribe "#/components/schemas/<Duplicado>/..." → "#/components/schemas/<Conservado>/...".
+ */
+function rewriteSchemaRef(ref, replacements) {
+  const segments = parseFragment(ref);
+  if (!segments || segments[0] !== 'components' || segments[1] !== 'schemas') return ref;
+  const replacement = replacements[segments[2]];
+  if (!replacement) return ref;
+  return formatFragment(['components', 'schemas', replacement].concat(segments.slice(3)));
+}
+
+function rewriteRefs(node, replacements, parentKey = null) {
+  if (Array.isArray(node)) {
+    node.forEach((item) => rewriteRefs(item, replacements));
+    return;
+  }
+  if (!isPlainObject(node)) return;
+
+  const isNameMap = NAME_MAP_KEYS.includes(parentKey);
+  Object.keys(node).forEach((key) => {
+    const value = node[key];
+    if (key === '$ref' && typeof value === 'string') {
+      node[key] = rewriteSchemaRef(value, replacements);
+      return;
+    }
+    if (isNameMap) {
+      rewriteRefs(value, replacements);
+      return;
+    }
+    if (key === 'discriminator' && isPlainObject(value) && isPlainObject(value.mapping)) {
+      Object.keys(value.mapping).forEach((mappingKey) => {
+        value.mapping[mappingKey] = rewriteSchemaRef(value.mapping[mappingKey], replacements);
+      });
+    }
+    // Los valores de ejemplo son datos: un "$ref" dentro no es una referencia
+    if (isDataKey(key, value)) return;
+    rewriteRefs(value, replacements, key);
+  });
+}
+
+/**
+ * Fusiona los schemas duplicados: elimina cada duplicado de
+ * components.schemas y reescribe sus $ref en todo el documento.
+ *
+ * Se repite hasta que no quedan duplicados, porque fusionar puede volver
+ * equivalentes a schemas que solo se diferenciaban en a qué duplicado
+ * apuntaban.
+ *
+ * Modifica el documento recibido.
+ *
+ * @param {object} doc
+ * @param {object} [options]
+ * @param {boolean} [options.ignoreDescriptions]
+ * @returns {{ groups: Array<{ keep: string, duplicates: string[] }>, replacements: object }}
+ */
+function mergeDuplicateSchemas(doc, options = {}) {
+  const allReplacements = {};
+  const mergedGroups = {};
+
+  let groups = findDuplicateSchemas(doc.components && doc.components.schemas, options);
+  while (groups.length > 0) {
+    const replacements = {};
+    groups.forEach((group) => {
+      group.duplicates.forEach((name) => {
+        replacements[name] = group.keep;
+        delete doc.components.schemas[name];
+      });
+      mergedGroups[group.keep] = (mergedGroups[group.keep] || []).concat(group.duplicates);
+    });
+
+    // Los que ya apuntaban a un schema que ahora desaparece se redirigen
+    Object.keys(allReplacements).forEach((name) => {
+      if (replacements[allReplacements[name]]) {
+        allReplacements[name] = replacements[allReplacements[name]];
+      }
+    });
+    Object.assign(allReplacements, replacements);
+
+    rewriteRefs(doc, replacements);
+    groups = findDuplicateSchemas(doc.components.schemas, options);
+  }
+
+  // Un schema conservado pudo acabar fusionado en otro en una vuelta posterior
+  const finalGroups = Object.keys(mergedGroups)
+    .filter((keep) => !allReplacements[keep])
+    .map((keep) => ({
+      keep,
+      duplicates: Object.keys(allReplacements).filter((name) => allReplacements[name] === keep),
+    }));
+
+  return { groups: finalGroups, replacements: allReplacements };
+}
+
+module.exports = {
+  canonicalizeSchema,
+  findDuplicateSchemas,
+  mergeDuplicateSchemas,
+};
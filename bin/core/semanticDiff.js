@@ -0,0 +1,170 @@
+// bin/core/semanticDiff.js
+
+const {
+  NAME_MAP_KEYS,
+  isDataKey,
+  isPlainObject,
+  parseFragment,
+  formatFragment,
+} = require('./jsonPointer');
+
+/**
+ * Comparación semántica de documentos OpenAPI.
+ *
+ * Dos documentos se comparan tras expandir sus refs internas ("#/..."): así
+ * da igual que un schema esté inline o extraído a components, o que un
+ * component haya cambiado de nombre; solo cuenta el contenido al que se llega.
+ * El orden de las claves no importa; el de los arrays sí, salvo en las
+ * listas `required` de los schemas (igual que en schemaDedupe).
+ */
+
+// Marca de una ref recursiva ya en expansión: independiente del nombre del destino
+const RECURSIVE_REF = '(recursivo)';
+
+function getAtPointer(doc, segments) {
+  let current = doc;
+  for (const segment of segments) {
+    if (current === null || typeof current !== 'object' || !(segment in current)) return undefined;
+    current = current[segment];
+  }
+  return current;
+}
+
+/**
+ * Crea un expansor de refs internas para un documento.
+ *
+ * Las refs que no se pueden resolver (externas o rotas) se conservan; una ref
+ * recursiva queda como { $ref: "(recursivo)" }. Las expansiones que no tocan
+ * recursión se cachean por ref. Las listas `required` salen ordenadas.
+ *
+ * @param {object} doc
+ * @returns {(value: any) => any}
+ */
+function createRefExpander(doc) {
+  const cache = new Map();
+  let recursionHits = 0;
+
+  const expand = (node, stack, parentKey = null) => {
+    if (Array.isArray(node)) return node.map((item) => expand(item, stack));
+    if (!isPlainObject(node)) return node;
+
+    const isNameMap = NAME_MAP_KEYS.includes(parentKey);
+    const siblings = {};
+    Object.keys(node).forEach((key) => {
+      if (key === '$ref') return;
+      const value = node[key];
+      if (isNameMap) {
+        siblings[key] = expand(value, stack);
+      } else if (isDataKey(key, value)) {
+        siblings[key] = value;
+      } else if (key === 'required' && Array.isArray(value)) {
+        siblings[key] = value.slice().sort();
+      } else {
+        siblings[key] = expand(value, stack, key);
+      }
+    });
+
+    const ref = node.$ref;
+    if (typeof ref !== 'string') return siblings;
+
+    const segments = parseFragment(ref);
+    const target = segments ? getAtPointer(doc, segments) : undefined;
+    if (target === undefined) return Object.assign({ $ref: ref }, siblings);
+
+    let expanded;
+    if (stack.includes(ref)) {
+      recursionHits++;
+      expanded = { $ref: RECURSIVE_REF };
+    } else if (cache.has(ref)) {
+      expanded = cache.get(ref);
+    } else {
+      const hitsBefore = recursionHits;
+      expanded = expand(target, stack.concat(ref));
+      if (recursionHits === hitsBefore) cache.set(ref, expanded);
+    }
+
+    if (Object.keys(siblings).length === 0 || !isPlainObject(expanded)) return expanded;
+    return Object.assign({}, expanded, siblings);
+  };
+
+  return (value) => expand(value, []);
+}
+
+/**
+ * Igualdad profunda sin importar el orden de las claves.
+ */
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return false;
+    return a.every((item, index) => deepEqual(item, b[index]));
+  }
+  if (!isPlainObject(a) || !isPlainObject(b)) return false;
+  const keysA = Object.keys(a);
+  if (keysA.length !== Object.keys(b).length) return false;
+  return keysA.every((key) => key in b && deepEqual(a[key], b[key]));
+}
+
+/**
+ * Diferencias entre dos valores.
+ *
+ * @param {any} before
+ * @param {any} after
+ * @param {object} [options]
+ * @param {string[]} [options.base]             Segmentos de la ubicación de ambos valores.
+ * @param {(change: object) => boolean} [options.isIntentional]
+ *        Los cambios que devuelven true se cuentan aparte, no se listan.
+ * @returns {{ changes: Array<{ type: 'added'|'removed'|'changed', segments: string[],
+ *             pointer: string, before?: any, after?: any }>, intentional: number }}
+ */
+function diffValues(before, after, options = {}) {
+  const result = { changes: [], intentional: 0 };
+  const isIntentional = options.isIntentional || (() => false);
+
+  const record = (type, segments, a, b) => {
+    const change = { type, segments, pointer: formatFragment(segments) || '#' };
+    if (type !== 'added') change.before = a;
+    if (type !== 'removed') change.after = b;
+    if (isIntentional(change)) result.intentional++;
+    else result.changes.push(change);
+  };
+
+  const walk = (a, b, segments) => {
+    if (deepEqual(a, b)) return;
+
+    if (isPlainObject(a) && isPlainObject(b)) {
+      Object.keys(a).forEach((key) => {
+        if (!(key in b)) record('removed', segments.concat(key), a[key]);
+        else walk(a[key], b[key], segments.concat(key));
+      });
+      Object.keys(b).forEach((key) => {
+        if (!(key in a)) record('added', segments.concat(key), undefined, b[key]);
+      });
+      return;
+    }
+
+    if (Array.isArray(a) && Array.isArray(b)) {
+      const length = Math.max(a.length, b.length);
+      for (let index = 0; index < length; index++) {
+        const itemSegments = segments.concat(String(index));
+        if (index >= b.length) record('removed', itemSegments, a[index]);
+        else if (index >= a.length) record('added', itemSegments, undefined, b[index]);
+        else walk(a[index], b[index], itemSegments);
+      }
+      return;
+    }
+
+    if (a === undefined) record('added', segments, undefined, b);
+    else if (b === undefined) record('removed', segments, a);
+    else record('changed', segments, a, b);
+  };
+
+  walk(before, after, options.base || []);
+  return result;
+}
+
+module.exports = {
+  createRefExpander,
+  deepEqual,
+  diffValues,
+};
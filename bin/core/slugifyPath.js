@@ -1,20 +1,252 @@
 // bin/core/slugifyPath.js
 
+const crypto = require('crypto');
+const {
+  toWords,
+  applyNamingConvention,
+  getConventionSeparator,
+} = require('./namingConventions');
+
+/**
+ * Nombres de archivo a partir de rutas OAS3 (advanced.slugifyPaths y
+ * advanced.pathSlug en modularize.yaml).
+ *
+ * Los parámetros se marcan según `paramStyle`:
+ *
+ *   plain       /users/{id} → users-id
+ *   by          /users/{id} → users-by-id
+ *   underscore  /users/{id} → users-id_     (snake_case: users_id_)
+ *
+ * Con `normalize` (slugifyPaths) cada segmento se separa en palabras y se
+ * aplica la convención de naming.paths; sin él se conserva el texto de la
+ * ruta. En ambos casos el resultado es seguro en cualquier sistema de
+ * archivos: sin acentos (café → cafe), solo [A-Za-z0-9._-], sin puntos ni
+ * guiones en los extremos y sin nombres reservados de Windows (con → con_).
+ */
+
+const PARAM_STYLES = ['plain', 'by', 'underscore'];
+
+// Largo mínimo de advanced.pathSlug.maxLength: el hash ocupa 8 caracteres
+const MIN_MAX_LENGTH = 16;
+const HASH_LENGTH = 8;
+
+const WINDOWS_RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])$/i;
+
+function routeSegments(routePath) {
+  return String(routePath)
+    .split('/')
+    .filter((segment) => segment.length > 0);
+}
+
+function decodeText(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (error) {
+    // "%" suelto: se usa el texto tal cual
+    return text;
+  }
+}
+
+/**
+ * Texto ASCII equivalente: sin acentos y con "-" en lugar de cualquier otro
+ * carácter no seguro.
+ */
+function toSafeText(text) {
+  return decodeText(String(text))
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9._-]+/g, '-');
+}
+
+/**
+ * Nombre de archivo o carpeta (sin extensión) válido en cualquier sistema.
+ */
+function makeSafeFileName(name) {
+  let safe = toSafeText(name)
+    .replace(/-{2,}/g, '-')
+    .replace(/^[-.]+|[-.]+$/g, '');
+  if (WINDOWS_RESERVED_NAMES.test(safe)) safe += '_';
+  return safe;
+}
+
+/**
+ * Partes de un segmento: texto fijo o parámetro ("{id}.json" → id, .json).
+ */
+function segmentParts(segment) {
+  const parts = [];
+  let last = 0;
+  segment.replace(/\{([^}]*)\}/g, (match, name, offset) => {
+    if (offset > last) parts.push({ text: segment.slice(last, offset), param: false });
+    parts.push({ text: name, param: true });
+    last = offset + match.length;
+    return match;
+  });
+  if (last < segment.length) parts.push({ text: segment.slice(last), param: false });
+  return parts;
+}
+
+function markParamText(text, paramStyle) {
+  if (paramStyle === 'by') return 'by-' + text;
+  if (paramStyle === 'underscore') return text + '_';
+  return text;
+}
+
+/**
+ * Une los segmentos de una ruta en un nombre (sin prefijo ni extensión).
+ *
+ * @param {string[]} segments
+ * @param {object} [options]
+ * @param {string} [options.convention]  Convención de naming.paths (default "kebab-case").
+ * @param {boolean} [options.normalize]  Aplica la convención (default true).
+ * @param {string} [options.paramStyle]  Uno de PARAM_STYLES (default "plain").
+ * @returns {string}
+ */
+function slugifySegments(segments, options = {}) {
+  const paramStyle = options.paramStyle || 'plain';
+
+  if (options.normalize === false) {
+    return segments
+      .map((segment) =>
+        segmentParts(segment)
+          .map((part) => {
+            const text = toSafeText(part.text);
+            return part.param && text ? markParamText(text, paramStyle) : text;
+          })
+          .join(''),
+      )
+      .join('-');
+  }
+
+  // Palabras de todos los segmentos; el marcador "_" sobrevive a la convención
+  const words = [];
+  segments.forEach((segment) => {
+    segmentParts(segment).forEach((part) => {
+      const partWords = toWords(toSafeText(part.text))
+        .map((word) => word.replace(/^\.+|\.+$/g, ''))
+        .filter((word) => word.length > 0);
+      if (!part.param || partWords.length === 0) {
+        partWords.forEach((text) => words.push({ text, marked: false }));
+        return;
+      }
+      if (paramStyle === 'by') words.push({ text: 'by', marked: false });
+      partWords.forEach((text, index) =>
+        words.push({
+          text,
+          marked: paramStyle === 'underscore' && index === partWords.length - 1,
+        }),
+      );
+    });
+  });
+
+  const convention = options.convention || 'kebab-case';
+  return words
+    .map((word, index) => {
+      const wordConvention = convention === 'camelCase' && index > 0 ? 'PascalCase' : convention;
+      return applyNamingConvention(word.text, wordConvention) + (word.marked ? '_' : '');
+    })
+    .join(getConventionSeparator(convention));
+}
+
+/**
+ * Aplica el prefijo, deja el nombre seguro y, si supera maxLength, lo recorta
+ * y agrega un hash de `source` para que dos nombres largos no coincidan.
+ *
+ * @param {string} name
+ * @param {object} [options]
+ * @param {string} [options.prefix]     advanced.filenamePrefix.
+ * @param {number} [options.maxLength]  0 = sin límite.
+ * @param {string} [options.convention]
+ * @param {boolean} [options.normalize]
+ * @param {string} [options.source]     Texto del que sale el hash (la ruta).
+ * @returns {string}
+ */
+function finalizeFileName(name, options = {}) {
+  let fileName = makeSafeFileName((options.prefix || '') + (name || 'root'));
+  const maxLength = options.maxLength || 0;
+  if (maxLength <= 0 || fileName.length <= maxLength) return fileName;
+
+  const convention = options.convention || 'kebab-case';
+  const separator = options.normalize === false ? '-' : getConventionSeparator(convention);
+  let hash = crypto
+    .createHash('md5')
+    .update(String(options.source || fileName))
+    .digest('hex')
+    .slice(0, HASH_LENGTH);
+  if (options.normalize !== false && convention === 'UPPERCASE') hash = hash.toUpperCase();
+
+  fileName = fileName.slice(0, maxLength - hash.length - separator.length).replace(/[-_.]+$/, '');
+  return fileName + separator + hash;
+}
+
+/**
+ * Quita de la ruta la base indicada ("/v1/users" sin "/v1" → "/users").
+ * Si la ruta no empieza por esa base se devuelve sin cambios.
+ */
+function stripBasePath(routePath, basePath) {
+  const base = routeSegments(basePath || '');
+  const segments = routeSegments(routePath);
+  if (base.length === 0 || base.length > segments.length) return routePath;
+  if (!base.every((segment, index) => segments[index] === segment)) return routePath;
+  return '/' + segments.slice(base.length).join('/');
+}
+
+/**
+ * Segmentos fijos iniciales comunes a todas las rutas ("/v1" en /v1/users y
+ * /v1/orders). Nunca abarca una ruta completa, y con menos de dos rutas no
+ * hay base común.
+ *
+ * @param {string[]} routes
+ * @returns {string}  Ej: "/v1" ("" si no hay)
+ */
+function findCommonBasePath(routes) {
+  if (routes.length < 2) return '';
+  const lists = routes.map(routeSegments);
+  const shortest = Math.min(...lists.map((segments) => segments.length));
+
+  const common = [];
+  for (let index = 0; index < shortest - 1; index++) {
+    const segment = lists[0][index];
+    if (segment.includes('{')) break;
+    if (!lists.every((segments) => segments[index] === segment)) break;
+    common.push(segment);
+  }
+  return common.length > 0 ? '/' + common.join('/') : '';
+}
+
+/**
+ * Nombre de archivo (sin extensión) de una ruta completa.
+ *
+ * @param {string} routePath
+ * @param {object} [options]  Los de slugifySegments y finalizeFileName, más:
+ * @param {string} [options.basePath]  Base que se quita de la ruta (ej: "/v1").
+ * @returns {string}  Ej: "users-by-id"
+ */
+function buildPathSlug(routePath, options = {}) {
+  const segments = routeSegments(stripBasePath(routePath, options.basePath));
+  const name = segments.length > 0 ? slugifySegments(segments, options) : 'root';
+  return finalizeFileName(name, Object.assign({}, options, { source: routePath }));
+}
+
 /**
  * Convierte una ruta OAS3 (ej. '/users/{id}') en un nombre de archivo
- * seguro (ej. 'users-id.yaml').
+ * seguro (ej. 'users-id.yaml'), conservando el texto de la ruta.
  *
  * @param {string} routePath - La ruta OAS3 (key en `paths`).
  * @returns {string} - Nombre de archivo YAML asociado a esa ruta.
  */
 function slugifyPath(routePath) {
-  // Reemplaza barras por guiones
-  let slug = routePath.replace(/\//g, '-');
-  // Elimina { } y guion inicial
-  slug = slug.replace(/[{}]/g, '').replace(/^-/, '');
-  // Para la ruta '/'
-  if (slug === '') return 'root.yaml';
-  return `${slug}.yaml`;
+  return `${buildPathSlug(routePath, { normalize: false })}.yaml`;
 }
 
-module.exports = { slugifyPath };
+module.exports = {
+  PARAM_STYLES,
+  MIN_MAX_LENGTH,
+  slugifyPath,
+  buildPathSlug,
+  slugifySegments,
+  finalizeFileName,
+  makeSafeFileName,
+  stripBasePath,
+  findCommonBasePath,
+  routeSegments,
+};
@@ -0,0 +1,388 @@
+// bin/core/swagger2Compatibility.js
+
+const {
+  NAME_MAP_KEYS,
+  isDataKey,
+  isPlainObject,
+  escapePointerSegment,
+  parseFragment,
+} = require('./jsonPointer');
+
+/**
+ * Análisis de compatibilidad OpenAPI 3.x → Swagger 2.0.
+ *
+ * Es puro: recibe el documento OAS3 ya cargado y devuelve la lista de
+ * construcciones que el downgrade pierde o solo puede aproximar, cada una
+ * con su JSON Pointer. La presentación y el modo estricto los decide la
+ * capa de aplicación.
+ *
+ * Cada hallazgo: { construct, severity, pointer, message }
+ *   - severity "lost"         → la información desaparece del Swagger 2.0
+ *   - severity "approximated" → se conserva con otra forma (x-*, consumes...)
+ */
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Palabras clave de Schema Object sin equivalente en Swagger 2.0
+const LOST_SCHEMA_KEYWORDS = {
+  oneOf: 'Swagger 2.0 no admite oneOf',
+  anyOf: 'Swagger 2.0 no admite anyOf',
+  not: 'Swagger 2.0 no admite not',
+};
+
+function childPointer(pointer, key) {
+  return pointer + '/' + escapePointerSegment(key);
+}
+
+/**
+ * Sigue una cadena de $ref internos. Devuelve el nodo sin cambios si la
+ * referencia es externa, no existe o es circular.
+ */
+function resolveLocalRef(doc, node, seen = new Set()) {
+  if (!isPlainObject(node) || typeof node.$ref !== 'string' || seen.has(node.$ref)) return node;
+  seen.add(node.$ref);
+  const segments = parseFragment(node.$ref);
+  if (!segments) return node;
+
+  let current = doc;
+  for (const segment of segments) {
+    if (!isPlainObject(current) && !Array.isArray(current)) return node;
+    if (!(segment in current)) return node;
+    current = current[segment];
+  }
+  return resolveLocalRef(doc, current, seen);
+}
+
+/**
+ * Nombre de cada components.requestBodies en los parameters globales de
+ * Swagger 2.0, donde conviven con components.parameters: si un body se llama
+ * igual que un parámetro recibe el sufijo "Body" (Item → ItemBody, ItemBody2...).
+ *
+ * @param {object} components
+ * @returns {Object<string, string>}  nombre del requestBody → nombre en parameters
+ */
+function resolveRequestBodyParameterNames(components) {
+  const source = isPlainObject(components) ? components : {};
+  const parameters = isPlainObject(source.parameters) ? source.parameters : {};
+  const requestBodies = isPlainObject(source.requestBodies) ? source.requestBodies : {};
+  const taken = new Set(Object.keys(parameters).concat(Object.keys(requestBodies)));
+
+  const names = {};
+  Object.keys(requestBodies).forEach((name) => {
+    if (!Object.prototype.hasOwnProperty.call(parameters, name)) {
+      names[name] = name;
+      return;
+    }
+    let candidate = name + 'Body';
+    let counter = 2;
+    while (taken.has(candidate)) {
+      candidate = name + 'Body' + counter;
+      counter++;
+    }
+    taken.add(candidate);
+    names[name] = candidate;
+  });
+  return names;
+}
+
+function createFindings() {
+  const findings = [];
+  return {
+    findings,
+    lost: (construct, pointer, message) =>
+      findings.push({ construct, severity: 'lost', pointer, message }),
+    approximated: (construct, pointer, message) =>
+      findings.push({ construct, severity: 'approximated', pointer, message }),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// RECORRIDO GENÉRICO (schemas, callbacks, links)
+// ---------------------------------------------------------------------------
+
+function walkGeneric(node, pointer, parentKey, record) {
+  if (Array.isArray(node)) {
+    node.forEach((item, index) => walkGeneric(item, childPointer(pointer, index), null, record));
+    return;
+  }
+  if (!isPlainObject(node)) return;
+
+  const isNameMap = NAME_MAP_KEYS.includes(parentKey);
+
+  if (!isNameMap) {
+    Object.keys(LOST_SCHEMA_KEYWORDS).forEach((keyword) => {
+      if (node[keyword] !== undefined) {
+        record.lost(keyword, childPointer(pointer, keyword), LOST_SCHEMA_KEYWORDS[keyword]);
+      }
+    });
+    if (node.nullable === true) {
+      record.approximated(
+        'nullable',
+        childPointer(pointer, 'nullable'),
+        'nullable no existe en Swagger 2.0 (se aproxima con x-nullable)',
+      );
+    }
+    if (node.writeOnly === true) {
+      record.lost('writeOnly', childPointer(pointer, 'writeOnly'), 'Swagger 2.0 no admite writeOnly');
+    }
+    if (Array.isArray(node.type)) {
+      record.approximated(
+        'typeArray',
+        childPointer(pointer, 'type'),
+        'Swagger 2.0 solo admite un type por schema',
+      );
+    }
+    ['callbacks', 'links'].forEach((key) => {
+      if (isPlainObject(node[key]) && Object.keys(node[key]).length > 0) {
+        record.lost(key, childPointer(pointer, key), 'Swagger 2.0 no admite ' + key);
+      }
+    });
+  }
+
+  Object.keys(node).forEach((key) => {
+    if (!isNameMap && (isDataKey(key, node[key]) || key.startsWith('x-'))) return;
+    walkGeneric(node[key], childPointer(pointer, key), isNameMap ? null : key, record);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// CHEQUEOS ESTRUCTURALES
+// ---------------------------------------------------------------------------
+
+function checkServers(servers, pointer, record, isRoot) {
+  if (!Array.isArray(servers) || servers.length === 0) return;
+
+  if (!isRoot) {
+    record.lost('servers', pointer, 'Swagger 2.0 no admite servers por path u operación');
+    return;
+  }
+  servers.slice(1).forEach((server, index) => {
+    record.lost(
+      'servers',
+      childPointer(pointer, index + 1),
+      'Swagger 2.0 solo admite un host/basePath: se conserva un único server',
+    );
+  });
+  if (isPlainObject(servers[0]) && isPlainObject(servers[0].variables)) {
+    record.approximated(
+      'serverVariables',
+      childPointer(childPointer(pointer, 0), 'variables'),
+      'Las variables de server se sustituyen por su valor default',
+    );
+  }
+}
+
+function checkParameter(parameter, pointer, record) {
+  if (!isPlainObject(parameter) || parameter.$ref) return;
+  if (parameter.in === 'cookie') {
+    record.lost('cookieParameter', pointer, 'Swagger 2.0 no admite parámetros in: cookie');
+  }
+  if (parameter.content !== undefined) {
+    record.approximated(
+      'parameterContent',
+      childPointer(pointer, 'content'),
+      'Un parámetro con content se aproxima con el schema de un único media type',
+    );
+  }
+}
+
+/**
+ * Un $ref a un parámetro in: cookie se elimina junto con su destino.
+ */
+function checkCookieParameterRefs(doc, parameters, pointer, record) {
+  (Array.isArray(parameters) ? parameters : []).forEach((parameter, index) => {
+    if (!isPlainObject(parameter) || typeof parameter.$ref !== 'string') return;
+    const resolved = resolveLocalRef(doc, parameter);
+    if (!isPlainObject(resolved) || resolved.in !== 'cookie') return;
+    record.lost(
+      'cookieParameterRef',
+      childPointer(pointer, index),
+      'El $ref apunta a un parámetro in: cookie (' + parameter.$ref + '): se elimina',
+    );
+  });
+}
+
+/**
+ * components.parameters y components.requestBodies comparten los parameters
+ * globales de Swagger 2.0: un body con el nombre de un parámetro se renombra.
+ */
+function checkParameterNameClashes(components, record) {
+  const names = resolveRequestBodyParameterNames(components);
+  Object.entries(names).forEach(([name, parameterName]) => {
+    if (parameterName === name) return;
+    record.approximated(
+      'parameterNameClash',
+      childPointer('#/components/requestBodies', name),
+      'Ya existe el parámetro "' + name + '": el body se renombra a "' + parameterName +
+        '" en parameters y se reescriben sus $ref',
+    );
+  });
+}
+
+function schemaSignature(mediaType) {
+  return JSON.stringify((mediaType && mediaType.schema) || null);
+}
+
+/**
+ * Varios media types en un content: Swagger 2.0 comparte un único schema
+ * (consumes/produces). Si los schemas difieren se pierde información.
+ */
+function checkContent(content, pointer, record, construct) {
+  if (!isPlainObject(content)) return;
+  const mediaTypes = Object.keys(content);
+
+  if (mediaTypes.length > 1) {
+    const distinct = new Set(mediaTypes.map((mediaType) => schemaSignature(content[mediaType])));
+    if (distinct.size > 1) {
+      record.lost(
+        construct,
+        pointer,
+        'Media types con schemas distintos (' + mediaTypes.join(', ') + '): se conserva solo uno',
+      );
+    } else {
+      record.approximated(
+        construct,
+        pointer,
+        'Varios media types (' + mediaTypes.join(', ') + ') se aproximan con consumes/produces',
+      );
+    }
+  }
+
+  mediaTypes.forEach((mediaType) => {
+    const examples = content[mediaType] && content[mediaType].examples;
+    if (isPlainObject(examples) && Object.keys(examples).length > 1) {
+      record.approximated(
+        'mediaTypeExamples',
+        childPointer(childPointer(pointer, mediaType), 'examples'),
+        'Swagger 2.0 admite un único ejemplo por media type',
+      );
+    }
+  });
+}
+
+function checkRequestBody(requestBody, pointer, record) {
+  if (!isPlainObject(requestBody) || requestBody.$ref) return;
+  checkContent(requestBody.content, childPointer(pointer, 'content'), record, 'requestBodyMediaTypes');
+}
+
+function checkResponse(response, pointer, record) {
+  if (!isPlainObject(response) || response.$ref) return;
+  checkContent(response.content, childPointer(pointer, 'content'), record, 'responseMediaTypes');
+}
+
+function checkPathItem(doc, pathItem, pointer, record) {
+  if (!isPlainObject(pathItem)) return;
+
+  checkServers(pathItem.servers, childPointer(pointer, 'servers'), record, false);
+  (Array.isArray(pathItem.parameters) ? pathItem.parameters : []).forEach((parameter, index) =>
+    checkParameter(parameter, childPointer(childPointer(pointer, 'parameters'), index), record),
+  );
+  checkCookieParameterRefs(doc, pathItem.parameters, childPointer(pointer, 'parameters'), record);
+
+  HTTP_METHODS.forEach((method) => {
+    const operation = pathItem[method];
+    if (!isPlainObject(operation)) return;
+    const operationPointer = childPointer(pointer, method);
+
+    checkServers(operation.servers, childPointer(operationPointer, 'servers'), record, false);
+    (Array.isArray(operation.parameters) ? operation.parameters : []).forEach((parameter, index) =>
+      checkParameter(
+        parameter,
+        childPointer(childPointer(operationPointer, 'parameters'), index),
+        record,
+      ),
+    );
+    checkCookieParameterRefs(
+      doc,
+      operation.parameters,
+      childPointer(operationPointer, 'parameters'),
+      record,
+    );
+    checkRequestBody(operation.requestBody, childPointer(operationPointer, 'requestBody'), record);
+    Object.entries(isPlainObject(operation.responses) ? operation.responses : {}).forEach(
+      ([status, response]) =>
+        checkResponse(
+          response,
+          childPointer(childPointer(operationPointer, 'responses'), status),
+          record,
+        ),
+    );
+  });
+}
+
+function checkSecuritySchemes(schemes, pointer, record) {
+  Object.entries(isPlainObject(schemes) ? schemes : {}).forEach(([name, scheme]) => {
+    if (!isPlainObject(scheme) || scheme.$ref) return;
+    const schemePointer = childPointer(pointer, name);
+
+    if (scheme.type === 'http' && String(scheme.scheme).toLowerCase() !== 'basic') {
+      record.approximated(
+        'httpSecurityScheme',
+        schemePointer,
+        'Swagger 2.0 solo admite http basic: "' + scheme.scheme + '" se aproxima con apiKey en header',
+      );
+    }
+    if (scheme.type === 'openIdConnect') {
+      record.lost('openIdConnect', schemePointer, 'Swagger 2.0 no admite openIdConnect');
+    }
+    if (scheme.type === 'oauth2' && isPlainObject(scheme.flows) && Object.keys(scheme.flows).length > 1) {
+      record.approximated(
+        'oauth2Flows',
+        childPointer(schemePointer, 'flows'),
+        'Swagger 2.0 admite un único flow oauth2 por esquema: se conserva el primero',
+      );
+    }
+  });
+}
+
+// ---------------------------------------------------------------------------
+// API PÚBLICA
+// ---------------------------------------------------------------------------
+
+/**
+ * Lista las construcciones OAS3 que se pierden o aproximan al convertir a Swagger 2.0.
+ *
+ * @param {object} doc  Documento OpenAPI 3.x (bundle).
+ * @returns {Array<{ construct: string, severity: string, pointer: string, message: string }>}
+ */
+function analyzeSwagger2Compatibility(doc) {
+  const record = createFindings();
+  if (!isPlainObject(doc)) return record.findings;
+
+  checkServers(doc.servers, '#/servers', record, true);
+
+  Object.entries(isPlainObject(doc.paths) ? doc.paths : {}).forEach(([route, pathItem]) =>
+    checkPathItem(doc, pathItem, childPointer('#/paths', route), record),
+  );
+
+  if (isPlainObject(doc.webhooks) && Object.keys(doc.webhooks).length > 0) {
+    record.lost('webhooks', '#/webhooks', 'Swagger 2.0 no admite webhooks');
+  }
+
+  const components = isPlainObject(doc.components) ? doc.components : {};
+  Object.entries(isPlainObject(components.parameters) ? components.parameters : {}).forEach(
+    ([name, parameter]) =>
+      checkParameter(parameter, childPointer('#/components/parameters', name), record),
+  );
+  Object.entries(isPlainObject(components.requestBodies) ? components.requestBodies : {}).forEach(
+    ([name, requestBody]) =>
+      checkRequestBody(requestBody, childPointer('#/components/requestBodies', name), record),
+  );
+  Object.entries(isPlainObject(components.responses) ? components.responses : {}).forEach(
+    ([name, response]) =>
+      checkResponse(response, childPointer('#/components/responses', name), record),
+  );
+  checkParameterNameClashes(components, record);
+  checkSecuritySchemes(components.securitySchemes, '#/components/securitySchemes', record);
+
+  // Schemas, callbacks y links (incluidas las secciones components.callbacks/links)
+  walkGeneric(doc.paths, '#/paths', null, record);
+  walkGeneric(components, '#/components', null, record);
+
+  return record.findings;
+}
+
+module.exports = {
+  analyzeSwagger2Compatibility,
+  resolveRequestBodyParameterNames,
+};
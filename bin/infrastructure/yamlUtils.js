@@ -36,7 +36,61 @@ function writeYamlFile(filePath, data) {
   fs.writeFileSync(filePath, yamlText, 'utf8');
 }
 
+/**
+ * Indica si una ruta corresponde a un documento JSON (por extensión).
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function isJsonFile(filePath) {
+  return path.extname(filePath).toLowerCase() === '.json';
+}
+
+/**
+ * Lee un documento OpenAPI en YAML o JSON según su extensión.
+ * @param {string} filePath
+ * @returns {any}
+ */
+function readSpecFile(filePath) {
+  if (!isJsonFile(filePath)) return readYamlFile(filePath);
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Texto exacto que writeSpecFile escribiría para `data` en `filePath`
+ * (YAML o JSON según la extensión, o según `syntax` si se indica).
+ * @param {string} filePath
+ * @param {any} data
+ * @param {'yaml'|'json'} [syntax]
+ * @returns {string}
+ */
+function stringifySpec(filePath, data, syntax) {
+  const asJson = syntax ? syntax === 'json' : isJsonFile(filePath);
+  if (asJson) return JSON.stringify(data, null, 2) + '\n';
+  return yaml.dump(data, {
+    indent: 2,
+    noRefs: true,
+    noCompatMode: true,
+    lineWidth: -1,
+  });
+}
+
+/**
+ * Escribe un documento OpenAPI en YAML o JSON según la extensión destino
+ * (o según `syntax`, si se indica). Crea los directorios si no existen.
+ * @param {string} filePath
+ * @param {any} data
+ * @param {'yaml'|'json'} [syntax]
+ */
+function writeSpecFile(filePath, data, syntax) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, stringifySpec(filePath, data, syntax), 'utf8');
+}
+
 module.exports = {
   readYamlFile,
   writeYamlFile,
+  isJsonFile,
+  readSpecFile,
+  stringifySpec,
+  writeSpecFile,
 };
@@ -8,7 +8,12 @@ const { loadAllConfigs } = require("../infrastructure/configLoader");
 
 const { modularize, MAIN_FILE } = require("../application/modularize");
 const { bundleWithRedocly } = require("../application/bundle");
+const { joinToMonolith } = require("../application/join");
 const { generateMarkdownDocs } = require("../application/docs");
+const { downgradeToSwagger2 } = require("../application/downgradeSwagger2");
+const { upgradeSwagger2 } = require("../application/upgradeSwagger2");
+const { normalize } = require("../application/normalize");
+const { lintWithRules } = require("../application/lint");
 const { showMenu } = require("./menu");
 
 // ---------------------------------------------------------------
@@ -18,9 +23,11 @@ const configs = loadAllConfigs();
 
 const modularizeConfig = configs.modularize || {};
 const bundleConfig = configs.bundle || {};
+const swagger2Config = configs.swagger2 || {};
 
 const modularizePaths = modularizeConfig.paths || {};
 const bundlePaths = bundleConfig.paths || {};
+const swagger2Paths = swagger2Config.paths || {};
 
 // ⚠️ IMPORTANTE: los "ej: ..." solo usan valores reales de config.
 // Si no hay config, NO se inventa una ruta de ejemplo.
@@ -44,16 +51,35 @@ const docsOutputExampleSuffix = modularizePaths.docsOutput
   ? ` (ej: ${modularizePaths.docsOutput})`
   : "";
 
+const swagger2InputExample = swagger2Paths.input || modularizePaths.bundleOutput;
+const swagger2InputExampleSuffix = swagger2InputExample
+  ? ` (ej: ${swagger2InputExample})`
+  : "";
+
+const swagger2OutputExampleSuffix = swagger2Paths.output
+  ? ` (ej: ${swagger2Paths.output})`
+  : "";
+
 // ---------------------------------------------------------------
 // Configuración del CLI
 // ---------------------------------------------------------------
 program
   .name("oas3-modularize")
   .description(
-    "Utilidades para OAS3: modularizar, validar, generar bundle y producir documentación Markdown."
+    "Utilidades para OAS3: modularizar, unir, validar, generar bundle, producir documentación Markdown y convertir entre Swagger 2.0 y OAS3."
   )
   .version("1.0.3");
 
+/**
+ * --yes / --force confirman; --no-input rechaza; sin flags se pregunta
+ * (modularize falla de inmediato si stdin no es una terminal).
+ */
+function resolveConfirmReplace(options) {
+  if (options.yes || options.force) return true;
+  if (options.input === false) return false;
+  return undefined;
+}
+
 // ---------------------------------------------------------------
 // Subcomando: modularizar
 // ---------------------------------------------------------------
@@ -63,13 +89,30 @@ program
     "--build <file>",
     `Ruta al archivo OpenAPI YAML de entrada${modularizeInputExampleSuffix}`
   )
+  .option("--upgrade", "Acepta Swagger 2.0: lo convierte a OAS3 en memoria antes de modularizar")
+  .option("--merge", "Escribe sobre el src/ existente solo los archivos que cambian (sin limpiar)")
+  .option("--delete-orphans", "Con --merge: elimina los archivos que ya no corresponden a ningún path o component")
+  .option("--overwrite-conflicts", "Con --merge: sobrescribe también los archivos editados a mano")
+  .option("-y, --yes", "Confirma sin preguntar el reemplazo de la carpeta de salida existente")
+  .option("--force", "Igual que --yes: reemplaza la carpeta de salida sin preguntar")
+  .option("--no-input", "Nunca pregunta: si hace falta confirmar algo, falla (CI)")
+  .option("--dry-run", "Calcula la modularización y muestra el plan (árbol y cambios) sin tocar el disco")
+  .option("--plan <file>", "Guarda el plan en un archivo JSON o YAML (implica --dry-run)")
   .description(
     "Descompone un archivo OAS3 monolítico en una estructura modular (src/) y ajusta referencias."
   )
   .action(async (options) => {
     try {
       console.log(chalk.blue("\n🚀 Ejecutando comando: modularize\n"));
-      await modularize(options.build);
+      await modularize(options.build, {
+        upgrade: options.upgrade,
+        merge: options.merge,
+        deleteOrphans: options.deleteOrphans,
+        onConflict: options.overwriteConflicts ? "overwrite" : undefined,
+        confirmReplace: resolveConfirmReplace(options),
+        dryRun: options.dryRun === true || Boolean(options.plan),
+        planOutput: options.plan,
+      });
       console.log(chalk.green("\n✅ Comando modularize completado.\n"));
     } catch (err) {
       console.error(chalk.red("\n✖ Error ejecutando modularize:"), err);
@@ -128,6 +171,40 @@ program
     }
   });
 
+// ---------------------------------------------------------------
+// Subcomando: join
+// ---------------------------------------------------------------
+program
+  .command("join")
+  .option(
+    "-i, --input <file>",
+    `Entrypoint del árbol modular${bundleInputExampleSuffix}`
+  )
+  .requiredOption(
+    "-o, --output <file>",
+    "Archivo OpenAPI monolítico de salida (YAML o JSON según la extensión)"
+  )
+  .description(
+    "Une un árbol modular en un único contrato con refs internas y los nombres originales (sin Redocly)."
+  )
+  .action(async (options) => {
+    try {
+      console.log(chalk.blue("\n🧩 Ejecutando comando: join\n"));
+
+      // INPUT:
+      // 1) prioridad: --input
+      // 2) si no: entrypoint de modularize (MAIN_FILE)
+      const input = options.input || MAIN_FILE;
+
+      await joinToMonolith(input, options.output);
+
+      console.log(chalk.green("\n✅ Comando join completado.\n"));
+    } catch (err) {
+      console.error(chalk.red("\n✖ Error ejecutando join:"), err);
+      process.exit(1);
+    }
+  });
+
 // ---------------------------------------------------------------
 // Subcomando: docs
 // ---------------------------------------------------------------
@@ -177,6 +254,174 @@ program
     }
   });
 
+// ---------------------------------------------------------------
+// Subcomando: swagger2
+// ---------------------------------------------------------------
+program
+  .command("swagger2")
+  .option(
+    "-i, --input <file>",
+    `Bundle OpenAPI 3 de entrada (YAML o JSON)${swagger2InputExampleSuffix}`
+  )
+  .option(
+    "-o, --output <file>",
+    `Archivo Swagger 2.0 de salida${swagger2OutputExampleSuffix}`
+  )
+  .option(
+    "--syntax <syntax>",
+    "Sintaxis de salida: yaml | json (default: según la extensión de --output)"
+  )
+  .option("--strict", "Falla (exit 1) si alguna construcción se pierde o se aproxima")
+  .option("--report <file>", "Archivo JSON del reporte de compatibilidad (default: config)")
+  .description("Convierte un bundle OpenAPI 3 a Swagger 2.0 (downgrade).")
+  .action(async (options) => {
+    try {
+      console.log(chalk.blue("\n⬇️  Ejecutando comando: swagger2\n"));
+
+      // INPUT / OUTPUT:
+      // la cadena de resolución (--input → config/swagger2.yaml paths.input →
+      // config/modularize.yaml paths.bundleOutput) vive en downgradeToSwagger2.
+      await downgradeToSwagger2(options.input, options.output, {
+        syntax: options.syntax,
+        strict: options.strict,
+        reportPath: options.report,
+      });
+
+      console.log(chalk.green("\n✅ Comando swagger2 completado.\n"));
+    } catch (err) {
+      console.error(chalk.red("\n✖ Error ejecutando swagger2:"), err);
+      process.exit(1);
+    }
+  });
+
+// ---------------------------------------------------------------
+// Subcomando: upgrade
+// ---------------------------------------------------------------
+program
+  .command("upgrade")
+  .requiredOption("-i, --input <file>", "Documento Swagger 2.0 de entrada (YAML o JSON)")
+  .option(
+    "-o, --output <file>",
+    "Archivo OpenAPI 3 de salida (default: <entrada>.oas3.<ext>)"
+  )
+  .option(
+    "--syntax <syntax>",
+    "Sintaxis de salida: yaml | json (default: según la extensión de --output)"
+  )
+  .option("--report <file>", "Archivo JSON con las decisiones de conversión")
+  .description("Convierte un documento Swagger 2.0 a OpenAPI 3.0 (upgrade).")
+  .action(async (options) => {
+    try {
+      console.log(chalk.blue("\n⬆️  Ejecutando comando: upgrade\n"));
+
+      await upgradeSwagger2(options.input, options.output, {
+        syntax: options.syntax,
+        reportPath: options.report,
+      });
+
+      console.log(chalk.green("\n✅ Comando upgrade completado.\n"));
+    } catch (err) {
+      console.error(chalk.red("\n✖ Error ejecutando upgrade:"), err);
+      process.exit(1);
+    }
+  });
+
+// ---------------------------------------------------------------
+// Subcomando: normalize
+// ---------------------------------------------------------------
+program
+  .command("normalize")
+  .option(
+    "-i, --input <path>",
+    `Archivo OpenAPI monolítico, entrypoint modular o carpeta modular${modularizeInputExampleSuffix}`
+  )
+  .option(
+    "-o, --output <file>",
+    "Archivo de salida (solo monolito; por defecto sobrescribe la entrada)"
+  )
+  .option("--mode <mode>", "Modo de ejecución: dry-run | apply (default: config)")
+  .option("--dry-run", "Atajo de --mode dry-run: solo reporta, no escribe")
+  .option("--report <level>", "Nivel de reporte: summary | detailed (default: config)")
+  .description(
+    "Normaliza un contrato OAS3 (orden, nombres, textos, enums, limpieza) según config/normalize.yaml."
+  )
+  .action(async (options) => {
+    try {
+      console.log(chalk.blue("\n🧹 Ejecutando comando: normalize\n"));
+
+      // INPUT:
+      // 1) prioridad: --input
+      // 2) si no: config/modularize.yaml → paths.input
+      const input = options.input || modularizePaths.input;
+      if (!input) {
+        throw new Error(
+          "No se pudo determinar el archivo de entrada para normalize. " +
+            "Pasa --input explícitamente o define config/modularize.yaml (paths.input)."
+        );
+      }
+
+      await normalize(input, {
+        mode: options.dryRun ? "dry-run" : options.mode,
+        reportLevel: options.report,
+        output: options.output,
+      });
+
+      console.log(chalk.green("\n✅ Comando normalize completado.\n"));
+    } catch (err) {
+      console.error(chalk.red("\n✖ Error ejecutando normalize:"), err);
+      process.exit(1);
+    }
+  });
+
+// ---------------------------------------------------------------
+// Subcomando: lint
+// ---------------------------------------------------------------
+program
+  .command("lint")
+  .option(
+    "-i, --input <file>",
+    `Archivo OpenAPI (monolítico o bundle) a validar${docsInputExampleSuffix}`
+  )
+  .option("--format <format>", "Formato de salida: pretty | json | compact (default: config)")
+  .option("--max-issues <n>", "Máximo de issues a mostrar (default: config)", (value) =>
+    parseInt(value, 10)
+  )
+  .option("--show-passed", "Muestra también las reglas que pasan")
+  .description(
+    "Valida un contrato OAS3 con las reglas propias de config/linter.yaml (exit code 1 si hay errores)."
+  )
+  .action(async (options) => {
+    const quiet = options.format === "json";
+    try {
+      if (!quiet) console.log(chalk.blue("\n🔎 Ejecutando comando: lint\n"));
+
+      // INPUT:
+      // 1) prioridad: --input
+      // 2) si no: config/bundle.yaml → paths.bundleOutput
+      const input = options.input || bundlePaths.bundleOutput;
+      if (!input) {
+        throw new Error(
+          "No se pudo determinar el archivo de entrada para lint. " +
+            "Pasa --input explícitamente o define config/bundle.yaml (paths.bundleOutput)."
+        );
+      }
+
+      const result = await lintWithRules(input, {
+        format: options.format,
+        maxIssues: options.maxIssues,
+        showPassed: options.showPassed,
+      });
+
+      if (result.errorCount > 0) {
+        process.exit(1);
+      }
+      if (!quiet) console.log(chalk.green("\n✅ Comando lint completado.\n"));
+    } catch (err) {
+      console.error(chalk.red("\n✖ Error ejecutando lint:"), err);
+      process.exit(1);
+    }
+  });
+
 // ---------------------------------------------------------------
 // Ejecución CLI
 // ---------------------------------------------------------------
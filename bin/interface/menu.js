@@ -12,6 +12,7 @@ const { loadAllConfigs } = require("../infrastructure/configLoader");
 const { modularize, MAIN_FILE } = require("../application/modularize");
 const { bundleWithRedocly } = require("../application/bundle");
 const { generateMarkdownDocs } = require("../application/docs");
+const { normalize } = require("../application/normalize");
 const {
     downgradeToSwagger2,
     buildDefaultSwagger2Output,
@@ -103,6 +104,35 @@ async function actionModularize() {
     await modularize(response.inputPath);
 }
 
+async function actionNormalize() {
+    const inputResponse = await prompts({
+        type: 'text',
+        name: 'inputPath',
+        message: 'Archivo OAS3.x o carpeta modular a normalizar',
+        initial: C.modularizeInput || './api/openapi.yaml',
+        validate: (value) => value.trim() !== '' ? true : 'La ruta no puede estar vacía',
+    }, promptsConfig);
+
+    if (!inputResponse.inputPath) {
+        throw new Error('Operación cancelada por el usuario');
+    }
+
+    const modeResponse = await prompts({
+        type: 'select',
+        name: 'mode',
+        message: 'Modo de ejecución',
+        choices: [
+            { title: 'Según config/normalize.yaml', value: null },
+            { title: 'dry-run (solo reportar)', value: 'dry-run' },
+            { title: 'apply (escribir cambios)', value: 'apply' },
+        ],
+        initial: 0,
+    }, promptsConfig);
+
+    await normalize(inputResponse.inputPath, { mode: modeResponse.mode || undefined });
+    printResult('Normalización finalizada', 'success');
+}
+
 async function actionBundle() {
     const inputResponse = await prompts({
         type: 'text',
@@ -225,8 +255,16 @@ const MENU_ACTIONS = [
         description: 'Convierte OAS3.x a Swagger 2.0 (downgrade)',
         action: actionExportSwagger2,
     },
+    {
+        id: 5,
+        label: 'Normalizar OAS3.x',
+        description: 'Aplica orden, nombres y limpieza según config/normalize.yaml',
+        action: actionNormalize,
+    },
 ];
 
+const EXIT_ID = MENU_ACTIONS.length + 1;
+
 /**
  * Muestra el menú principal y ejecuta acciones
  */
@@ -246,7 +284,7 @@ async function showMenu() {
             styles.help(`     ${action.description}`)
         );
     });
-    console.log(chalk.red(`  5) Salir`));
+    console.log(chalk.red(`  ${EXIT_ID}) Salir`));
     console.log(styles.help(`     Cierra la aplicación\n`));
 
     // Solicitar número de opción
@@ -256,14 +294,14 @@ async function showMenu() {
         message: 'Ingresa el número de la acción',
         initial: 1,
         validate: (value) => {
-            if (isNaN(value) || value < 1 || value > 5) {
-                return 'Ingresa un número entre 1 y 5';
+            if (isNaN(value) || value < 1 || value > EXIT_ID) {
+                return `Ingresa un número entre 1 y ${EXIT_ID}`;
             }
             return true;
         },
     }, promptsConfig);
 
-    if (response.action === 5 || !response.action) {
+    if (response.action === EXIT_ID || !response.action) {
         console.log('\n' + styles.header('👋 ¡Hasta luego!'));
         console.log(styles.divider() + '\n');
         process.exit(0);
@@ -0,0 +1,56 @@
+// test/inlineExtraction.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { extractInlineParameters } = require('../bin/core/inlineExtraction');
+
+function traceHeader(fields) {
+  return Object.assign({ name: 'X-Trace', in: 'header', schema: { type: 'string' } }, fields);
+}
+
+function usersDocument(listTrace, createTrace) {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Users', version: '1.0.0' },
+    paths: {
+      '/users': {
+        get: { operationId: 'listUsers', parameters: [listTrace], responses: {} },
+        post: { operationId: 'createUser', parameters: [createTrace], responses: {} },
+      },
+    },
+  };
+}
+
+test('no se deduplican parámetros con distinto required', () => {
+  const doc = usersDocument(traceHeader({ required: true }), traceHeader({ required: false }));
+  const result = extractInlineParameters(doc);
+  const operations = doc.paths['/users'];
+
+  assert.strictEqual(Object.keys(result.extracted).length, 2);
+  assert.strictEqual(result.reused, 0);
+  assert.notDeepStrictEqual(operations.get.parameters[0], operations.post.parameters[0]);
+
+  const createRef = operations.post.parameters[0].$ref.split('/').pop();
+  assert.strictEqual(doc.components.parameters[createRef].required, false);
+});
+
+test('style, explode, deprecated y allowEmptyValue también distinguen parámetros', () => {
+  [{ style: 'simple' }, { explode: true }, { deprecated: true }, { allowEmptyValue: true }].forEach(
+    (fields) => {
+      const doc = usersDocument(traceHeader({}), traceHeader(fields));
+      assert.strictEqual(Object.keys(extractInlineParameters(doc).extracted).length, 2);
+    },
+  );
+});
+
+test('description y ejemplos no impiden deduplicar', () => {
+  const doc = usersDocument(
+    traceHeader({ description: 'Traza' }),
+    traceHeader({ description: 'Id de traza', example: 'abc', examples: { a: { value: 'a' } } }),
+  );
+  const result = extractInlineParameters(doc);
+
+  assert.strictEqual(Object.keys(result.extracted).length, 1);
+  assert.strictEqual(result.reused, 1);
+});
@@ -0,0 +1,79 @@
+// test/modularOutput.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createModularOutput, MANIFEST_FILE_NAME } = require('../bin/application/modularOutput');
+
+function withOutputDir(run) {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oas3-modular-output-'));
+  try {
+    run(outputDir);
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+}
+
+function writeTree(outputDir, options, files) {
+  const output = createModularOutput(outputDir, options);
+  Object.entries(files).forEach(([relative, data]) => {
+    output.write(path.join(outputDir, relative), data);
+  });
+  return output.finish();
+}
+
+test('merge sin manifiesto reporta los archivos existentes como sin seguimiento', () => {
+  withOutputDir((outputDir) => {
+    fs.mkdirSync(path.join(outputDir, 'paths'));
+    fs.writeFileSync(path.join(outputDir, 'paths', 'users.yaml'), 'get: {}\n');
+    fs.writeFileSync(path.join(outputDir, 'paths', 'legacy.yaml'), 'get: {}\n');
+
+    const report = writeTree(
+      outputDir,
+      { mode: 'merge', deleteOrphans: true },
+      { 'paths/users.yaml': { get: { summary: 'Usuarios' } } },
+    );
+
+    assert.deepStrictEqual(report.conflicts, []);
+    assert.deepStrictEqual(report.orphans, []);
+    assert.deepStrictEqual(report.removed, []);
+    assert.deepStrictEqual(report.untracked, [
+      { file: 'paths/users.yaml', resolution: 'keep' },
+      { file: 'paths/legacy.yaml', resolution: 'keep' },
+    ]);
+    // Sin seguimiento: ni se sobrescribe ni se elimina
+    assert.strictEqual(fs.readFileSync(path.join(outputDir, 'paths', 'users.yaml'), 'utf8'), 'get: {}\n');
+    assert.ok(fs.existsSync(path.join(outputDir, 'paths', 'legacy.yaml')));
+  });
+});
+
+test('merge con manifiesto separa conflictos, huérfanos y sin seguimiento', () => {
+  withOutputDir((outputDir) => {
+    writeTree(
+      outputDir,
+      { mode: 'clean' },
+      {
+        'paths/users.yaml': { get: { summary: 'Usuarios' } },
+        'paths/orders.yaml': { get: { summary: 'Pedidos' } },
+      },
+    );
+    assert.ok(fs.existsSync(path.join(outputDir, MANIFEST_FILE_NAME)));
+
+    fs.writeFileSync(path.join(outputDir, 'paths', 'users.yaml'), 'get: {}\n');
+    fs.writeFileSync(path.join(outputDir, 'paths', 'notes.yaml'), 'get: {}\n');
+
+    const report = writeTree(
+      outputDir,
+      { mode: 'merge', deleteOrphans: true },
+      { 'paths/users.yaml': { get: { summary: 'Usuarios v2' } } },
+    );
+
+    assert.deepStrictEqual(report.conflicts, [{ file: 'paths/users.yaml', resolution: 'keep' }]);
+    assert.deepStrictEqual(report.removed, ['paths/orders.yaml']);
+    assert.deepStrictEqual(report.untracked, [{ file: 'paths/notes.yaml', resolution: 'keep' }]);
+    assert.ok(fs.existsSync(path.join(outputDir, 'paths', 'notes.yaml')));
+  });
+});
@@ -0,0 +1,65 @@
+// test/normalize.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const CLI = path.resolve(__dirname, '..', 'bin', 'main.js');
+
+function writeFiles(rootDir, files) {
+  Object.entries(files).forEach(([relative, text]) => {
+    const filePath = path.join(rootDir, relative);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, text);
+  });
+}
+
+test('renombrar un schema reescribe los $ref de los archivos de webhooks/', () => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oas3-normalize-'));
+  try {
+    const srcDir = path.join(workDir, 'src');
+    writeFiles(srcDir, {
+      'main.yaml': [
+        'openapi: 3.1.0',
+        'info: {title: Pets, version: "1.0"}',
+        'webhooks:',
+        '  newPet:',
+        '    $ref: ./webhooks/new-pet.yaml',
+        'components:',
+        '  schemas:',
+        '    pet_event:',
+        '      $ref: ./components/schemas/PetEventSchema.yaml',
+        '',
+      ].join('\n'),
+      'webhooks/new-pet.yaml': [
+        'post:',
+        '  requestBody:',
+        '    content:',
+        '      application/json:',
+        '        schema:',
+        '          $ref: ../main.yaml#/components/schemas/pet_event',
+        '  responses:',
+        "    '200':",
+        '      description: received',
+        '',
+      ].join('\n'),
+      'components/schemas/PetEventSchema.yaml': 'type: object\n',
+    });
+
+    execFileSync(process.execPath, [CLI, 'normalize', '-i', srcDir, '--mode', 'apply'], {
+      cwd: workDir,
+      stdio: 'pipe',
+      timeout: 120000,
+    });
+
+    const main = fs.readFileSync(path.join(srcDir, 'main.yaml'), 'utf8');
+    const webhook = fs.readFileSync(path.join(srcDir, 'webhooks', 'new-pet.yaml'), 'utf8');
+    assert.match(main, /PetEvent:/);
+    assert.match(webhook, /\$ref: \.\.\/main\.yaml#\/components\/schemas\/PetEvent\n/);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+});
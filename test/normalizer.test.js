@@ -0,0 +1,97 @@
+// test/normalizer.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createReport, normalizeDocument, normalizeFragment } = require('../bin/core/normalizer');
+
+const SCHEMA_NAMING_CONFIG = { naming: { schemas: { style: 'PascalCase' } } };
+
+function petDocument() {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Pets', version: '1.0.0' },
+    paths: {},
+    components: {
+      schemas: {
+        pet: {
+          oneOf: [{ $ref: '#/components/schemas/pet_item' }, { $ref: '#/components/schemas/Dog' }],
+          discriminator: {
+            propertyName: 'kind',
+            mapping: { a: '#/components/schemas/pet_item', b: 'pet_item', c: 'Dog' },
+          },
+        },
+        pet_item: { type: 'object', properties: { kind: { type: 'string' } } },
+        Dog: { type: 'object', properties: { kind: { type: 'string' } } },
+      },
+    },
+  };
+}
+
+test('renombrar schemas reescribe $ref y discriminator.mapping', () => {
+  const doc = normalizeDocument(petDocument(), SCHEMA_NAMING_CONFIG, createReport());
+  const schemas = doc.components.schemas;
+
+  assert.ok(schemas.PetItem);
+  assert.strictEqual(schemas.pet_item, undefined);
+  assert.deepStrictEqual(schemas.Pet.oneOf[0], { $ref: '#/components/schemas/PetItem' });
+  assert.deepStrictEqual(schemas.Pet.discriminator.mapping, {
+    a: '#/components/schemas/PetItem',
+    b: 'PetItem',
+    c: 'Dog',
+  });
+});
+
+test('los valores de mapping que no apuntan a un schema renombrado no cambian', () => {
+  const source = petDocument();
+  source.components.schemas.pet.discriminator.mapping.d = './external.yaml#/Cat';
+  const doc = normalizeDocument(source, SCHEMA_NAMING_CONFIG, createReport());
+
+  assert.strictEqual(doc.components.schemas.Pet.discriminator.mapping.d, './external.yaml#/Cat');
+});
+
+test('los tags de operaciones de webhooks cuentan como usados y se renombran', () => {
+  const source = {
+    openapi: '3.1.0',
+    info: { title: 'Pets', version: '1.0.0' },
+    tags: [{ name: 'pet events' }, { name: 'unused tag' }],
+    webhooks: {
+      newPet: { post: { tags: ['pet events'], responses: { 200: { description: 'ok' } } } },
+    },
+  };
+  const config = { naming: { tags: { style: 'Title Case' } }, cleanup: { removeUnusedTags: true } };
+  const doc = normalizeDocument(source, config, createReport());
+
+  assert.deepStrictEqual(doc.tags, [{ name: 'Pet Events' }]);
+  assert.deepStrictEqual(doc.webhooks.newPet.post.tags, ['Pet Events']);
+});
+
+test('removeEmptyProperties conserva la description vacía de las responses', () => {
+  const source = {
+    openapi: '3.0.3',
+    info: { title: 'Pets', version: '1.0.0', description: '' },
+    paths: {
+      '/pets': {
+        get: { summary: '', responses: { 200: { description: '' } } },
+      },
+    },
+    components: {
+      responses: { NotFound: { description: '' } },
+      schemas: { Pet: { type: 'object', description: '' } },
+    },
+  };
+  const config = { cleanup: { removeEmptyProperties: true } };
+  const doc = normalizeDocument(source, config, createReport());
+
+  assert.deepStrictEqual(doc.paths['/pets'].get, { responses: { 200: { description: '' } } });
+  assert.deepStrictEqual(doc.components.responses.NotFound, { description: '' });
+  assert.strictEqual('description' in doc.info, false);
+  assert.strictEqual('description' in doc.components.schemas.Pet, false);
+});
+
+test('removeEmptyProperties conserva la description de un fragmento de response', () => {
+  const config = { cleanup: { removeEmptyProperties: true } };
+  const response = normalizeFragment({ description: '' }, 'responses', config, createReport());
+
+  assert.deepStrictEqual(response, { description: '' });
+});
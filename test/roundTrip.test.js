@@ -0,0 +1,94 @@
+// test/roundTrip.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const CLI = path.resolve(__dirname, '..', 'bin', 'main.js');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Ejecuta el CLI en `cwd`: sin config/ propia, usa la del paquete
+function runCli(cwd, args) {
+  execFileSync(process.execPath, [CLI].concat(args), { cwd, stdio: 'pipe', timeout: 120000 });
+}
+
+// Ruta relativa → contenido de cada archivo del árbol (sin el manifiesto de merge)
+function readTree(dir) {
+  const files = {};
+  const walk = (current) => {
+    fs.readdirSync(current, { withFileTypes: true }).forEach((entry) => {
+      const fullPath = path.join(current, entry.name);
+      if (entry.isDirectory()) return walk(fullPath);
+      if (entry.name.startsWith('.')) return;
+      files[path.relative(dir, fullPath).split(path.sep).join('/')] = fs.readFileSync(fullPath, 'utf8');
+    });
+  };
+  walk(dir);
+  return files;
+}
+
+/**
+ * modularize(fixture) y modularize(join(src)) deben generar el mismo árbol.
+ */
+function modularizeTwice(fixtureName) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oas3-round-trip-'));
+  try {
+    fs.copyFileSync(path.join(FIXTURES_DIR, fixtureName), path.join(workDir, 'api.yaml'));
+
+    runCli(workDir, ['modularize', '--build', 'api.yaml', '--yes']);
+    const firstTree = readTree(path.join(workDir, 'src'));
+
+    runCli(workDir, ['join', '-i', 'src/main.yaml', '-o', 'joined.yaml']);
+    runCli(workDir, ['modularize', '--build', 'joined.yaml', '--yes']);
+    const secondTree = readTree(path.join(workDir, 'src'));
+
+    return { firstTree, secondTree };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+test('modularize(join(src)) genera el mismo árbol con respuestas inline extraídas', () => {
+  const { firstTree, secondTree } = modularizeTwice('inline-responses.yaml');
+
+  assert.deepStrictEqual(Object.keys(secondTree).sort(), Object.keys(firstTree).sort());
+  assert.deepStrictEqual(secondTree, firstTree);
+  // Extraídas y existentes usan la misma estrategia de refs (entrypoint)
+  assert.match(firstTree['paths/users.yaml'], /\.\.\/main\.yaml#\/components\/responses\/OkResponse/);
+});
+
+test('una response compartida entre 500 y default conserva su nombre', () => {
+  const { firstTree, secondTree } = modularizeTwice('shared-responses.yaml');
+
+  assert.ok(firstTree['components/responses/InternalServerErrorResponse.yaml']);
+  assert.strictEqual(firstTree['components/responses/UnexpectedErrorResponse.yaml'], undefined);
+  assert.deepStrictEqual(secondTree, firstTree);
+});
+
+test('las respuestas de webhooks se extraen y se renombran como las de paths', () => {
+  const { firstTree, secondTree } = modularizeTwice('webhook-responses.yaml');
+
+  assert.ok(firstTree['components/responses/BadRequestResponse.yaml']);
+  assert.doesNotMatch(firstTree['webhooks/new-pet.yaml'], /description: invalid/);
+  assert.match(firstTree['webhooks/new-pet.yaml'], /#\/components\/responses\/BadRequestResponse/);
+  // Las responses renombradas también se reescriben en webhooks
+  assert.match(firstTree['webhooks/new-pet.yaml'], /#\/components\/responses\/NotFoundResponse\n/);
+  assert.deepStrictEqual(secondTree, firstTree);
+});
+
+test('renombrar una response solo reescribe los $ref con su nombre exacto', () => {
+  const { firstTree, secondTree } = modularizeTwice('renamed-responses.yaml');
+  const pathItem = firstTree['paths/pets-id.yaml'];
+
+  assert.match(pathItem, /'404':\n\s+\$ref: \.\.\/main\.yaml#\/components\/responses\/NotFoundResponse\n/);
+  assert.match(
+    firstTree['paths/pets-id-history.yaml'],
+    /'404':\n\s+\$ref: \.\.\/main\.yaml#\/components\/responses\/NotFoundResponse1\n/,
+  );
+  // Los textos no son refs
+  assert.match(pathItem, /Devuelve #\/components\/responses\/NotFound404 si no existe/);
+  assert.deepStrictEqual(secondTree, firstTree);
+});
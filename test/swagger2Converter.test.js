@@ -0,0 +1,81 @@
+// test/swagger2Converter.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { convertToSwagger2 } = require('../bin/application/swagger2Converter');
+const { analyzeSwagger2Compatibility } = require('../bin/core/swagger2Compatibility');
+
+function itemsDocument(operation, components) {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Items', version: '1.0.0' },
+    paths: {
+      '/items': { get: Object.assign({ responses: { 200: { description: 'ok' } } }, operation) },
+    },
+    components,
+  };
+}
+
+test('un $ref a un parámetro cookie se elimina y se reporta', () => {
+  const doc = itemsDocument(
+    { parameters: [{ $ref: '#/components/parameters/Session' }] },
+    { parameters: { Session: { name: 'session', in: 'cookie', schema: { type: 'string' } } } },
+  );
+  const swagger = convertToSwagger2(doc);
+
+  assert.strictEqual(swagger.paths['/items'].get.parameters, undefined);
+  assert.strictEqual(swagger.parameters, undefined);
+  assert.ok(
+    analyzeSwagger2Compatibility(doc).some(
+      (finding) =>
+        finding.construct === 'cookieParameterRef' &&
+        finding.pointer === '#/paths/~1items/get/parameters/0',
+    ),
+  );
+});
+
+test('un requestBody con el nombre de un parámetro se renombra y se reescriben sus $ref', () => {
+  const doc = itemsDocument(
+    {
+      parameters: [{ $ref: '#/components/parameters/Item' }],
+      requestBody: { $ref: '#/components/requestBodies/Item' },
+    },
+    {
+      parameters: { Item: { name: 'item', in: 'query', schema: { type: 'string' } } },
+      requestBodies: {
+        Item: { content: { 'application/json': { schema: { type: 'object' } } } },
+      },
+    },
+  );
+  const swagger = convertToSwagger2(doc);
+
+  assert.strictEqual(swagger.parameters.Item.in, 'query');
+  assert.strictEqual(swagger.parameters.ItemBody.in, 'body');
+  assert.deepStrictEqual(swagger.paths['/items'].get.parameters, [
+    { $ref: '#/parameters/Item' },
+    { $ref: '#/parameters/ItemBody' },
+  ]);
+  const clash = analyzeSwagger2Compatibility(doc).find(
+    (finding) => finding.construct === 'parameterNameClash',
+  );
+  assert.strictEqual(clash.pointer, '#/components/requestBodies/Item');
+});
+
+test('los items $ref de un parámetro array se resuelven y aplanan', () => {
+  const doc = itemsDocument(
+    {
+      parameters: [{ name: 'ids', in: 'query', schema: { $ref: '#/components/schemas/IdList' } }],
+    },
+    {
+      schemas: {
+        Id: { type: 'string', format: 'uuid' },
+        IdList: { type: 'array', items: { $ref: '#/components/schemas/Id' } },
+      },
+    },
+  );
+  const parameter = convertToSwagger2(doc).paths['/items'].get.parameters[0];
+
+  assert.strictEqual(parameter.type, 'array');
+  assert.deepStrictEqual(parameter.items, { type: 'string', format: 'uuid' });
+});
@@ -0,0 +1,64 @@
+// test/verifyRoundTrip.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { verifyRoundTrip } = require('../bin/application/verifyRoundTrip');
+
+const ENTRYPOINT = path.resolve('/virtual/src/main.yaml');
+
+// Árbol en memoria de un solo archivo: el entrypoint
+function inMemoryTree(entrypoint) {
+  return {
+    readFile: () => JSON.parse(JSON.stringify(entrypoint)),
+    fileExists: (filePath) => path.resolve(filePath) === ENTRYPOINT,
+  };
+}
+
+function sourceDocument() {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'API', version: '1.0.0' },
+    paths: {},
+    components: {
+      responses: { GenericError: { description: 'Error genérico' } },
+    },
+  };
+}
+
+test('un component renombrado y omitido por no usarse no es una diferencia', () => {
+  const generated = { openapi: '3.0.3', info: { title: 'API', version: '1.0.0' }, paths: {} };
+  const result = verifyRoundTrip(
+    sourceDocument(),
+    ENTRYPOINT,
+    Object.assign(inMemoryTree(generated), {
+      renames: { responses: { GenericError: 'UnexpectedErrorResponse' } },
+      omitted: { responses: ['UnexpectedErrorResponse'] },
+    }),
+  );
+
+  assert.deepStrictEqual(result.changes, []);
+  assert.strictEqual(result.intentional, 1);
+});
+
+test('isIntentional recibe los documentos sin expandir', () => {
+  const generated = { openapi: '3.0.3', info: { title: 'API', version: '2.0.0' }, paths: {} };
+  const contexts = [];
+  const result = verifyRoundTrip(
+    sourceDocument(),
+    ENTRYPOINT,
+    Object.assign(inMemoryTree(generated), {
+      omitted: { responses: ['GenericError'] },
+      isIntentional: (change, context) => {
+        contexts.push(context);
+        return false;
+      },
+    }),
+  );
+
+  assert.strictEqual(result.changes.length, 1);
+  assert.deepStrictEqual(result.changes[0].segments, ['info', 'version']);
+  assert.strictEqual(contexts[0].joined.info.version, '2.0.0');
+  assert.strictEqual(contexts[0].source.info.version, '1.0.0');
+});